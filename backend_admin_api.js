@@ -0,0 +1,1182 @@
+// backend/src/routes/admin.js
+// Admin API Endpoints - Service areas, per-city configuration, SOS incidents, chat transcripts, masked calling, payments, driver reviews and corporate accounts
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { validateBoundary } = require('../utils/location');
+const { acknowledgeIncident, resolveIncident } = require('../utils/sos');
+const { reconcilePayment } = require('../utils/payments');
+const { PAYOUT_METHODS, addLedgerEntries, markPayoutPaid } = require('../utils/earnings');
+const { getTripMessages } = require('../utils/tripChat');
+const { inviteMember } = require('../utils/corporate');
+const { getCorporateInvoice, markInvoicePaid } = require('../utils/corporateInvoices');
+const db = require('../db');
+
+const SERVICE_AREA_COLUMNS = `
+  id, name, city, timezone, support_phone, dispatch_radius_km, is_active,
+  ST_AsGeoJSON(boundary)::json AS boundary, created_at, updated_at`;
+
+/**
+ * Validate service area fields shared by create and edit
+ * @param {Object} fields - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateServiceAreaFields(fields) {
+  if (fields.boundary !== undefined) {
+    const boundaryError = validateBoundary(fields.boundary);
+    if (boundaryError) return boundaryError;
+  }
+
+  if (fields.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: fields.timezone });
+    } catch (error) {
+      return 'Invalid timezone';
+    }
+  }
+
+  if (fields.dispatch_radius_km !== undefined &&
+      !(parseFloat(fields.dispatch_radius_km) > 0)) {
+    return 'dispatch_radius_km must be a positive number';
+  }
+
+  return null;
+}
+
+const CORPORATE_ACCOUNT_COLUMNS = `
+  id, name, billing_email, kra_pin, payment_terms_days, status,
+  policy_start_hour, policy_end_hour, policy_max_fare, policy_service_area_ids,
+  created_at, updated_at`;
+
+const CORPORATE_ACCOUNT_STATUSES = ['active', 'suspended'];
+
+/**
+ * Validate corporate account billing fields shared by create and edit
+ * @param {Object} fields - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCorporateAccountFields(fields) {
+  if (fields.billing_email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.billing_email)) {
+    return 'billing_email must be a valid email address';
+  }
+
+  if (fields.payment_terms_days !== undefined &&
+      !(Number.isInteger(fields.payment_terms_days) && fields.payment_terms_days >= 0 && fields.payment_terms_days <= 90)) {
+    return 'payment_terms_days must be a whole number from 0 to 90';
+  }
+
+  if (fields.status !== undefined && !CORPORATE_ACCOUNT_STATUSES.includes(fields.status)) {
+    return `status must be one of: ${CORPORATE_ACCOUNT_STATUSES.join(', ')}`;
+  }
+
+  return null;
+}
+
+const DEFAULT_PAYMENT_PAGE_SIZE = 50;
+const MAX_PAYMENT_PAGE_SIZE = 100;
+
+/**
+ * Parse ?page and ?limit for the payment list
+ * @param {Object} query - req.query
+ * @returns {Object} { page, limit } or { error }
+ */
+function parsePaymentPage(query) {
+  const pagination = { page: 1, limit: DEFAULT_PAYMENT_PAGE_SIZE };
+
+  if (query.page !== undefined) {
+    pagination.page = Number(query.page);
+    if (!Number.isInteger(pagination.page) || pagination.page < 1) {
+      return { error: 'page must be a whole number from 1' };
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: `limit must be a whole number from 1 to ${MAX_PAYMENT_PAGE_SIZE}` };
+    }
+    pagination.limit = Math.min(limit, MAX_PAYMENT_PAGE_SIZE);
+  }
+
+  return pagination;
+}
+
+async function logAdminAction(req, action, entityType, entityId, changes) {
+  await db.query(
+    `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [req.user.id, action, entityType, entityId, JSON.stringify(changes), req.ip]
+  );
+}
+
+// List service areas
+router.get('/service-areas', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT ${SERVICE_AREA_COLUMNS} FROM service_areas ORDER BY city, name`
+    );
+
+    res.json({ success: true, service_areas: result.rows });
+
+  } catch (error) {
+    console.error('Service area list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch service areas'
+    });
+  }
+});
+
+// Create a service area (inactive until activated)
+router.post('/service-areas', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { name, city, boundary, timezone, support_phone, dispatch_radius_km } = req.body;
+
+    if (!name || !city || !boundary || !timezone || !support_phone || !dispatch_radius_km) {
+      return res.status(400).json({
+        success: false,
+        error: 'name, city, boundary, timezone, support_phone and dispatch_radius_km are required'
+      });
+    }
+
+    const validationError = validateServiceAreaFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const result = await db.query(
+      `INSERT INTO service_areas (name, city, boundary, timezone, support_phone, dispatch_radius_km, created_by)
+       VALUES ($1, $2, ST_GeomFromGeoJSON($3)::geography, $4, $5, $6, $7)
+       RETURNING ${SERVICE_AREA_COLUMNS}`,
+      [name, city, JSON.stringify(boundary), timezone, support_phone, dispatch_radius_km, req.user.id]
+    );
+
+    const serviceArea = result.rows[0];
+    await logAdminAction(req, 'service_area_created', 'service_area', serviceArea.id, { name, city });
+
+    res.status(201).json({ success: true, service_area: serviceArea });
+
+  } catch (error) {
+    console.error('Service area create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create service area'
+    });
+  }
+});
+
+// Edit a service area (including activating or deactivating it)
+router.patch('/service-areas/:area_id', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { area_id } = req.params;
+    const editableFields = ['name', 'city', 'boundary', 'timezone', 'support_phone', 'dispatch_radius_km', 'is_active'];
+
+    const changes = {};
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, error: 'No changes provided' });
+    }
+
+    const validationError = validateServiceAreaFields(changes);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const values = [area_id];
+    const setClause = Object.entries(changes)
+      .map(([field, value]) => {
+        if (field === 'boundary') {
+          values.push(JSON.stringify(value));
+          return `boundary = ST_GeomFromGeoJSON($${values.length})::geography`;
+        }
+        values.push(value);
+        return `${field} = $${values.length}`;
+      })
+      .join(', ');
+
+    const result = await db.query(
+      `UPDATE service_areas SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${SERVICE_AREA_COLUMNS}`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Service area not found' });
+    }
+
+    await logAdminAction(req, 'service_area_updated', 'service_area', area_id, {
+      ...changes,
+      boundary: changes.boundary ? 'updated' : undefined
+    });
+
+    res.json({ success: true, service_area: result.rows[0] });
+
+  } catch (error) {
+    console.error('Service area update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update service area'
+    });
+  }
+});
+
+// Set a service area's pricing (replaces its active pricing config)
+router.put('/service-areas/:area_id/pricing', authenticateToken, requireUserType('admin'), async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { area_id } = req.params;
+    const { base_price, price_per_km, price_per_minute = 0, night_multiplier, weekend_multiplier, minimum_price } = req.body;
+
+    if ([base_price, price_per_km, night_multiplier, weekend_multiplier, minimum_price]
+      .some(value => value === undefined || isNaN(parseFloat(value)))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'base_price, price_per_km, night_multiplier, weekend_multiplier and minimum_price are required'
+      });
+    }
+
+    const areaCheck = await client.query('SELECT id FROM service_areas WHERE id = $1', [area_id]);
+    if (areaCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Service area not found' });
+    }
+
+    // Old configs are kept (trips reference the config they were priced with)
+    await client.query(
+      'UPDATE pricing_config SET is_active = false WHERE service_area_id = $1 AND is_active = true',
+      [area_id]
+    );
+
+    const result = await client.query(
+      `INSERT INTO pricing_config (
+        service_area_id, base_price, price_per_km, price_per_minute,
+        night_multiplier, weekend_multiplier, minimum_price, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      [area_id, base_price, price_per_km, price_per_minute, night_multiplier, weekend_multiplier, minimum_price, req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    const pricingConfig = result.rows[0];
+    await logAdminAction(req, 'service_area_pricing_updated', 'service_area', area_id, {
+      pricing_config_id: pricingConfig.id
+    });
+
+    res.json({ success: true, pricing_config: pricingConfig });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Service area pricing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update service area pricing'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// List SOS incidents (open and acknowledged by default)
+router.get('/sos-incidents', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const statuses = req.query.status ? [req.query.status] : ['open', 'acknowledged'];
+
+    const result = await db.query(
+      `SELECT i.id, i.trip_id, i.triggered_by, i.triggered_by_role, i.status,
+              i.escalation_level, i.suspended_driver_id,
+              ST_Y(i.location::geometry) AS latitude,
+              ST_X(i.location::geometry) AS longitude,
+              i.acknowledged_by, i.acknowledged_at, i.resolved_by, i.resolved_at,
+              i.resolution_notes, i.created_at,
+              t.status AS trip_status, t.pickup_address, t.dropoff_address,
+              c.full_name AS client_name, c.phone_number AS client_phone,
+              d.full_name AS driver_name, d.phone_number AS driver_phone
+       FROM sos_incidents i
+       JOIN trips t ON i.trip_id = t.id
+       JOIN users c ON t.client_id = c.id
+       LEFT JOIN users d ON t.driver_id = d.id
+       WHERE i.status = ANY($1)
+       ORDER BY i.created_at DESC
+       LIMIT 100`,
+      [statuses]
+    );
+
+    res.json({ success: true, incidents: result.rows });
+
+  } catch (error) {
+    console.error('SOS incident list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SOS incidents'
+    });
+  }
+});
+
+// Acknowledge an SOS incident (stops re-escalation)
+router.post('/sos-incidents/:incident_id/acknowledge', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { incident_id } = req.params;
+
+    const incident = await acknowledgeIncident(req.app.get('io'), incident_id, req.user.id);
+    if (!incident) {
+      return res.status(409).json({
+        success: false,
+        error: 'Incident not found or already acknowledged'
+      });
+    }
+
+    await logAdminAction(req, 'sos_incident_acknowledged', 'sos_incident', incident_id, {
+      trip_id: incident.trip_id
+    });
+
+    res.json({ success: true, incident });
+
+  } catch (error) {
+    console.error('SOS acknowledge error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge SOS incident'
+    });
+  }
+});
+
+// Resolve an SOS incident, optionally reinstating the suspended driver
+router.post('/sos-incidents/:incident_id/resolve', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { incident_id } = req.params;
+    const { notes, reinstate_driver = false } = req.body;
+
+    if (!notes) {
+      return res.status(400).json({ success: false, error: 'Resolution notes are required' });
+    }
+
+    const incident = await resolveIncident(req.app.get('io'), incident_id, req.user.id, {
+      notes,
+      reinstate_driver
+    });
+
+    if (!incident) {
+      return res.status(409).json({
+        success: false,
+        error: 'Incident not found or already resolved'
+      });
+    }
+
+    await logAdminAction(req, 'sos_incident_resolved', 'sos_incident', incident_id, {
+      trip_id: incident.trip_id,
+      notes,
+      reinstated_driver_id: reinstate_driver ? incident.suspended_driver_id : undefined
+    });
+
+    res.json({ success: true, incident });
+
+  } catch (error) {
+    console.error('SOS resolve error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve SOS incident'
+    });
+  }
+});
+
+// Chat transcript of a trip, for SOS investigations and disputes (every view is audited)
+router.get('/trips/:trip_id/messages', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+    const { reason } = req.query;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason (e.g. the SOS incident or dispute) is required to view a transcript'
+      });
+    }
+
+    const tripResult = await db.query(
+      `SELECT t.id, t.status, t.client_id, t.driver_id,
+              c.full_name AS client_name, d.full_name AS driver_name
+       FROM trips t
+       JOIN users c ON t.client_id = c.id
+       LEFT JOIN users d ON t.driver_id = d.id
+       WHERE t.id = $1`,
+      [trip_id]
+    );
+
+    if (tripResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    const messages = await getTripMessages(trip_id);
+
+    await logAdminAction(req, 'chat_transcript_viewed', 'trip', trip_id, {
+      reason,
+      message_count: messages.length
+    });
+
+    res.json({ success: true, trip: tripResult.rows[0], messages });
+
+  } catch (error) {
+    console.error('Chat transcript error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch chat transcript'
+    });
+  }
+});
+
+// Proxy number pool for masked calls, with how many trips each is serving
+router.get('/proxy-numbers', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT p.id, p.phone_number, p.is_active, p.created_at,
+              COUNT(s.id) FILTER (WHERE s.status = 'active') AS active_sessions
+       FROM proxy_numbers p
+       LEFT JOIN call_sessions s ON s.proxy_number_id = p.id
+       GROUP BY p.id
+       ORDER BY p.phone_number`
+    );
+
+    res.json({ success: true, proxy_numbers: result.rows });
+
+  } catch (error) {
+    console.error('Proxy number list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch proxy numbers'
+    });
+  }
+});
+
+// Add a number to the pool (it must already be routed to the voice callback by the provider)
+router.post('/proxy-numbers', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { phone_number } = req.body;
+
+    if (!/^\+254\d{9}$/.test(phone_number || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'phone_number must be in the format +254XXXXXXXXX'
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO proxy_numbers (phone_number) VALUES ($1)
+       ON CONFLICT (phone_number) DO NOTHING
+       RETURNING id, phone_number, is_active, created_at`,
+      [phone_number]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, error: 'Number is already in the pool' });
+    }
+
+    await logAdminAction(req, 'proxy_number_added', 'proxy_number', result.rows[0].id, { phone_number });
+
+    res.status(201).json({ success: true, proxy_number: result.rows[0] });
+
+  } catch (error) {
+    console.error('Proxy number create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add proxy number'
+    });
+  }
+});
+
+// Take a number out of (or back into) rotation. Trips already using it keep it until they end.
+router.patch('/proxy-numbers/:proxy_number_id', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { proxy_number_id } = req.params;
+    const { is_active } = req.body;
+
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'is_active must be true or false' });
+    }
+
+    const result = await db.query(
+      `UPDATE proxy_numbers SET is_active = $2 WHERE id = $1
+       RETURNING id, phone_number, is_active, created_at`,
+      [proxy_number_id, is_active]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Proxy number not found' });
+    }
+
+    await logAdminAction(req, 'proxy_number_updated', 'proxy_number', proxy_number_id, { is_active });
+
+    res.json({ success: true, proxy_number: result.rows[0] });
+
+  } catch (error) {
+    console.error('Proxy number update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update proxy number'
+    });
+  }
+});
+
+// Masked call log for a trip (metadata only - no recordings)
+router.get('/trips/:trip_id/calls', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT l.id, l.caller_id, l.caller_role, u.full_name AS caller_name, l.proxy_number,
+              l.status, l.duration_seconds, l.started_at, l.ended_at
+       FROM call_logs l
+       LEFT JOIN users u ON l.caller_id = u.id
+       WHERE l.trip_id = $1
+       ORDER BY l.started_at`,
+      [req.params.trip_id]
+    );
+
+    res.json({ success: true, calls: result.rows });
+
+  } catch (error) {
+    console.error('Trip call log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call log'
+    });
+  }
+});
+
+// List payments for reconciliation (?status=pending|succeeded|failed|timed_out, ?review_required=true)
+router.get('/payments', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { status, review_required } = req.query;
+
+    const pagination = parsePaymentPage(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ success: false, error: pagination.error });
+    }
+    const { limit } = pagination;
+    const offset = (pagination.page - 1) * limit;
+
+    const conditions = [];
+    const values = [];
+    if (status) {
+      values.push(status);
+      conditions.push(`p.status = $${values.length}`);
+    }
+    if (review_required === 'true') {
+      conditions.push('p.review_required = true');
+    }
+
+    values.push(limit, offset);
+    const result = await db.query(
+      `SELECT p.id, p.trip_id, p.method, p.status, p.amount, p.phone_number, p.attempt_number,
+              p.checkout_request_id, p.mpesa_receipt_number, p.result_code, p.result_desc,
+              p.review_required, p.reconciled_by, p.reconciled_at, p.reconciliation_note,
+              p.created_at, p.completed_at,
+              t.final_price, t.payment_status AS trip_payment_status,
+              c.full_name AS client_name
+       FROM payments p
+       JOIN trips t ON p.trip_id = t.id
+       JOIN users c ON p.client_id = c.id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY p.created_at DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+
+    res.json({ success: true, payments: result.rows });
+
+  } catch (error) {
+    console.error('Payment list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payments'
+    });
+  }
+});
+
+// Callbacks that matched no payment, for reconciliation
+router.get('/payments/unmatched-callbacks', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT id, checkout_request_id, result_code, mpesa_receipt_number, amount, phone_number,
+              payload, received_at
+       FROM mpesa_unmatched_callbacks
+       WHERE resolved_at IS NULL
+       ORDER BY received_at DESC`
+    );
+
+    res.json({ success: true, callbacks: result.rows });
+
+  } catch (error) {
+    console.error('Unmatched callback list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unmatched callbacks'
+    });
+  }
+});
+
+// Manually reconcile a payment
+router.post('/payments/:payment_id/reconcile', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { payment_id } = req.params;
+    const { status, mpesa_receipt_number, note } = req.body;
+
+    if (!['succeeded', 'failed'].includes(status) || !note) {
+      return res.status(400).json({
+        success: false,
+        error: 'status (succeeded or failed) and note are required'
+      });
+    }
+
+    const payment = await reconcilePayment(payment_id, req.user.id, { status, mpesa_receipt_number, note });
+    if (!payment) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    await logAdminAction(req, 'payment_reconciled', 'payment', payment_id, {
+      trip_id: payment.trip_id,
+      status,
+      mpesa_receipt_number,
+      note
+    });
+
+    res.json({ success: true, payment });
+
+  } catch (error) {
+    console.error('Payment reconcile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile payment'
+    });
+  }
+});
+
+// Drivers flagged for review because of low ratings
+router.get('/drivers/rating-review', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT dp.user_id AS driver_id, u.full_name, u.phone_number, u.status,
+              dp.rating_average, dp.rating_count, dp.total_trips, dp.rating_flagged_at,
+              (
+                SELECT json_agg(recent ORDER BY recent.created_at DESC)
+                FROM (
+                  SELECT r.trip_id, r.rating, r.feedback, r.tags, r.created_at
+                  FROM ratings r
+                  WHERE r.rated_user = dp.user_id AND r.rater_role = 'client'
+                  ORDER BY r.created_at DESC
+                  LIMIT 10
+                ) recent
+              ) AS recent_ratings
+       FROM driver_profiles dp
+       JOIN users u ON dp.user_id = u.id
+       WHERE dp.rating_review_required = true
+       ORDER BY dp.rating_flagged_at`
+    );
+
+    res.json({ success: true, drivers: result.rows });
+
+  } catch (error) {
+    console.error('Rating review list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch drivers for review'
+    });
+  }
+});
+
+// Close a driver's rating review
+router.post('/drivers/:driver_id/rating-review', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { driver_id } = req.params;
+    const { note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({ success: false, error: 'A review note is required' });
+    }
+
+    const result = await db.query(
+      `UPDATE driver_profiles
+       SET rating_review_required = false, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND rating_review_required = true
+       RETURNING user_id`,
+      [driver_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Driver is not flagged for review' });
+    }
+
+    await logAdminAction(req, 'driver_rating_reviewed', 'user', driver_id, { note });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Rating review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close rating review'
+    });
+  }
+});
+
+// List trips with GPS flags, most suspicious first
+router.get('/trips/gps-flagged', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const minScore = req.query.min_score === undefined ? 1 : Number(req.query.min_score);
+    if (!Number.isInteger(minScore) || minScore < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'min_score must be a whole number from 0'
+      });
+    }
+
+    const result = await db.query(
+      `SELECT t.id AS trip_id, t.status, t.gps_suspicion_score, t.started_at, t.completed_at,
+              t.pickup_address, t.dropoff_address, t.driver_id,
+              d.full_name AS driver_name, d.phone_number AS driver_phone,
+              (
+                SELECT json_agg(json_build_object(
+                         'flag_type', f.flag_type,
+                         'score', f.score,
+                         'latitude', ST_Y(f.location::geometry),
+                         'longitude', ST_X(f.location::geometry),
+                         'recorded_at', f.recorded_at,
+                         'details', f.details
+                       ) ORDER BY f.recorded_at)
+                FROM gps_flags f
+                WHERE f.trip_id = t.id
+              ) AS flags
+       FROM trips t
+       JOIN users d ON t.driver_id = d.id
+       WHERE t.gps_suspicion_score >= $1
+       ORDER BY t.gps_suspicion_score DESC, t.started_at DESC
+       LIMIT 100`,
+      [minScore]
+    );
+
+    res.json({ success: true, trips: result.rows });
+
+  } catch (error) {
+    console.error('GPS flagged trips error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch GPS-flagged trips'
+    });
+  }
+});
+
+// List fraud alerts (open by default)
+router.get('/fraud-alerts', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+
+    const result = await db.query(
+      `SELECT a.id, a.driver_id, a.alert_type, a.status, a.details,
+              a.resolved_by, a.resolved_at, a.resolution_notes, a.created_at,
+              u.full_name AS driver_name, u.phone_number AS driver_phone, u.status AS driver_status
+       FROM fraud_alerts a
+       JOIN users u ON a.driver_id = u.id
+       WHERE a.status = $1
+       ORDER BY a.created_at DESC
+       LIMIT 100`,
+      [status]
+    );
+
+    res.json({ success: true, alerts: result.rows });
+
+  } catch (error) {
+    console.error('Fraud alert list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fraud alerts'
+    });
+  }
+});
+
+// Resolve a fraud alert, optionally suspending the driver
+router.post('/fraud-alerts/:alert_id/resolve', authenticateToken, requireUserType('admin'), async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const { alert_id } = req.params;
+    const { notes, suspend_driver = false } = req.body;
+
+    if (!notes) {
+      return res.status(400).json({ success: false, error: 'Resolution notes are required' });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE fraud_alerts
+       SET status = 'resolved', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP, resolution_notes = $3
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [alert_id, req.user.id, notes]
+    );
+
+    const alert = result.rows[0];
+    if (!alert) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Alert not found or already resolved'
+      });
+    }
+
+    if (suspend_driver) {
+      await client.query(
+        `UPDATE users SET status = 'suspended', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [alert.driver_id]
+      );
+      await client.query(
+        'UPDATE driver_profiles SET is_available = false WHERE user_id = $1',
+        [alert.driver_id]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    await logAdminAction(req, 'fraud_alert_resolved', 'fraud_alert', alert_id, {
+      driver_id: alert.driver_id,
+      notes,
+      suspended_driver: suspend_driver
+    });
+
+    res.json({ success: true, alert });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Fraud alert resolve error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve fraud alert'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// List driver payout statements (pending by default)
+router.get('/payouts', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    const result = await db.query(
+      `SELECT p.id, p.driver_id, p.period_start, p.period_end, p.gross_fare, p.commission, p.tips,
+              p.cancellation_compensation, p.adjustments, p.net_earnings, p.cash_collected,
+              p.carried_forward, p.amount_due, p.status, p.payment_method, p.payment_reference,
+              p.paid_by, p.paid_at, p.created_at,
+              u.full_name AS driver_name, u.phone_number AS driver_phone
+       FROM driver_payouts p
+       JOIN users u ON p.driver_id = u.id
+       WHERE p.status = $1
+       ORDER BY p.period_start DESC, u.full_name
+       LIMIT 500`,
+      [status]
+    );
+
+    res.json({ success: true, payouts: result.rows });
+
+  } catch (error) {
+    console.error('Payout list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payouts'
+    });
+  }
+});
+
+// Mark a payout statement as paid (e.g. after an M-Pesa B2C transfer)
+router.post('/payouts/:payout_id/mark-paid', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { payout_id } = req.params;
+    const { method, reference } = req.body;
+
+    if (!PAYOUT_METHODS.includes(method) || !reference) {
+      return res.status(400).json({
+        success: false,
+        error: `method (${PAYOUT_METHODS.join(', ')}) and reference are required`
+      });
+    }
+
+    const { payout, error, status } = await markPayoutPaid(payout_id, req.user.id, { method, reference });
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    await logAdminAction(req, 'driver_payout_paid', 'driver_payout', payout_id, {
+      driver_id: payout.driver_id,
+      amount: payout.amount_due,
+      method,
+      reference
+    });
+
+    res.json({ success: true, payout });
+
+  } catch (error) {
+    console.error('Payout mark-paid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark payout as paid'
+    });
+  }
+});
+
+// Correct a driver's earnings. The ledger is append-only, so mistakes are
+// fixed with an adjustment entry rather than by editing earlier entries.
+router.post('/drivers/:driver_id/ledger-adjustments', authenticateToken, requireUserType('admin'), async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const { driver_id } = req.params;
+    const { amount, reason, trip_id } = req.body;
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0 || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A non-zero amount and a reason are required'
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const driverResult = await client.query('SELECT user_id FROM driver_profiles WHERE user_id = $1', [driver_id]);
+    if (driverResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Driver not found' });
+    }
+
+    await addLedgerEntries(client, driver_id, [{
+      entry_type: 'adjustment',
+      amount,
+      details: { reason, trip_id: trip_id || null, admin_id: req.user.id }
+    }]);
+
+    await client.query('COMMIT');
+
+    await logAdminAction(req, 'driver_ledger_adjusted', 'user', driver_id, { amount, reason, trip_id });
+
+    res.status(201).json({ success: true });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Ledger adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record adjustment'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// List corporate accounts with their member counts
+router.get('/corporate-accounts', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT ${CORPORATE_ACCOUNT_COLUMNS},
+              (SELECT COUNT(*) FROM corporate_members m
+               WHERE m.corporate_account_id = a.id AND m.status = 'active')::int AS member_count
+       FROM corporate_accounts a
+       ORDER BY name`
+    );
+
+    res.json({ success: true, corporate_accounts: result.rows });
+
+  } catch (error) {
+    console.error('Corporate account list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch corporate accounts'
+    });
+  }
+});
+
+// Open a corporate account and invite its first admin, who manages the rest
+router.post('/corporate-accounts', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { name, billing_email, kra_pin, payment_terms_days = 30, admin_phone_number } = req.body;
+
+    if (!name || !billing_email || !admin_phone_number) {
+      return res.status(400).json({
+        success: false,
+        error: 'name, billing_email and admin_phone_number are required'
+      });
+    }
+
+    if (!/^\+254\d{9}$/.test(admin_phone_number)) {
+      return res.status(400).json({
+        success: false,
+        error: 'admin_phone_number must be in the format +254XXXXXXXXX'
+      });
+    }
+
+    const validationError = validateCorporateAccountFields({ billing_email, payment_terms_days });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const result = await db.query(
+      `INSERT INTO corporate_accounts (name, billing_email, kra_pin, payment_terms_days, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${CORPORATE_ACCOUNT_COLUMNS}`,
+      [name, billing_email, kra_pin || null, payment_terms_days, req.user.id]
+    );
+    const account = result.rows[0];
+
+    const { member } = await inviteMember(account.id, { phone_number: admin_phone_number, role: 'admin' }, req.user.id);
+
+    await logAdminAction(req, 'corporate_account_created', 'corporate_account', account.id, {
+      name,
+      billing_email,
+      admin_phone_number
+    });
+
+    res.status(201).json({ success: true, corporate_account: account, admin_invitation: member });
+
+  } catch (error) {
+    console.error('Corporate account create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create corporate account'
+    });
+  }
+});
+
+// Edit a corporate account's billing details, or suspend it (no new company-paid trips)
+router.patch('/corporate-accounts/:account_id', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { account_id } = req.params;
+    const { name, billing_email, kra_pin, payment_terms_days, status } = req.body;
+
+    const validationError = validateCorporateAccountFields({ billing_email, payment_terms_days, status });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const result = await db.query(
+      `UPDATE corporate_accounts
+       SET name = COALESCE($2, name),
+           billing_email = COALESCE($3, billing_email),
+           kra_pin = COALESCE($4, kra_pin),
+           payment_terms_days = COALESCE($5, payment_terms_days),
+           status = COALESCE($6, status),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${CORPORATE_ACCOUNT_COLUMNS}`,
+      [account_id, name, billing_email, kra_pin, payment_terms_days, status]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Corporate account not found' });
+    }
+
+    await logAdminAction(req, 'corporate_account_updated', 'corporate_account', account_id, {
+      name,
+      billing_email,
+      kra_pin,
+      payment_terms_days,
+      status
+    });
+
+    res.json({ success: true, corporate_account: result.rows[0] });
+
+  } catch (error) {
+    console.error('Corporate account update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update corporate account'
+    });
+  }
+});
+
+// List corporate invoices (issued, i.e. awaiting payment, by default)
+router.get('/corporate-invoices', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'issued';
+
+    const result = await db.query(
+      `SELECT i.id, i.corporate_account_id, i.invoice_number, i.period_start, i.period_end, i.trip_count,
+              i.total, i.vat_amount, i.status, i.due_at, i.issued_at, i.paid_at, i.payment_reference,
+              a.name AS account_name, a.billing_email
+       FROM corporate_invoices i
+       JOIN corporate_accounts a ON i.corporate_account_id = a.id
+       WHERE i.status = $1
+       ORDER BY i.due_at, a.name
+       LIMIT 500`,
+      [status]
+    );
+
+    res.json({ success: true, invoices: result.rows });
+
+  } catch (error) {
+    console.error('Corporate invoice list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch corporate invoices'
+    });
+  }
+});
+
+// Get a corporate invoice with its per-trip lines
+router.get('/corporate-invoices/:invoice_id', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const detail = await getCorporateInvoice(req.params.invoice_id);
+    if (!detail) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+
+    res.json({ success: true, ...detail });
+
+  } catch (error) {
+    console.error('Corporate invoice fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch corporate invoice'
+    });
+  }
+});
+
+// Record a company's payment of an invoice (bank transfer or M-Pesa paybill)
+router.post('/corporate-invoices/:invoice_id/mark-paid', authenticateToken, requireUserType('admin'), async (req, res) => {
+  try {
+    const { invoice_id } = req.params;
+    const { reference } = req.body;
+
+    if (!reference) {
+      return res.status(400).json({ success: false, error: 'reference is required' });
+    }
+
+    const { invoice, error, status } = await markInvoicePaid(invoice_id, req.user.id, reference);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    await logAdminAction(req, 'corporate_invoice_paid', 'corporate_invoice', invoice_id, {
+      corporate_account_id: invoice.corporate_account_id,
+      amount: invoice.total,
+      reference
+    });
+
+    res.json({ success: true, invoice });
+
+  } catch (error) {
+    console.error('Corporate invoice mark-paid error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark invoice as paid'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,648 @@
+// backend/src/routes/corporate.js
+// Corporate API Endpoints - company accounts, members, cost centres, ride policy, approvals, trips and invoices
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { findServiceArea } = require('../utils/location');
+const { verifyQuoteToken } = require('../utils/quote');
+const {
+  MEMBER_ROLES,
+  getMembership,
+  getUserCorporateAccounts,
+  inviteMember,
+  acceptInvitation,
+  requestApproval,
+  decideApproval
+} = require('../utils/corporate');
+const { parseHistoryFilters, fetchHistoryPage, writeHistoryCsv } = require('../utils/tripHistory');
+const { getCorporateInvoices, getCorporateInvoice, renderInvoiceCsv } = require('../utils/corporateInvoices');
+const db = require('../db');
+
+const APPROVAL_DECISIONS = ['approved', 'rejected'];
+
+// Pending approvals past their expiry are shown as expired
+const APPROVAL_COLUMNS = `
+  ap.id, ap.requested_by, ap.cost_centre_id, ap.pickup_address, ap.dropoff_address, ap.scheduled_for,
+  ap.estimated_price, ap.approved_max_fare, ap.violations, ap.reason,
+  CASE WHEN ap.status = 'pending' AND ap.expires_at <= NOW() THEN 'expired' ELSE ap.status END AS status,
+  ap.decided_by, ap.decided_at, ap.decision_note, ap.trip_id, ap.expires_at, ap.created_at,
+  u.full_name AS requested_by_name`;
+
+/**
+ * Load the user's membership of :account_id into req.membership,
+ * rejecting anyone who isn't an active member with one of the roles
+ * @param {...string} roles - Allowed member roles
+ */
+function requireCorporateRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const membership = await getMembership(req.params.account_id, req.user.id);
+      if (!membership || !roles.includes(membership.role)) {
+        return res.status(403).json({ success: false, error: 'Unauthorized' });
+      }
+
+      req.membership = membership;
+      next();
+    } catch (error) {
+      console.error('Corporate membership error:', error);
+      res.status(500).json({ success: false, error: 'Failed to check company membership' });
+    }
+  };
+}
+
+const member = [authenticateToken, requireUserType('client'), requireCorporateRole('admin', 'employee')];
+const companyAdmin = [authenticateToken, requireUserType('client'), requireCorporateRole('admin')];
+
+async function logCorporateAction(req, action, entityType, entityId, changes) {
+  await db.query(
+    `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [req.user.id, action, entityType, entityId, JSON.stringify({ corporate_account_id: req.params.account_id, ...changes }), req.ip]
+  );
+}
+
+/**
+ * Validate ride policy fields. Hours are local to the pickup's service area;
+ * null clears a rule.
+ * @param {Object} policy - { start_hour, end_hour, max_fare, service_area_ids }
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validatePolicy(policy) {
+  const { start_hour, end_hour, max_fare, service_area_ids } = policy;
+  const isHour = hour => Number.isInteger(hour) && hour >= 0 && hour <= 23;
+
+  if ((start_hour === null) !== (end_hour === null)) {
+    return 'start_hour and end_hour must be set (or cleared) together';
+  }
+  if (start_hour !== null && (!isHour(start_hour) || !isHour(end_hour))) {
+    return 'start_hour and end_hour must be whole hours from 0 to 23';
+  }
+
+  if (max_fare !== null && !(typeof max_fare === 'number' && max_fare > 0)) {
+    return 'max_fare must be a positive number';
+  }
+
+  if (service_area_ids !== null) {
+    if (!Array.isArray(service_area_ids)) {
+      return 'service_area_ids must be a list of service area IDs';
+    }
+    const result = await db.query(
+      'SELECT COUNT(*) AS count FROM service_areas WHERE id = ANY($1::uuid[])',
+      [service_area_ids]
+    );
+    if (parseInt(result.rows[0].count, 10) !== new Set(service_area_ids).size) {
+      return 'Unknown service area in service_area_ids';
+    }
+  }
+
+  return null;
+}
+
+async function isAccountCostCentre(accountId, costCentreId) {
+  const result = await db.query(
+    'SELECT id FROM cost_centres WHERE id = $1 AND corporate_account_id = $2 AND is_active = true',
+    [costCentreId, accountId]
+  );
+  return result.rows.length > 0;
+}
+
+// Company accounts I can bill trips to, and invitations waiting for me
+router.get('/me', authenticateToken, requireUserType('client'), async (req, res) => {
+  try {
+    const { accounts, invitations } = await getUserCorporateAccounts(req.user);
+
+    res.json({ success: true, accounts, invitations });
+
+  } catch (error) {
+    console.error('Corporate accounts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company accounts'
+    });
+  }
+});
+
+// Accept an invitation sent to my phone number
+router.post('/invitations/:member_id/accept', authenticateToken, requireUserType('client'), async (req, res) => {
+  try {
+    const { member, error, status } = await acceptInvitation(req.params.member_id, req.user);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        req.user.id,
+        'corporate_invitation_accepted',
+        'corporate_member',
+        member.id,
+        JSON.stringify({ corporate_account_id: member.corporate_account_id }),
+        req.ip
+      ]
+    );
+
+    res.json({ success: true, member });
+
+  } catch (error) {
+    console.error('Corporate invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invitation'
+    });
+  }
+});
+
+// Account overview for company admins: policy, cost centres and members
+router.get('/accounts/:account_id', ...companyAdmin, async (req, res) => {
+  try {
+    const { account_id } = req.params;
+
+    const accountResult = await db.query(
+      `SELECT id, name, billing_email, kra_pin, payment_terms_days, status,
+              policy_start_hour, policy_end_hour, policy_max_fare, policy_service_area_ids
+       FROM corporate_accounts WHERE id = $1`,
+      [account_id]
+    );
+    const costCentresResult = await db.query(
+      `SELECT id, code, name, is_active, created_at
+       FROM cost_centres WHERE corporate_account_id = $1
+       ORDER BY code`,
+      [account_id]
+    );
+    const membersResult = await db.query(
+      `SELECT m.id, m.user_id, m.phone_number, m.role, m.default_cost_centre_id, m.status,
+              m.invited_at, m.joined_at, u.full_name
+       FROM corporate_members m
+       LEFT JOIN users u ON m.user_id = u.id
+       WHERE m.corporate_account_id = $1 AND m.status <> 'removed'
+       ORDER BY m.role, u.full_name NULLS LAST, m.phone_number`,
+      [account_id]
+    );
+
+    res.json({
+      success: true,
+      account: accountResult.rows[0],
+      cost_centres: costCentresResult.rows,
+      members: membersResult.rows
+    });
+
+  } catch (error) {
+    console.error('Corporate account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company account'
+    });
+  }
+});
+
+// Replace the ride policy (company admin)
+router.put('/accounts/:account_id/policy', ...companyAdmin, async (req, res) => {
+  try {
+    const { account_id } = req.params;
+    const policy = {
+      start_hour: req.body.start_hour ?? null,
+      end_hour: req.body.end_hour ?? null,
+      max_fare: req.body.max_fare ?? null,
+      service_area_ids: req.body.service_area_ids ?? null
+    };
+
+    const validationError = await validatePolicy(policy);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const result = await db.query(
+      `UPDATE corporate_accounts
+       SET policy_start_hour = $2, policy_end_hour = $3, policy_max_fare = $4,
+           policy_service_area_ids = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING policy_start_hour, policy_end_hour, policy_max_fare, policy_service_area_ids`,
+      [account_id, policy.start_hour, policy.end_hour, policy.max_fare, policy.service_area_ids]
+    );
+
+    await logCorporateAction(req, 'corporate_policy_updated', 'corporate_account', account_id, policy);
+
+    res.json({ success: true, policy: result.rows[0] });
+
+  } catch (error) {
+    console.error('Corporate policy update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update ride policy'
+    });
+  }
+});
+
+// Invite an employee or another admin by phone number (company admin)
+router.post('/accounts/:account_id/members', ...companyAdmin, async (req, res) => {
+  try {
+    const { account_id } = req.params;
+    const { phone_number, role = 'employee', default_cost_centre_id } = req.body;
+
+    if (!/^\+254\d{9}$/.test(phone_number || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'phone_number must be in the format +254XXXXXXXXX'
+      });
+    }
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${MEMBER_ROLES.join(', ')}` });
+    }
+
+    if (default_cost_centre_id && !(await isAccountCostCentre(account_id, default_cost_centre_id))) {
+      return res.status(400).json({ success: false, error: 'Invalid cost centre' });
+    }
+
+    const { member, error, status } = await inviteMember(
+      account_id,
+      { phone_number, role, default_cost_centre_id },
+      req.user.id
+    );
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    await logCorporateAction(req, 'corporate_member_invited', 'corporate_member', member.id, { phone_number, role });
+
+    res.status(201).json({ success: true, member });
+
+  } catch (error) {
+    console.error('Corporate member invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invite member'
+    });
+  }
+});
+
+// Change a member's role or default cost centre, or remove them (company admin)
+router.patch('/accounts/:account_id/members/:member_id', ...companyAdmin, async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    const { account_id, member_id } = req.params;
+    const { role, default_cost_centre_id, status } = req.body;
+
+    if (role !== undefined && !MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${MEMBER_ROLES.join(', ')}` });
+    }
+
+    if (status !== undefined && status !== 'removed') {
+      return res.status(400).json({ success: false, error: "status can only be set to 'removed'" });
+    }
+
+    if (default_cost_centre_id && !(await isAccountCostCentre(account_id, default_cost_centre_id))) {
+      return res.status(400).json({ success: false, error: 'Invalid cost centre' });
+    }
+
+    await client.query('BEGIN');
+
+    // Lock the account so two admins can't demote each other at the same time
+    await client.query('SELECT id FROM corporate_accounts WHERE id = $1 FOR UPDATE', [account_id]);
+
+    const result = await client.query(
+      `UPDATE corporate_members
+       SET role = COALESCE($3, role),
+           default_cost_centre_id = COALESCE($4, default_cost_centre_id),
+           status = COALESCE($5, status)
+       WHERE id = $1 AND corporate_account_id = $2 AND status <> 'removed'
+       RETURNING id, user_id, phone_number, role, default_cost_centre_id, status`,
+      [member_id, account_id, role, default_cost_centre_id, status]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    const adminsResult = await client.query(
+      `SELECT COUNT(*) AS count FROM corporate_members
+       WHERE corporate_account_id = $1 AND role = 'admin' AND status = 'active'`,
+      [account_id]
+    );
+    if (parseInt(adminsResult.rows[0].count, 10) === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, error: 'The account must keep at least one admin' });
+    }
+
+    await client.query('COMMIT');
+
+    await logCorporateAction(req, 'corporate_member_updated', 'corporate_member', member_id, {
+      role,
+      default_cost_centre_id,
+      status
+    });
+
+    res.json({ success: true, member: result.rows[0] });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Corporate member update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update member'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Add a cost centre (company admin)
+router.post('/accounts/:account_id/cost-centres', ...companyAdmin, async (req, res) => {
+  try {
+    const { account_id } = req.params;
+    const { code, name } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({ success: false, error: 'code and name are required' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO cost_centres (corporate_account_id, code, name)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (corporate_account_id, code) DO NOTHING
+       RETURNING id, code, name, is_active, created_at`,
+      [account_id, code, name]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, error: 'A cost centre with this code already exists' });
+    }
+
+    await logCorporateAction(req, 'cost_centre_created', 'cost_centre', result.rows[0].id, { code, name });
+
+    res.status(201).json({ success: true, cost_centre: result.rows[0] });
+
+  } catch (error) {
+    console.error('Cost centre create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add cost centre'
+    });
+  }
+});
+
+// Rename or deactivate a cost centre. Past trips keep it on their invoices.
+router.patch('/accounts/:account_id/cost-centres/:cost_centre_id', ...companyAdmin, async (req, res) => {
+  try {
+    const { account_id, cost_centre_id } = req.params;
+    const { name, is_active } = req.body;
+
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'is_active must be true or false' });
+    }
+
+    const result = await db.query(
+      `UPDATE cost_centres
+       SET name = COALESCE($3, name), is_active = COALESCE($4, is_active)
+       WHERE id = $1 AND corporate_account_id = $2
+       RETURNING id, code, name, is_active, created_at`,
+      [cost_centre_id, account_id, name, is_active]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Cost centre not found' });
+    }
+
+    await logCorporateAction(req, 'cost_centre_updated', 'cost_centre', cost_centre_id, { name, is_active });
+
+    res.json({ success: true, cost_centre: result.rows[0] });
+
+  } catch (error) {
+    console.error('Cost centre update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update cost centre'
+    });
+  }
+});
+
+// Ask the company's admins to approve a quoted trip that is outside policy
+router.post('/accounts/:account_id/approvals', ...member, async (req, res) => {
+  try {
+    const { quote_token, pickup_location, dropoff_location, scheduled_for, cost_centre_id, reason } = req.body;
+
+    if (!quote_token || !reason) {
+      return res.status(400).json({ success: false, error: 'quote_token and reason are required' });
+    }
+
+    if (!pickup_location?.latitude || !pickup_location?.longitude ||
+        !dropoff_location?.latitude || !dropoff_location?.longitude) {
+      return res.status(400).json({ success: false, error: 'Invalid pickup or dropoff location' });
+    }
+
+    const scheduledFor = scheduled_for ? new Date(scheduled_for) : null;
+    const { quote, error: quoteError } = verifyQuoteToken(
+      quote_token,
+      req.user.id,
+      pickup_location,
+      dropoff_location,
+      scheduledFor
+    );
+    if (quoteError) {
+      return res.status(400).json({ success: false, error: quoteError });
+    }
+
+    const serviceArea = await findServiceArea(pickup_location.latitude, pickup_location.longitude);
+    if (!serviceArea) {
+      return res.status(400).json({ success: false, error: 'Pickup location is outside our service areas' });
+    }
+
+    const { approval, error, status } = await requestApproval(req.user, req.membership, {
+      quote,
+      service_area: serviceArea,
+      pickup_location,
+      dropoff_location,
+      scheduled_for: scheduledFor,
+      cost_centre_id,
+      reason
+    });
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    await logCorporateAction(req, 'corporate_approval_requested', 'corporate_approval', approval.id, {
+      estimated_price: approval.estimated_price,
+      violations: approval.violations
+    });
+
+    res.status(201).json({ success: true, approval });
+
+  } catch (error) {
+    console.error('Corporate approval request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request approval'
+    });
+  }
+});
+
+// Approval requests: all of them for admins, your own for employees (?status=pending)
+router.get('/accounts/:account_id/approvals', ...member, async (req, res) => {
+  try {
+    const { account_id } = req.params;
+    const requestedBy = req.membership.role === 'admin' ? null : req.user.id;
+
+    const result = await db.query(
+      `SELECT * FROM (
+         SELECT ${APPROVAL_COLUMNS}
+         FROM corporate_approvals ap
+         JOIN users u ON ap.requested_by = u.id
+         WHERE ap.corporate_account_id = $1 AND ($2::uuid IS NULL OR ap.requested_by = $2)
+       ) approvals
+       WHERE $3::text IS NULL OR status = $3
+       ORDER BY created_at DESC
+       LIMIT 100`,
+      [account_id, requestedBy, req.query.status || null]
+    );
+
+    res.json({ success: true, approvals: result.rows });
+
+  } catch (error) {
+    console.error('Corporate approval list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch approvals'
+    });
+  }
+});
+
+// Approve or reject an override request (company admin)
+router.post('/accounts/:account_id/approvals/:approval_id/decision', ...companyAdmin, async (req, res) => {
+  try {
+    const { account_id, approval_id } = req.params;
+    const { status, note } = req.body;
+
+    if (!APPROVAL_DECISIONS.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${APPROVAL_DECISIONS.join(', ')}`
+      });
+    }
+
+    const result = await decideApproval(account_id, approval_id, req.user.id, { status, note });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    await logCorporateAction(req, 'corporate_approval_decided', 'corporate_approval', approval_id, { status, note });
+
+    res.json({ success: true, approval: result.approval });
+
+  } catch (error) {
+    console.error('Corporate approval decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record decision'
+    });
+  }
+});
+
+// Trips billed to the company (company admin; same filters as /trips/history)
+router.get('/accounts/:account_id/trips', ...companyAdmin, async (req, res) => {
+  try {
+    const { filters, error } = parseHistoryFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const limit = filters.limit;
+    const page = await fetchHistoryPage(req.user, { ...filters, corporate_account_id: req.params.account_id });
+
+    res.json({
+      success: true,
+      trips: page.trips,
+      pagination: {
+        limit,
+        next_cursor: page.next_cursor,
+        has_more: page.next_cursor !== null
+      }
+    });
+
+  } catch (error) {
+    console.error('Corporate trips error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company trips'
+    });
+  }
+});
+
+// Export the company's trips as CSV (same filters as /trips)
+router.get('/accounts/:account_id/trips/export', ...companyAdmin, async (req, res) => {
+  try {
+    const { filters, error } = parseHistoryFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="safedrive-company-trips-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+    await writeHistoryCsv(req.user, { ...filters, corporate_account_id: req.params.account_id }, chunk => res.write(chunk));
+    res.end();
+
+  } catch (error) {
+    console.error('Corporate trips export error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export company trips'
+    });
+  }
+});
+
+// Monthly invoices (company admin)
+router.get('/accounts/:account_id/invoices', ...companyAdmin, async (req, res) => {
+  try {
+    const invoices = await getCorporateInvoices(req.params.account_id);
+
+    res.json({ success: true, invoices });
+
+  } catch (error) {
+    console.error('Corporate invoices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoices'
+    });
+  }
+});
+
+// One invoice with per-trip detail, as JSON or CSV (?format=csv)
+router.get('/accounts/:account_id/invoices/:invoice_id', ...companyAdmin, async (req, res) => {
+  try {
+    const { account_id, invoice_id } = req.params;
+    const format = req.query.format || 'json';
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be json or csv' });
+    }
+
+    const detail = await getCorporateInvoice(invoice_id, account_id);
+    if (!detail) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${detail.invoice.invoice_number}.csv"`);
+      return res.type('text/csv; charset=utf-8').send(renderInvoiceCsv(detail));
+    }
+
+    res.json({ success: true, ...detail });
+
+  } catch (error) {
+    console.error('Corporate invoice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice'
+    });
+  }
+});
+
+module.exports = router;
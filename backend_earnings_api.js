@@ -0,0 +1,76 @@
+// backend/src/routes/earnings.js
+// Driver Earnings API Endpoints - earnings summaries and payout statements
+// Mounted alongside the driver routes at /api/v1/drivers
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { EARNINGS_PERIODS, getDriverEarnings, getDriverPayouts, getPayoutStatement } = require('../utils/earnings');
+
+// My earnings by day, week or month (?period=week&from=&to=)
+router.get('/me/earnings', authenticateToken, requireUserType('driver'), async (req, res) => {
+  try {
+    const { period = 'day', from, to } = req.query;
+
+    if (!EARNINGS_PERIODS[period]) {
+      return res.status(400).json({
+        success: false,
+        error: `period must be one of: ${Object.keys(EARNINGS_PERIODS).join(', ')}`
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+    }
+
+    const earnings = await getDriverEarnings(req.user.id, { period, from: fromDate, to: toDate });
+
+    res.json({ success: true, period, ...earnings });
+
+  } catch (error) {
+    console.error('Driver earnings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch earnings'
+    });
+  }
+});
+
+// My weekly payout statements
+router.get('/me/payouts', authenticateToken, requireUserType('driver'), async (req, res) => {
+  try {
+    const payouts = await getDriverPayouts(req.user.id);
+
+    res.json({ success: true, payouts });
+
+  } catch (error) {
+    console.error('Driver payouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payout statements'
+    });
+  }
+});
+
+// One payout statement with its ledger entries
+router.get('/me/payouts/:payout_id', authenticateToken, requireUserType('driver'), async (req, res) => {
+  try {
+    const statement = await getPayoutStatement(req.params.payout_id, req.user.id);
+    if (!statement) {
+      return res.status(404).json({ success: false, error: 'Payout statement not found' });
+    }
+
+    res.json({ success: true, ...statement });
+
+  } catch (error) {
+    console.error('Payout statement error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payout statement'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// backend/src/routes/payments.js
+// Payment provider callbacks - called by Safaricom Daraja, not by the apps
+
+const express = require('express');
+const router = express.Router();
+const { isValidCallbackToken } = require('../utils/callbackAuth');
+const { parseStkCallback } = require('../utils/mpesa');
+const { handleStkCallback } = require('../utils/payments');
+
+// Daraja doesn't sign callbacks, so the callback URL carries a shared secret
+const MPESA_CALLBACK_SECRET = process.env.MPESA_CALLBACK_SECRET || '';
+
+// M-Pesa STK Push result
+router.post('/mpesa/callback', async (req, res) => {
+  try {
+    if (!isValidCallbackToken(req.query.token, MPESA_CALLBACK_SECRET)) {
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    const callback = parseStkCallback(req.body);
+    if (!callback) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Malformed callback' });
+    }
+
+    const { payment } = await handleStkCallback(callback);
+
+    // Stored for reconciliation; a non-zero code makes Daraja retry once we know the request
+    if (!payment) {
+      return res.json({ ResultCode: 1, ResultDesc: 'Unknown request' });
+    }
+
+    // Always acknowledge known requests so Daraja doesn't keep retrying
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+  } catch (error) {
+    console.error('M-Pesa callback error:', error);
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Failed to process callback' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+// backend/src/routes/share.js
+// Public trip-sharing feed - read-only, no login required
+
+const express = require('express');
+const router = express.Router();
+const { resolveTripShare, recordShareView } = require('../utils/tripShare');
+const { getDriverLocation } = require('../utils/location');
+const { getRoute } = require('../utils/routing');
+const db = require('../db');
+
+// Get the live state of a shared trip
+router.get('/:token', async (req, res) => {
+  try {
+    const share = await resolveTripShare(req.params.token);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'This trip link has expired or is no longer available'
+      });
+    }
+
+    await recordShareView(share.id, {
+      channel: 'feed',
+      ip_address: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    const tripResult = await db.query(
+      `SELECT t.status, t.driver_id, t.pickup_address, t.dropoff_address, t.started_at,
+              ST_Y(t.pickup_location::geometry) AS pickup_latitude,
+              ST_X(t.pickup_location::geometry) AS pickup_longitude,
+              ST_Y(t.dropoff_location::geometry) AS dropoff_latitude,
+              ST_X(t.dropoff_location::geometry) AS dropoff_longitude,
+              d.full_name AS driver_name,
+              dp.profile_photo_url AS driver_photo_url
+       FROM trips t
+       LEFT JOIN users d ON t.driver_id = d.id
+       LEFT JOIN driver_profiles dp ON dp.user_id = t.driver_id
+       WHERE t.id = $1`,
+      [share.trip_id]
+    );
+
+    const trip = tripResult.rows[0];
+    const driverLocation = trip.driver_id ? await getDriverLocation(trip.driver_id) : null;
+
+    // ETA to pickup until the trip starts, then to dropoff
+    let etaMinutes = null;
+    if (driverLocation) {
+      const target = trip.status === 'in_progress'
+        ? { latitude: trip.dropoff_latitude, longitude: trip.dropoff_longitude }
+        : { latitude: trip.pickup_latitude, longitude: trip.pickup_longitude };
+
+      etaMinutes = (await getRoute(driverLocation, target)).duration_min;
+    }
+
+    res.json({
+      success: true,
+      trip: {
+        status: trip.status,
+        pickup_address: trip.pickup_address,
+        dropoff_address: trip.dropoff_address,
+        started_at: trip.started_at
+      },
+      driver: trip.driver_id ? {
+        name: trip.driver_name,
+        profile_photo_url: trip.driver_photo_url
+      } : null,
+      driver_location: driverLocation,
+      eta_minutes: etaMinutes
+    });
+
+  } catch (error) {
+    console.error('Shared trip error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load shared trip'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+// backend/src/socket/index.js
+// Socket.io connection handlers
+
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { resolveTripShare, recordShareView, getShareRoom } = require('../utils/tripShare');
+const { recordDriverLocations } = require('../utils/locationUpdates');
+const { sendTripMessage, markTripMessages } = require('../utils/tripChat');
+const { getActorRole, getActiveTrip } = require('../utils/tripStateMachine');
+
+// Room the admin dashboard listens on (SOS, fraud and rating alerts)
+const ADMIN_ROOM = 'admin';
+
+/**
+ * Identify the user from the JWT sent in the handshake (auth.token).
+ * Connections without a token are allowed but anonymous (share-link viewers).
+ * A driver suspended mid-trip (e.g. after a client's SOS) may still connect,
+ * limited to that trip's room and location stream.
+ */
+async function authenticateSocket(socket, next) {
+  const { token } = socket.handshake.auth || {};
+  socket.data.user = null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const result = await db.query(
+      `SELECT id, user_type, status FROM users WHERE id = $1`,
+      [decoded.id]
+    );
+
+    const user = result.rows[0];
+    if (!user) {
+      return next(new Error('Authentication failed'));
+    }
+
+    if (user.status !== 'active') {
+      const activeTrip = user.status === 'suspended' && user.user_type === 'driver'
+        ? await getActiveTrip(db, user)
+        : null;
+      if (!activeTrip) {
+        return next(new Error('Authentication failed'));
+      }
+
+      socket.data.user = { id: user.id, user_type: user.user_type, restricted_to_trip_id: activeTrip.id };
+      return next();
+    }
+
+    socket.data.user = { id: user.id, user_type: user.user_type };
+    next();
+  } catch (error) {
+    next(new Error('Authentication failed'));
+  }
+}
+
+/**
+ * Whether a user may follow a trip's room (live location, status, chat):
+ * only its client, its driver or an admin. Share-link viewers get the
+ * separate share room through join_shared_trip instead.
+ * @param {Object|null} user - Socket user
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<boolean>}
+ */
+async function canJoinTripRoom(user, tripId) {
+  if (!user || !tripId) {
+    return false;
+  }
+
+  if (user.restricted_to_trip_id && user.restricted_to_trip_id !== tripId) {
+    return false;
+  }
+
+  const result = await db.query(
+    'SELECT client_id, driver_id FROM trips WHERE id = $1',
+    [tripId]
+  );
+
+  const trip = result.rows[0];
+  return Boolean(trip && getActorRole(trip, user));
+}
+
+/**
+ * Register Socket.io event handlers
+ * @param {Object} io - Socket.io server
+ */
+function setupSocketIO(io) {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    // Rooms are only ever joined here, after checking who the user is;
+    // clients can't join a room by name themselves
+    socket.on('join_trip', async (tripId, callback = () => {}) => {
+      try {
+        if (!(await canJoinTripRoom(socket.data.user, tripId))) {
+          return callback({ success: false, error: 'Unauthorized' });
+        }
+
+        socket.join(`trip_${tripId}`);
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Join trip error:', error);
+        callback({ success: false, error: 'Failed to join trip' });
+      }
+    });
+
+    socket.on('leave_trip', (tripId, callback = () => {}) => {
+      socket.leave(`trip_${tripId}`);
+      callback({ success: true });
+    });
+
+    socket.on('join_admin', (callback = () => {}) => {
+      const { user } = socket.data;
+      if (!user || user.user_type !== 'admin') {
+        return callback({ success: false, error: 'Unauthorized' });
+      }
+
+      socket.join(ADMIN_ROOM);
+      callback({ success: true });
+    });
+
+    // Drivers stream location in batches; points buffered while offline are
+    // sent with their original timestamps. The ack tells the app which points
+    // it can drop from its buffer.
+    socket.on('driver_location_batch', async (payload = {}, callback = () => {}) => {
+      try {
+        const { user } = socket.data;
+        if (!user || user.user_type !== 'driver') {
+          return callback({ success: false, error: 'Unauthorized' });
+        }
+
+        const tripId = payload.trip_id || null;
+        if (user.restricted_to_trip_id && tripId && tripId !== user.restricted_to_trip_id) {
+          return callback({ success: false, error: 'Unauthorized' });
+        }
+
+        const result = await recordDriverLocations(io, user.id, tripId, payload.points);
+        if (result.error) {
+          return callback({ success: false, error: result.error });
+        }
+
+        callback({ success: true, ...result });
+
+      } catch (error) {
+        console.error('Location batch error:', error);
+        callback({ success: false, error: 'Failed to store locations' });
+      }
+    });
+
+    // In-trip chat. Messages and receipts are pushed to the trip room as
+    // chat_message and chat_receipt; the ack carries the stored message.
+    socket.on('chat_send', async (payload = {}, callback = () => {}) => {
+      try {
+        const { user } = socket.data;
+        if (!user || user.restricted_to_trip_id) {
+          return callback({ success: false, error: 'Unauthorized' });
+        }
+
+        const result = await sendTripMessage(io, payload.trip_id, user, payload);
+        if (result.error) {
+          return callback({ success: false, error: result.error });
+        }
+
+        callback({ success: true, message: result.message });
+
+      } catch (error) {
+        console.error('Chat send error:', error);
+        callback({ success: false, error: 'Failed to send message' });
+      }
+    });
+
+    // Mark the other party's messages: { trip_id, receipt: 'delivered' | 'read', up_to_message_id }
+    socket.on('chat_mark', async (payload = {}, callback = () => {}) => {
+      try {
+        const { user } = socket.data;
+        if (!user || user.restricted_to_trip_id) {
+          return callback({ success: false, error: 'Unauthorized' });
+        }
+
+        if (payload.receipt !== 'delivered' && payload.receipt !== 'read') {
+          return callback({ success: false, error: "receipt must be 'delivered' or 'read'" });
+        }
+
+        const result = await markTripMessages(
+          io,
+          payload.trip_id,
+          user,
+          payload.receipt,
+          payload.up_to_message_id || null
+        );
+        if (result.error) {
+          return callback({ success: false, error: result.error });
+        }
+
+        callback({ success: true, ...result });
+
+      } catch (error) {
+        console.error('Chat receipt error:', error);
+        callback({ success: false, error: 'Failed to update message status' });
+      }
+    });
+
+    // Share-link viewers (no login) follow a trip's live location and status
+    socket.on('join_shared_trip', async (token, callback = () => {}) => {
+      try {
+        const share = await resolveTripShare(token);
+
+        if (!share) {
+          return callback({
+            success: false,
+            error: 'This trip link has expired or is no longer available'
+          });
+        }
+
+        socket.data.shareId = share.id;
+        socket.join(getShareRoom(share.trip_id));
+
+        await recordShareView(share.id, {
+          channel: 'socket',
+          ip_address: socket.handshake.address,
+          user_agent: socket.handshake.headers['user-agent']
+        });
+
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Join shared trip error:', error);
+        callback({ success: false, error: 'Failed to join shared trip' });
+      }
+    });
+  });
+}
+
+module.exports = setupSocketIO;
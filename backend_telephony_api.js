@@ -0,0 +1,41 @@
+// backend/src/routes/telephony.js
+// Telephony provider callbacks for masked calls - called by the voice provider, not by the apps
+
+const express = require('express');
+const router = express.Router();
+const { isValidCallbackToken } = require('../utils/callbackAuth');
+const { getTelephonyProvider } = require('../utils/telephony');
+const { routeInboundCall, recordCallStatus } = require('../utils/numberMasking');
+
+// Voice callbacks aren't signed, so the callback URL carries a shared secret
+const TELEPHONY_CALLBACK_SECRET = process.env.TELEPHONY_CALLBACK_SECRET || '';
+
+// Inbound call to a proxy number, or the final status of one
+router.post('/voice', async (req, res) => {
+  try {
+    if (!isValidCallbackToken(req.query.token, TELEPHONY_CALLBACK_SECRET)) {
+      return res.status(403).json({ success: false, error: 'Rejected' });
+    }
+
+    const provider = getTelephonyProvider();
+    const event = provider.parseEvent(req.body);
+
+    if (!event.call_id) {
+      return res.status(400).json({ success: false, error: 'Malformed callback' });
+    }
+
+    if (event.type === 'status') {
+      await recordCallStatus(event);
+      return res.status(200).end();
+    }
+
+    const response = await routeInboundCall(event);
+    res.type(response.contentType).send(response.body);
+
+  } catch (error) {
+    console.error('Voice callback error:', error);
+    res.status(500).json({ success: false, error: 'Failed to process callback' });
+  }
+});
+
+module.exports = router;
@@ -4,40 +4,284 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken, requireUserType } = require('../middleware/auth');
-const { calculatePrice, calculateDistance } = require('../utils/pricing');
-const { findNearbyDrivers } = require('../utils/location');
+const { calculatePriceBreakdown } = require('../utils/pricing');
+const { getRoute } = require('../utils/routing');
+const { getSurgeMultiplier } = require('../utils/surge');
+const { findServiceArea } = require('../utils/location');
 const { notifyDriver, notifyClient } = require('../utils/notifications');
+const { finalizeTripFare } = require('../utils/fare');
+const { validateScheduledTime } = require('../utils/scheduledTrips');
+const { createQuoteToken, verifyQuoteToken } = require('../utils/quote');
+const {
+  validateCancellationReason,
+  calculateCancellationFee,
+  applyCancellationLimits,
+  getBookingRestriction
+} = require('../utils/cancellation');
+const { startDispatch, declineOffer, acceptOffer, stopDispatch } = require('../utils/dispatch');
+const {
+  TRIP_STATUSES,
+  TERMINAL_STATUSES,
+  getActorRole,
+  checkTransition,
+  transitionTrip,
+  getActiveTrip,
+  getActiveTripConflict
+} = require('../utils/tripStateMachine');
+const { getShareRoom, createTripShare, revokeTripShare, endTripShares } = require('../utils/tripShare');
+const { triggerSOS } = require('../utils/sos');
+const { getAmountDue, getTripPayments, startTripPayment, recordCashPayment } = require('../utils/payments');
+const { validateRating, checkRatingWindow, addDriverRating, flagLowRatedDriver } = require('../utils/ratings');
+const { recordDriverLocations } = require('../utils/locationUpdates');
+const { recordTripEarnings } = require('../utils/earnings');
+const { getOrIssueReceipt, renderReceiptHtml, renderReceiptPdf, emailReceipt } = require('../utils/receipts');
+const { parseHistoryFilters, fetchHistoryPage, writeHistoryCsv } = require('../utils/tripHistory');
+const { getTripSnapshot } = require('../utils/tripSnapshot');
+const { idempotent } = require('../utils/idempotency');
+const { resolveCorporateBooking, billCorporateTrip, getMembership } = require('../utils/corporate');
+const { openCallSession, releaseCallSession, getCallNumber } = require('../utils/numberMasking');
+const {
+  CHAT_LANGUAGES,
+  getQuickReplies,
+  getChatAccess,
+  sendTripMessage,
+  markTripMessages,
+  getTripMessages
+} = require('../utils/tripChat');
 const db = require('../db');
 
-// Request a new trip
-router.post('/request', authenticateToken, requireUserType('client'), async (req, res) => {
+/**
+ * Estimate distance, duration and price for a trip
+ * @param {Object} pickup_location - { latitude, longitude }
+ * @param {Object} dropoff_location - { latitude, longitude }
+ * @param {Date|null} scheduledFor - Pickup time for scheduled rides, null for rides now
+ * @param {Object} serviceArea - Service area containing the pickup
+ * @returns {Promise<Object>} Estimate in the same shape as a signed quote
+ */
+async function estimateTrip(pickup_location, dropoff_location, scheduledFor, serviceArea) {
+  // Road distance and driving time (straight-line estimate if the routing engine is down)
+  const route = await getRoute(pickup_location, dropoff_location);
+
+  // The area's own pricing, falling back to the global config
+  const pricingConfigResult = await db.query(
+    `SELECT * FROM pricing_config
+     WHERE is_active = true AND (service_area_id = $1 OR service_area_id IS NULL)
+     ORDER BY service_area_id IS NULL, created_at DESC
+     LIMIT 1`,
+    [serviceArea.id]
+  );
+  const pricingConfig = pricingConfigResult.rows[0];
+
+  // Scheduled rides are priced for the pickup time; surge only applies to rides now.
+  // Surge is stored on the trip so the final fare uses the same value.
+  const surge = scheduledFor
+    ? { zone_id: null, multiplier: 1 }
+    : await getSurgeMultiplier(pickup_location.latitude, pickup_location.longitude);
+
+  const priceBreakdown = calculatePriceBreakdown(route.distance_km, scheduledFor || new Date(), pricingConfig, {
+    durationMin: route.duration_min,
+    surgeMultiplier: surge.multiplier,
+    timeZone: serviceArea.timezone
+  });
+
+  return {
+    pickup_location,
+    dropoff_location,
+    scheduled_for: scheduledFor,
+    estimated_price: priceBreakdown.total,
+    estimated_distance_km: route.distance_km,
+    estimated_duration_min: route.duration_min,
+    surge_multiplier: surge.multiplier,
+    surge_zone_id: surge.zone_id,
+    pricing_config_id: pricingConfig.id,
+    service_area_id: serviceArea.id,
+    price_breakdown: priceBreakdown.items,
+    route: { polyline: route.polyline, source: route.source }
+  };
+}
+
+function isValidLocation(location) {
+  return Boolean(location?.latitude && location?.longitude);
+}
+
+const OUTSIDE_SERVICE_AREA_ERROR = 'Pickup location is outside our service areas';
+
+// Each policy override can pay for one trip
+function getApprovalConflict(error) {
+  return error.constraint === 'idx_trips_corporate_approval' ? 'This approval has already been used' : null;
+}
+
+// Get a fare quote with an itemised breakdown and a token that locks the price
+router.post('/quote', authenticateToken, requireUserType('client'), async (req, res) => {
   try {
-    const { pickup_location, dropoff_location } = req.body;
+    const { pickup_location, dropoff_location, scheduled_for, corporate_account_id, cost_centre_id, approval_id } = req.body;
+
+    // Validate locations
+    if (!isValidLocation(pickup_location) || !isValidLocation(dropoff_location)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pickup or dropoff location'
+      });
+    }
+
+    const scheduledFor = scheduled_for ? new Date(scheduled_for) : null;
+    if (scheduledFor) {
+      const scheduleError = validateScheduledTime(scheduledFor);
+      if (scheduleError) {
+        return res.status(400).json({ success: false, error: scheduleError });
+      }
+    }
+
+    const serviceArea = await findServiceArea(pickup_location.latitude, pickup_location.longitude);
+    if (!serviceArea) {
+      return res.status(400).json({ success: false, error: OUTSIDE_SERVICE_AREA_ERROR });
+    }
+
+    const estimate = await estimateTrip(pickup_location, dropoff_location, scheduledFor, serviceArea);
+    const { token, expires_at } = createQuoteToken(req.user.id, estimate);
+
+    // Tell employees up front whether the company will pay for this trip
+    let corporatePolicy;
+    if (corporate_account_id) {
+      const corporate = await resolveCorporateBooking(
+        req.user,
+        { corporate_account_id, cost_centre_id, approval_id },
+        { ...estimate, service_area: serviceArea }
+      );
+      if (corporate.error && !corporate.violations) {
+        return res.status(corporate.status).json({ success: false, error: corporate.error });
+      }
+      corporatePolicy = {
+        within_policy: !corporate.error,
+        violations: corporate.violations || [],
+        approval_id: corporate.billing ? corporate.billing.corporate_approval_id : null
+      };
+    }
+
+    res.json({
+      success: true,
+      estimated_price: estimate.estimated_price,
+      estimated_distance_km: estimate.estimated_distance_km,
+      estimated_duration_min: estimate.estimated_duration_min,
+      surge_multiplier: estimate.surge_multiplier,
+      price_breakdown: estimate.price_breakdown,
+      route: estimate.route,
+      scheduled_for: scheduledFor,
+      city: serviceArea.city,
+      quote_token: token,
+      quote_expires_at: expires_at,
+      corporate_policy: corporatePolicy
+    });
+
+  } catch (error) {
+    console.error('Trip quote error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get trip quote'
+    });
+  }
+});
+
+// Request a new trip (now, or scheduled in advance with scheduled_for)
+router.post('/request', authenticateToken, requireUserType('client'), idempotent('trip_request'), async (req, res) => {
+  try {
+    const {
+      pickup_location,
+      dropoff_location,
+      scheduled_for,
+      quote_token,
+      corporate_account_id,
+      cost_centre_id,
+      approval_id
+    } = req.body;
     const client_id = req.user.id;
 
     // Validate locations
-    if (!pickup_location?.latitude || !pickup_location?.longitude ||
-        !dropoff_location?.latitude || !dropoff_location?.longitude) {
+    if (!isValidLocation(pickup_location) || !isValidLocation(dropoff_location)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid pickup or dropoff location'
       });
     }
 
-    // Calculate distance and price
-    const distance = calculateDistance(
-      pickup_location.latitude,
-      pickup_location.longitude,
-      dropoff_location.latitude,
-      dropoff_location.longitude
-    );
+    const scheduledFor = scheduled_for ? new Date(scheduled_for) : null;
+    if (scheduledFor) {
+      const scheduleError = validateScheduledTime(scheduledFor);
+      if (scheduleError) {
+        return res.status(400).json({ success: false, error: scheduleError });
+      }
+    }
 
-    const pricingConfig = await db.query(
-      'SELECT * FROM pricing_config WHERE is_active = true ORDER BY created_at DESC LIMIT 1'
-    );
+    const restrictedUntil = await getBookingRestriction(client_id);
+    if (restrictedUntil) {
+      return res.status(403).json({
+        success: false,
+        error: 'Bookings are temporarily restricted because of repeated cancellations',
+        restricted_until: restrictedUntil
+      });
+    }
+
+    // One trip at a time; rides booked in advance only count once dispatched
+    const activeTrip = await getActiveTrip(db, req.user);
+    if (activeTrip) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have an active trip',
+        active_trip_id: activeTrip.id,
+        active_trip_status: activeTrip.status
+      });
+    }
+
+    const serviceArea = await findServiceArea(pickup_location.latitude, pickup_location.longitude);
+    if (!serviceArea) {
+      return res.status(400).json({ success: false, error: OUTSIDE_SERVICE_AREA_ERROR });
+    }
+
+    // Honour the locked price from a quote, otherwise price the trip now
+    let estimate;
+    if (quote_token) {
+      const { quote, error } = verifyQuoteToken(
+        quote_token,
+        client_id,
+        pickup_location,
+        dropoff_location,
+        scheduledFor
+      );
+
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
 
-    const estimatedPrice = calculatePrice(distance, new Date(), pricingConfig.rows[0]);
-    const estimatedDuration = Math.round(distance / 0.6); // Assume 36 km/h average speed
+      // The token doesn't carry the polyline; the quote's route is usually still cached
+      const route = await getRoute(pickup_location, dropoff_location);
+      estimate = { ...quote, route: { polyline: route.polyline, source: route.source } };
+    } else {
+      estimate = await estimateTrip(pickup_location, dropoff_location, scheduledFor, serviceArea);
+    }
+
+    // Who pays: the client, or their company if the trip is within its policy (or approved)
+    let billing = { billing_type: 'personal', corporate_account_id: null, cost_centre_id: null, corporate_approval_id: null };
+    if (corporate_account_id) {
+      const corporate = await resolveCorporateBooking(
+        req.user,
+        { corporate_account_id, cost_centre_id, approval_id },
+        {
+          estimated_price: estimate.estimated_price,
+          scheduled_for: scheduledFor,
+          service_area: serviceArea,
+          pickup_location,
+          dropoff_location
+        }
+      );
+      if (corporate.error) {
+        return res.status(corporate.status).json({
+          success: false,
+          error: corporate.error,
+          violations: corporate.violations
+        });
+      }
+      billing = corporate.billing;
+    }
 
     // Create trip
     const tripResult = await db.query(
@@ -50,7 +294,16 @@ router.post('/request', authenticateToken, requireUserType('client'), async (req
         estimated_distance_km,
         estimated_duration_min,
         estimated_price,
-        status
+        pricing_config_id,
+        surge_multiplier,
+        surge_zone_id,
+        scheduled_for,
+        service_area_id,
+        status,
+        billing_type,
+        corporate_account_id,
+        cost_centre_id,
+        corporate_approval_id
       ) VALUES (
         $1,
         ST_SetSRID(ST_MakePoint($2, $3), 4326),
@@ -60,8 +313,17 @@ router.post('/request', authenticateToken, requireUserType('client'), async (req
         $8,
         $9,
         $10,
-        'pending'
-      ) RETURNING id, estimated_price, estimated_distance_km, estimated_duration_min`,
+        $11,
+        $12,
+        $13,
+        $14,
+        $15,
+        $16,
+        $17,
+        $18,
+        $19,
+        $20
+      ) RETURNING id, status, scheduled_for, estimated_price, estimated_distance_km, estimated_duration_min`,
       [
         client_id,
         pickup_location.longitude,
@@ -70,30 +332,43 @@ router.post('/request', authenticateToken, requireUserType('client'), async (req
         dropoff_location.longitude,
         dropoff_location.latitude,
         dropoff_location.address,
-        distance,
-        estimatedDuration,
-        estimatedPrice
+        estimate.estimated_distance_km,
+        estimate.estimated_duration_min,
+        estimate.estimated_price,
+        estimate.pricing_config_id,
+        estimate.surge_multiplier,
+        estimate.surge_zone_id,
+        scheduledFor,
+        serviceArea.id,
+        scheduledFor ? 'scheduled' : 'pending',
+        billing.billing_type,
+        billing.corporate_account_id,
+        billing.cost_centre_id,
+        billing.corporate_approval_id
       ]
     );
 
     const trip = tripResult.rows[0];
 
-    // Find nearby available drivers
-    const nearbyDrivers = await findNearbyDrivers(
-      pickup_location.latitude,
-      pickup_location.longitude,
-      5 // 5km radius
-    );
+    if (billing.corporate_approval_id) {
+      await db.query(
+        `UPDATE corporate_approvals SET status = 'used', trip_id = $2, used_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [billing.corporate_approval_id, trip.id]
+      );
+    }
 
-    // Notify nearby drivers
-    nearbyDrivers.forEach(driver => {
-      notifyDriver(driver.user_id, 'new_trip_request', {
-        trip_id: trip.id,
-        pickup_location,
-        dropoff_location,
-        estimated_price: trip.estimated_price
-      });
-    });
+    // Offer the trip to the best-ranked nearby driver (scheduled trips are
+    // dispatched later by the scheduled trips job). The trip exists now, so a
+    // dispatch failure still returns it rather than a 500 the client can't retry past
+    let availableDriversCount = null;
+    if (!scheduledFor) {
+      try {
+        availableDriversCount = await startDispatch(trip.id);
+      } catch (error) {
+        console.error('Trip dispatch error:', error);
+        availableDriversCount = 0;
+      }
+    }
 
     // Log action
     await db.query(
@@ -104,7 +379,13 @@ router.post('/request', authenticateToken, requireUserType('client'), async (req
         'trip_requested',
         'trip',
         trip.id,
-        JSON.stringify({ pickup_location, dropoff_location }),
+        JSON.stringify({
+          pickup_location,
+          dropoff_location,
+          scheduled_for: scheduledFor,
+          quoted: Boolean(quote_token),
+          billing
+        }),
         req.ip
       ]
     );
@@ -112,13 +393,26 @@ router.post('/request', authenticateToken, requireUserType('client'), async (req
     res.json({
       success: true,
       trip_id: trip.id,
+      status: trip.status,
+      scheduled_for: trip.scheduled_for,
+      city: serviceArea.city,
+      billing,
       estimated_price: parseFloat(trip.estimated_price),
       estimated_distance_km: parseFloat(trip.estimated_distance_km),
       estimated_duration_min: trip.estimated_duration_min,
-      available_drivers_count: nearbyDrivers.length
+      surge_multiplier: estimate.surge_multiplier,
+      price_breakdown: estimate.price_breakdown,
+      route: estimate.route,
+      available_drivers_count: availableDriversCount
     });
 
   } catch (error) {
+    // A concurrent request created the client's active trip first
+    const conflict = getActiveTripConflict(error) || getApprovalConflict(error);
+    if (conflict) {
+      return res.status(409).json({ success: false, error: conflict });
+    }
+
     console.error('Trip request error:', error);
     res.status(500).json({
       success: false,
@@ -127,8 +421,179 @@ router.post('/request', authenticateToken, requireUserType('client'), async (req
   }
 });
 
+// Edit a scheduled trip before dispatch starts (client)
+router.patch('/:trip_id/schedule', authenticateToken, requireUserType('client'), async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+    const client_id = req.user.id;
+
+    const tripResult = await db.query(
+      `SELECT id, client_id, status, scheduled_for, pickup_address, dropoff_address,
+              billing_type, corporate_account_id, cost_centre_id, corporate_approval_id,
+              ST_Y(pickup_location::geometry) AS pickup_latitude,
+              ST_X(pickup_location::geometry) AS pickup_longitude,
+              ST_Y(dropoff_location::geometry) AS dropoff_latitude,
+              ST_X(dropoff_location::geometry) AS dropoff_longitude
+       FROM trips
+       WHERE id = $1`,
+      [trip_id]
+    );
+
+    const existing = tripResult.rows[0];
+    if (!existing || existing.client_id !== client_id) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    if (existing.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only scheduled trips that have not been dispatched can be edited'
+      });
+    }
+
+    const pickup_location = req.body.pickup_location || {
+      latitude: existing.pickup_latitude,
+      longitude: existing.pickup_longitude,
+      address: existing.pickup_address
+    };
+    const dropoff_location = req.body.dropoff_location || {
+      latitude: existing.dropoff_latitude,
+      longitude: existing.dropoff_longitude,
+      address: existing.dropoff_address
+    };
+    const scheduledFor = req.body.scheduled_for
+      ? new Date(req.body.scheduled_for)
+      : new Date(existing.scheduled_for);
+
+    if (!isValidLocation(pickup_location) || !isValidLocation(dropoff_location)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pickup or dropoff location'
+      });
+    }
+
+    const scheduleError = validateScheduledTime(scheduledFor);
+    if (scheduleError) {
+      return res.status(400).json({ success: false, error: scheduleError });
+    }
+
+    const serviceArea = await findServiceArea(pickup_location.latitude, pickup_location.longitude);
+    if (!serviceArea) {
+      return res.status(400).json({ success: false, error: OUTSIDE_SERVICE_AREA_ERROR });
+    }
+
+    const estimate = await estimateTrip(pickup_location, dropoff_location, scheduledFor, serviceArea);
+
+    // A company-paid trip must stay within policy (or its approval) after the edit
+    let approvalId = existing.corporate_approval_id;
+    if (existing.billing_type === 'corporate') {
+      const corporate = await resolveCorporateBooking(
+        req.user,
+        {
+          corporate_account_id: existing.corporate_account_id,
+          cost_centre_id: existing.cost_centre_id,
+          approval_id: existing.corporate_approval_id
+        },
+        { ...estimate, scheduled_for: scheduledFor, service_area: serviceArea },
+        trip_id
+      );
+      if (corporate.error) {
+        return res.status(corporate.status).json({
+          success: false,
+          error: corporate.error,
+          violations: corporate.violations
+        });
+      }
+      approvalId = corporate.billing.corporate_approval_id;
+    }
+
+    // Only applies if the scheduler hasn't started dispatch in the meantime
+    const updateResult = await db.query(
+      `UPDATE trips
+       SET pickup_location = ST_SetSRID(ST_MakePoint($2, $3), 4326),
+           pickup_address = $4,
+           dropoff_location = ST_SetSRID(ST_MakePoint($5, $6), 4326),
+           dropoff_address = $7,
+           scheduled_for = $8,
+           estimated_distance_km = $9,
+           estimated_duration_min = $10,
+           estimated_price = $11,
+           pricing_config_id = $12,
+           service_area_id = $13,
+           corporate_approval_id = $14,
+           reminder_sent_at = NULL,
+           dispatch_held_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'scheduled'
+       RETURNING id, status, scheduled_for, estimated_price, estimated_distance_km, estimated_duration_min`,
+      [
+        trip_id,
+        pickup_location.longitude,
+        pickup_location.latitude,
+        pickup_location.address,
+        dropoff_location.longitude,
+        dropoff_location.latitude,
+        dropoff_location.address,
+        scheduledFor,
+        estimate.estimated_distance_km,
+        estimate.estimated_duration_min,
+        estimate.estimated_price,
+        estimate.pricing_config_id,
+        serviceArea.id,
+        approvalId
+      ]
+    );
+
+    if (updateResult.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only scheduled trips that have not been dispatched can be edited'
+      });
+    }
+
+    const trip = updateResult.rows[0];
+
+    // Log action
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        client_id,
+        'scheduled_trip_updated',
+        'trip',
+        trip_id,
+        JSON.stringify({
+          pickup_location,
+          dropoff_location,
+          scheduled_for: scheduledFor
+        }),
+        req.ip
+      ]
+    );
+
+    res.json({
+      success: true,
+      trip_id: trip.id,
+      status: trip.status,
+      scheduled_for: trip.scheduled_for,
+      estimated_price: parseFloat(trip.estimated_price),
+      estimated_distance_km: parseFloat(trip.estimated_distance_km),
+      estimated_duration_min: trip.estimated_duration_min,
+      price_breakdown: estimate.price_breakdown,
+      route: estimate.route
+    });
+
+  } catch (error) {
+    console.error('Scheduled trip update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update scheduled trip'
+    });
+  }
+});
+
 // Accept a trip (driver)
-router.post('/:trip_id/accept', authenticateToken, requireUserType('driver'), async (req, res) => {
+router.post('/:trip_id/accept', authenticateToken, requireUserType('driver'), idempotent('trip_accept'), async (req, res) => {
   const client = await db.getClient();
   
   try {
@@ -139,14 +604,16 @@ router.post('/:trip_id/accept', authenticateToken, requireUserType('driver'), as
 
     // Check if driver is approved and available
     const driverCheck = await client.query(
-      `SELECT approval_status, is_available 
-       FROM driver_profiles 
-       WHERE user_id = $1`,
+      `SELECT dp.approval_status, dp.is_available, u.status
+       FROM driver_profiles dp
+       JOIN users u ON dp.user_id = u.id
+       WHERE dp.user_id = $1`,
       [driver_id]
     );
 
     if (!driverCheck.rows[0] || 
         driverCheck.rows[0].approval_status !== 'approved' ||
+        driverCheck.rows[0].status !== 'active' ||
         !driverCheck.rows[0].is_available) {
       await client.query('ROLLBACK');
       return res.status(403).json({
@@ -155,19 +622,47 @@ router.post('/:trip_id/accept', authenticateToken, requireUserType('driver'), as
       });
     }
 
+    const restrictedUntil = await getBookingRestriction(driver_id);
+    if (restrictedUntil) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: 'Accepting trips is temporarily restricted because of repeated cancellations',
+        restricted_until: restrictedUntil
+      });
+    }
+
+    const activeTrip = await getActiveTrip(client, req.user);
+    if (activeTrip) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'You are already on a trip',
+        active_trip_id: activeTrip.id
+      });
+    }
+
+    // Only the driver currently holding the offer may accept
+    const offer = await acceptOffer(client, trip_id, driver_id);
+    if (!offer) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'No active offer for this trip'
+      });
+    }
+
     // Try to accept the trip (only if still pending)
-    const updateResult = await client.query(
-      `UPDATE trips 
-       SET driver_id = $1, 
-           status = 'accepted',
-           accepted_at = CURRENT_TIMESTAMP
-       WHERE id = $2 
-         AND status = 'pending'
-       RETURNING *`,
-      [driver_id, trip_id]
+    const trip = await transitionTrip(
+      client,
+      trip_id,
+      'pending',
+      'accepted',
+      { id: driver_id, role: 'driver' },
+      { driver_id }
     );
 
-    if (updateResult.rows.length === 0) {
+    if (!trip) {
       await client.query('ROLLBACK');
       return res.status(409).json({
         success: false,
@@ -175,22 +670,34 @@ router.post('/:trip_id/accept', authenticateToken, requireUserType('driver'), as
       });
     }
 
-    const trip = updateResult.rows[0];
-
     // Mark driver as unavailable
     await client.query(
       'UPDATE driver_profiles SET is_available = false WHERE user_id = $1',
       [driver_id]
     );
 
-    // Get client details
+    // Get client details (the phone number stays private; calls go through a proxy number)
     const clientResult = await client.query(
-      'SELECT full_name, phone_number FROM users WHERE id = $1',
+      'SELECT full_name FROM users WHERE id = $1',
       [trip.client_id]
     );
 
+    const locationsResult = await client.query(
+      `SELECT ST_Y(pickup_location::geometry) AS pickup_latitude,
+              ST_X(pickup_location::geometry) AS pickup_longitude,
+              ST_Y(dropoff_location::geometry) AS dropoff_latitude,
+              ST_X(dropoff_location::geometry) AS dropoff_longitude
+       FROM trips WHERE id = $1`,
+      [trip.id]
+    );
+    const locations = locationsResult.rows[0];
+
     await client.query('COMMIT');
 
+    await stopDispatch(trip.id);
+
+    const callSession = await openCallSession(trip.id);
+
     // Notify client
     notifyClient(trip.client_id, 'trip_accepted', {
       trip_id: trip.id,
@@ -209,13 +716,16 @@ router.post('/:trip_id/accept', authenticateToken, requireUserType('driver'), as
       trip: {
         id: trip.id,
         client_name: clientResult.rows[0].full_name,
-        client_phone: clientResult.rows[0].phone_number,
+        call_number: callSession ? callSession.proxy_number : null,
         pickup_location: {
           address: trip.pickup_address,
-          // Convert PostGIS to lat/lng (simplified)
+          latitude: locations.pickup_latitude,
+          longitude: locations.pickup_longitude
         },
         dropoff_location: {
           address: trip.dropoff_address,
+          latitude: locations.dropoff_latitude,
+          longitude: locations.dropoff_longitude
         },
         estimated_price: parseFloat(trip.estimated_price)
       }
@@ -223,6 +733,13 @@ router.post('/:trip_id/accept', authenticateToken, requireUserType('driver'), as
 
   } catch (error) {
     await client.query('ROLLBACK');
+
+    // The driver accepted another trip concurrently
+    const conflict = getActiveTripConflict(error);
+    if (conflict) {
+      return res.status(409).json({ success: false, error: conflict });
+    }
+
     console.error('Trip accept error:', error);
     res.status(500).json({
       success: false,
@@ -233,138 +750,347 @@ router.post('/:trip_id/accept', authenticateToken, requireUserType('driver'), as
   }
 });
 
+// Decline a trip offer (driver)
+router.post('/:trip_id/decline', authenticateToken, requireUserType('driver'), async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+    const { reason } = req.body;
+    const driver_id = req.user.id;
+
+    const declined = await declineOffer(trip_id, driver_id, reason);
+
+    if (!declined) {
+      return res.status(409).json({
+        success: false,
+        error: 'No active offer for this trip'
+      });
+    }
+
+    // Log action
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [driver_id, 'trip_offer_declined', 'trip', trip_id, JSON.stringify({ reason }), req.ip]
+    );
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Trip decline error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline trip'
+    });
+  }
+});
+
 // Update trip status
 router.patch('/:trip_id/status', authenticateToken, async (req, res) => {
+  const client = await db.getClient();
+
   try {
+    await client.query('BEGIN');
+
     const { trip_id } = req.params;
-    const { status } = req.body;
+    const { status, reason, note } = req.body;
     const user_id = req.user.id;
+    const isCancellation = status === 'cancelled_by_client' || status === 'cancelled_by_driver';
 
-    // Validate status transition
-    const validStatuses = ['driver_arriving', 'in_progress', 'completed', 'cancelled_by_client', 'cancelled_by_driver'];
-    if (!validStatuses.includes(status)) {
+    if (!TRIP_STATUSES.includes(status)) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
         error: 'Invalid status'
       });
     }
 
-    // Check authorization (client or driver of this trip)
-    const authCheck = await db.query(
-      'SELECT client_id, driver_id, status as current_status FROM trips WHERE id = $1',
+    // Lock the trip so concurrent status changes are applied one at a time
+    const tripResult = await client.query(
+      'SELECT id, client_id, driver_id, status, accepted_at FROM trips WHERE id = $1 FOR UPDATE',
       [trip_id]
     );
 
-    if (authCheck.rows.length === 0) {
+    if (tripResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ success: false, error: 'Trip not found' });
     }
 
-    const trip = authCheck.rows[0];
-    if (trip.client_id !== user_id && trip.driver_id !== user_id) {
+    const trip = tripResult.rows[0];
+
+    // Check authorization (client or driver of this trip, or an admin)
+    const role = getActorRole(trip, req.user);
+    if (!role) {
+      await client.query('ROLLBACK');
       return res.status(403).json({ success: false, error: 'Unauthorized' });
     }
 
-    // Update status
-    const updateFields = { status };
-    if (status === 'in_progress') {
-      updateFields.started_at = 'CURRENT_TIMESTAMP';
-    } else if (status === 'completed') {
-      updateFields.completed_at = 'CURRENT_TIMESTAMP';
-    } else if (status.includes('cancelled')) {
-      updateFields.cancelled_at = 'CURRENT_TIMESTAMP';
+    // Validate status transition
+    const transitionError = checkTransition(trip.status, status, role);
+    if (transitionError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: transitionError,
+        current_status: trip.status
+      });
     }
 
-    const setClause = Object.keys(updateFields)
-      .map((key, idx) => `${key} = $${idx + 2}`)
-      .join(', ');
+    // Cancellations need a reason from the fixed set; late client cancellations pay a fee
+    const fields = {};
+    let cancellationFee = null;
+    if (isCancellation) {
+      const reasonError = validateCancellationReason(role, reason);
+      if (reasonError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, error: reasonError });
+      }
 
-    const values = [trip_id, ...Object.values(updateFields)];
+      fields.cancellation_reason = reason;
+      if (role === 'client') {
+        cancellationFee = await calculateCancellationFee(client, trip);
+        fields.cancellation_fee = cancellationFee.fee;
+        fields.driver_compensation = cancellationFee.driver_compensation;
+      }
+    }
 
-    const updateResult = await db.query(
-      `UPDATE trips SET ${setClause}, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $1 RETURNING *`,
-      values
+    let updatedTrip = await transitionTrip(
+      client,
+      trip_id,
+      trip.status,
+      status,
+      { id: user_id, role, reason: note ? `${reason}: ${note}` : reason },
+      fields
     );
 
-    const updatedTrip = updateResult.rows[0];
+    // Price the completed trip from its GPS trail
+    if (status === 'completed') {
+      updatedTrip = await finalizeTripFare(client, updatedTrip);
+    }
 
-    // If completed or cancelled, make driver available again
-    if (status === 'completed' || status.includes('cancelled')) {
-      await db.query(
+    // Credit the driver's earnings ledger (fare less commission, or cancellation compensation)
+    if (TERMINAL_STATUSES.includes(status)) {
+      await recordTripEarnings(client, updatedTrip);
+      // Company-paid fares and fees go on the monthly invoice instead
+      updatedTrip = await billCorporateTrip(client, updatedTrip);
+    }
+
+    // If completed or cancelled, make driver available again and stop routing masked calls
+    if (TERMINAL_STATUSES.includes(status) && trip.driver_id) {
+      await client.query(
         'UPDATE driver_profiles SET is_available = true WHERE user_id = $1',
         [trip.driver_id]
       );
+      await releaseCallSession(client, trip_id);
+    }
+
+    await client.query('COMMIT');
+
+    // A trip cancelled while still being offered stops dispatching
+    if (trip.status === 'pending') {
+      await stopDispatch(trip_id);
+    }
+
+    // Keep share-link viewers up to date; links stop working once the trip ends
+    const io = req.app.get('io');
+    io.to(getShareRoom(trip_id)).emit('trip_status_change', { trip_id, status });
+    if (TERMINAL_STATUSES.includes(status)) {
+      endTripShares(io, trip_id);
+    }
+
+    // Collect the fare (or a late-cancellation fee) by M-Pesa; if that fails the
+    // client can retry, or pay a fare in cash
+    let payment = null;
+    const owesPayment = status === 'completed' || (cancellationFee && cancellationFee.fee > 0);
+    if (owesPayment && updatedTrip.billing_type !== 'corporate') {
+      payment = await startTripPayment(trip_id, user_id)
+        .catch(error => {
+          console.error('Payment start error:', error);
+          return { error: 'Failed to start payment' };
+        });
     }
 
-    // Notify the other party
-    const notifyUserId = user_id === trip.client_id ? trip.driver_id : trip.client_id;
-    if (notifyUserId) {
+    // Warn or restrict users who cancel too often
+    const cancellationLimits = isCancellation && role !== 'admin'
+      ? await applyCancellationLimits(user_id, role)
+      : null;
+
+    // Notify the other party (both parties when an admin makes the change)
+    const notifyUserIds = [trip.client_id, trip.driver_id]
+      .filter(id => id && id !== user_id);
+    notifyUserIds.forEach(notifyUserId => {
       notifyDriver(notifyUserId, 'trip_status_change', {
         trip_id,
-        status
+        status,
+        final_price: updatedTrip.final_price ? parseFloat(updatedTrip.final_price) : undefined,
+        cancellation_reason: updatedTrip.cancellation_reason || undefined,
+        driver_compensation: cancellationFee && notifyUserId === trip.driver_id
+          ? cancellationFee.driver_compensation
+          : undefined
       });
-    }
+    });
 
     // Log action
     await db.query(
       `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
        VALUES ($1, $2, $3, $4, $5, $6)`,
-      [user_id, 'trip_status_updated', 'trip', trip_id, JSON.stringify({ status }), req.ip]
+      [
+        user_id,
+        'trip_status_updated',
+        'trip',
+        trip_id,
+        JSON.stringify({
+          from: trip.status,
+          status,
+          reason,
+          note,
+          cancellation_fee: cancellationFee ? cancellationFee.fee : undefined,
+          fare_review_required: updatedTrip.fare_review_required
+        }),
+        req.ip
+      ]
     );
 
     res.json({
       success: true,
-      trip: updatedTrip
+      trip: updatedTrip,
+      cancellation: isCancellation ? {
+        reason,
+        fee: cancellationFee ? cancellationFee.fee : 0,
+        fee_details: cancellationFee,
+        warning: cancellationLimits ? cancellationLimits.warning : null,
+        booking_restricted_until: cancellationLimits ? cancellationLimits.restricted_until : null
+      } : undefined,
+      payment: payment ? {
+        status: payment.payment ? payment.payment.status : 'failed',
+        payment_id: payment.payment ? payment.payment.id : undefined,
+        error: payment.error
+      } : undefined
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Status update error:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to update trip status'
     });
+  } finally {
+    client.release();
   }
 });
 
-// Update location during trip (driver only)
-router.post('/:trip_id/location', authenticateToken, requireUserType('driver'), async (req, res) => {
+// Create a live share link for friends and family (client only)
+router.post('/:trip_id/share', authenticateToken, requireUserType('client'), async (req, res) => {
   try {
     const { trip_id } = req.params;
-    const { latitude, longitude, speed_kmh, heading } = req.body;
-    const driver_id = req.user.id;
+    const client_id = req.user.id;
 
-    // Verify this is the driver's active trip
-    const tripCheck = await db.query(
-      'SELECT id FROM trips WHERE id = $1 AND driver_id = $2 AND status = $3',
-      [trip_id, driver_id, 'in_progress']
+    const tripResult = await db.query(
+      'SELECT id, status FROM trips WHERE id = $1 AND client_id = $2',
+      [trip_id, client_id]
     );
 
-    if (tripCheck.rows.length === 0) {
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized or trip not in progress'
-      });
+    if (tripResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    if (TERMINAL_STATUSES.includes(tripResult.rows[0].status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Trip has ended and can no longer be shared'
+      });
     }
 
-    // Store location
+    const share = await createTripShare(trip_id, client_id);
+
     await db.query(
-      `INSERT INTO trip_locations (trip_id, location, speed_kmh, heading)
-       VALUES ($1, ST_SetSRID(ST_MakePoint($2, $3), 4326), $4, $5)`,
-      [trip_id, longitude, latitude, speed_kmh, heading]
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [client_id, 'trip_share_created', 'trip', trip_id, JSON.stringify({ share_id: share.id }), req.ip]
     );
 
-    // Broadcast location via Socket.io
-    const io = req.app.get('io');
-    io.to(`trip_${trip_id}`).emit('driver_location_update', {
-      latitude,
-      longitude,
-      speed_kmh,
-      heading,
-      timestamp: new Date().toISOString()
+    res.status(201).json({
+      success: true,
+      share_id: share.id,
+      url: share.url,
+      token: share.token,
+      expires_at: share.expires_at
     });
 
+  } catch (error) {
+    console.error('Trip share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create share link'
+    });
+  }
+});
+
+// Revoke a share link (client only)
+router.delete('/:trip_id/share/:share_id', authenticateToken, requireUserType('client'), async (req, res) => {
+  try {
+    const { trip_id, share_id } = req.params;
+    const client_id = req.user.id;
+
+    const tripCheck = await db.query(
+      'SELECT id FROM trips WHERE id = $1 AND client_id = $2',
+      [trip_id, client_id]
+    );
+
+    if (tripCheck.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    const revoked = await revokeTripShare(req.app.get('io'), trip_id, share_id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found or already revoked'
+      });
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [client_id, 'trip_share_revoked', 'trip', trip_id, JSON.stringify({ share_id }), req.ip]
+    );
+
     res.json({ success: true });
 
+  } catch (error) {
+    console.error('Trip share revoke error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke share link'
+    });
+  }
+});
+
+// Update location during trip (driver only). Fallback for when the
+// Socket.io location stream isn't connected - accepts one point or a batch.
+router.post('/:trip_id/location', authenticateToken, requireUserType('driver'), async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+    const { latitude, longitude, speed_kmh, heading, recorded_at, mocked, points } = req.body;
+    const driver_id = req.user.id;
+
+    const result = await recordDriverLocations(
+      req.app.get('io'),
+      driver_id,
+      trip_id,
+      points || [{ latitude, longitude, speed_kmh, heading, mocked, recorded_at: recorded_at || new Date() }]
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    // Upload interval is shortened while an SOS incident is open
+    res.json({ success: true, ...result });
+
   } catch (error) {
     console.error('Location update error:', error);
     res.status(500).json({
@@ -374,51 +1100,165 @@ router.post('/:trip_id/location', authenticateToken, requireUserType('driver'),
   }
 });
 
+// Number to dial to reach the other party of the trip (a proxy number, never their real one)
+router.get('/:trip_id/call-number', authenticateToken, async (req, res) => {
+  try {
+    const tripResult = await db.query(
+      'SELECT id, client_id, driver_id, status FROM trips WHERE id = $1',
+      [req.params.trip_id]
+    );
+
+    if (tripResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    const result = await getCallNumber(tripResult.rows[0], req.user);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, call_number: result.call_number });
+
+  } catch (error) {
+    console.error('Call number error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get call number'
+    });
+  }
+});
+
+// Chat history for the client or driver, e.g. after reconnecting (?after=<message_id>).
+// Fetching marks the other party's messages as delivered.
+router.get('/:trip_id/messages', authenticateToken, async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+    const { after, language = 'en' } = req.query;
+
+    if (!CHAT_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        error: `language must be one of: ${CHAT_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const access = await getChatAccess(trip_id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ success: false, error: access.error });
+    }
+
+    const messages = await getTripMessages(trip_id, after || null);
+    if (!access.read_only) {
+      await markTripMessages(req.app.get('io'), trip_id, req.user, 'delivered');
+    }
+
+    res.json({
+      success: true,
+      messages,
+      read_only: access.read_only,
+      quick_replies: access.read_only ? [] : getQuickReplies(access.role, language)
+    });
+
+  } catch (error) {
+    console.error('Chat history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch messages'
+    });
+  }
+});
+
+// Send a chat message - REST fallback for the chat_send socket event
+router.post('/:trip_id/messages', authenticateToken, async (req, res) => {
+  try {
+    const { body, quick_reply, language } = req.body;
+
+    const result = await sendTripMessage(req.app.get('io'), req.params.trip_id, req.user, {
+      body,
+      quick_reply,
+      language
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, message: result.message });
+
+  } catch (error) {
+    console.error('Chat send error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send message'
+    });
+  }
+});
+
+// Mark the other party's messages as read, up to up_to_message_id (all if omitted)
+router.post('/:trip_id/messages/read', authenticateToken, async (req, res) => {
+  try {
+    const result = await markTripMessages(
+      req.app.get('io'),
+      req.params.trip_id,
+      req.user,
+      'read',
+      req.body.up_to_message_id || null
+    );
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Chat read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark messages as read'
+    });
+  }
+});
+
 // Trigger SOS
-router.post('/:trip_id/sos', authenticateToken, async (req, res) => {
+router.post('/:trip_id/sos', authenticateToken, idempotent('sos'), async (req, res) => {
   try {
     const { trip_id } = req.params;
     const { current_location } = req.body;
     const user_id = req.user.id;
 
-    // Update trip with SOS flag
-    await db.query(
-      `UPDATE trips 
-       SET sos_triggered = true, 
-           sos_triggered_at = CURRENT_TIMESTAMP 
-       WHERE id = $1`,
-      [trip_id]
-    );
+    if (current_location && !isValidLocation(current_location)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid current_location'
+      });
+    }
 
-    // Get trip details for emergency notification
-    const tripDetails = await db.query(
-      `SELECT t.*, 
-              c.full_name as client_name, c.phone_number as client_phone,
-              d.full_name as driver_name, d.phone_number as driver_phone
+    const tripResult = await db.query(
+      `SELECT t.id, t.client_id, t.driver_id, t.status, sa.support_phone
        FROM trips t
-       JOIN users c ON t.client_id = c.id
-       LEFT JOIN users d ON t.driver_id = d.id
+       LEFT JOIN service_areas sa ON t.service_area_id = sa.id
        WHERE t.id = $1`,
       [trip_id]
     );
 
-    const trip = tripDetails.rows[0];
+    if (tripResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
 
-    // Send emergency notifications
-    // 1. Notify admin dashboard
-    const io = req.app.get('io');
-    io.to('admin').emit('sos_alert', {
-      trip_id,
-      triggered_by: user_id,
-      current_location,
-      trip_details: trip,
-      timestamp: new Date().toISOString()
-    });
+    const trip = tripResult.rows[0];
+
+    // Only the client or driver of this trip can raise an SOS
+    const role = getActorRole(trip, req.user);
+    if (role !== 'client' && role !== 'driver') {
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
 
-    // 2. Send SMS to support team (implementation depends on SMS provider)
-    // sendEmergencySMS(trip, current_location);
+    const { incident, created } = await triggerSOS(
+      req.app.get('io'),
+      trip,
+      { id: user_id, role },
+      current_location || null
+    );
 
-    // 3. Log emergency
     await db.query(
       `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
        VALUES ($1, $2, $3, $4, $5, $6)`,
@@ -427,7 +1267,7 @@ router.post('/:trip_id/sos', authenticateToken, async (req, res) => {
         'sos_triggered',
         'trip',
         trip_id,
-        JSON.stringify({ current_location }),
+        JSON.stringify({ current_location, incident_id: incident.id, repeat: !created }),
         req.ip
       ]
     );
@@ -435,7 +1275,9 @@ router.post('/:trip_id/sos', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       message: 'Emergency alert sent to support team',
-      support_number: process.env.SUPPORT_PHONE
+      incident_id: incident.id,
+      incident_status: incident.status,
+      support_number: trip.support_phone || process.env.SUPPORT_PHONE
     });
 
   } catch (error) {
@@ -447,43 +1289,338 @@ router.post('/:trip_id/sos', authenticateToken, async (req, res) => {
   }
 });
 
-// Get trip history
-router.get('/history', authenticateToken, async (req, res) => {
+// Get a trip's payment status and attempts (client, driver or admin)
+router.get('/:trip_id/payment', authenticateToken, async (req, res) => {
   try {
-    const user_id = req.user.id;
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
+    const { trip_id } = req.params;
+
+    const tripResult = await db.query(
+      `SELECT id, client_id, driver_id, status, final_price, cancellation_fee, payment_status, payment_method
+       FROM trips WHERE id = $1`,
+      [trip_id]
+    );
+
+    if (tripResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    const trip = tripResult.rows[0];
+    if (!getActorRole(trip, req.user)) {
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const payments = await getTripPayments(trip_id);
+
+    res.json({
+      success: true,
+      // The fare, or the fee for a late cancellation
+      amount: getAmountDue(trip) || null,
+      payment_status: trip.payment_status,
+      payment_method: trip.payment_method,
+      payments
+    });
+
+  } catch (error) {
+    console.error('Payment status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment status'
+    });
+  }
+});
+
+// Retry M-Pesa payment, optionally from a different number (client only)
+router.post('/:trip_id/payment/mpesa', authenticateToken, requireUserType('client'), async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+    const { phone_number } = req.body;
 
-    const isDriver = req.user.user_type === 'driver';
-    const userField = isDriver ? 'driver_id' : 'client_id';
+    const tripCheck = await db.query(
+      'SELECT id FROM trips WHERE id = $1 AND client_id = $2',
+      [trip_id, req.user.id]
+    );
 
-    const result = await db.query(
-      `SELECT t.*,
-              c.full_name as client_name,
-              d.full_name as driver_name,
-              r.rating, r.feedback
+    if (tripCheck.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    if (phone_number && !/^(\+?254|0)[17]\d{8}$/.test(phone_number)) {
+      return res.status(400).json({
+        success: false,
+        error: 'phone_number must be a Kenyan mobile number'
+      });
+    }
+
+    const { payment, error } = await startTripPayment(trip_id, req.user.id, phone_number);
+
+    if (error) {
+      return res.status(payment ? 502 : 409).json({ success: false, error, payment });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Check your phone to complete the M-Pesa payment',
+      payment
+    });
+
+  } catch (error) {
+    console.error('Payment retry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start payment'
+    });
+  }
+});
+
+// Confirm the fare was paid in cash (driver only)
+router.post('/:trip_id/payment/cash', authenticateToken, requireUserType('driver'), async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+    const { tip_amount = 0 } = req.body;
+
+    if (typeof tip_amount !== 'number' || !Number.isFinite(tip_amount) || tip_amount < 0) {
+      return res.status(400).json({ success: false, error: 'tip_amount must be a non-negative number' });
+    }
+
+    const { payment, error } = await recordCashPayment(trip_id, req.user.id, tip_amount);
+
+    if (error) {
+      return res.status(409).json({ success: false, error });
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [req.user.id, 'cash_payment_recorded', 'trip', trip_id, JSON.stringify({ payment_id: payment.id, amount: payment.amount, tip_amount }), req.ip]
+    );
+
+    res.json({ success: true, payment });
+
+  } catch (error) {
+    console.error('Cash payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record cash payment'
+    });
+  }
+});
+
+// Download a trip receipt as PDF (default) or HTML (?format=html)
+router.get('/:trip_id/receipt', authenticateToken, async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+    const format = req.query.format || 'pdf';
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be pdf or html' });
+    }
+
+    const tripResult = await db.query(
+      'SELECT id, client_id, driver_id, corporate_account_id FROM trips WHERE id = $1',
+      [trip_id]
+    );
+    if (tripResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    // The rider, platform admins, or an admin of the company the trip was billed to
+    const trip = tripResult.rows[0];
+    let allowed = ['client', 'admin'].includes(getActorRole(trip, req.user));
+    if (!allowed && trip.corporate_account_id) {
+      const membership = await getMembership(trip.corporate_account_id, req.user.id);
+      allowed = Boolean(membership && membership.role === 'admin');
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const { receipt, error, status } = await getOrIssueReceipt(trip_id);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(renderReceiptHtml(receipt));
+    }
+
+    const pdf = await renderReceiptPdf(receipt);
+    res.set('Content-Disposition', `attachment; filename="${receipt.receipt_number}.pdf"`);
+    res.type('pdf').send(pdf);
+
+  } catch (error) {
+    console.error('Receipt error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate receipt'
+    });
+  }
+});
+
+// Email a trip receipt to the client's email address (client only)
+router.post('/:trip_id/receipt/email', authenticateToken, requireUserType('client'), async (req, res) => {
+  try {
+    const { trip_id } = req.params;
+
+    const tripResult = await db.query(
+      `SELECT t.id, u.email
        FROM trips t
-       JOIN users c ON t.client_id = c.id
-       LEFT JOIN users d ON t.driver_id = d.id
-       LEFT JOIN ratings r ON t.id = r.trip_id
-       WHERE t.${userField} = $1
-       ORDER BY t.created_at DESC
-       LIMIT $2 OFFSET $3`,
-      [user_id, limit, offset]
+       JOIN users u ON t.client_id = u.id
+       WHERE t.id = $1 AND t.client_id = $2`,
+      [trip_id, req.user.id]
+    );
+
+    const trip = tripResult.rows[0];
+    if (!trip) {
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    if (!trip.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Add an email address to your profile to receive receipts'
+      });
+    }
+
+    const { receipt, error, status } = await getOrIssueReceipt(trip_id);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    await emailReceipt(receipt, trip.email);
+
+    res.json({
+      success: true,
+      receipt_number: receipt.receipt_number,
+      emailed_to: trip.email
+    });
+
+  } catch (error) {
+    console.error('Receipt email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to email receipt'
+    });
+  }
+});
+
+// Rate the other party of a completed trip (client rates driver, driver rates client)
+router.post('/:trip_id/rating', authenticateToken, async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { trip_id } = req.params;
+    const { rating, feedback, tags } = req.body;
+    const user_id = req.user.id;
+
+    const tripResult = await client.query(
+      'SELECT id, client_id, driver_id, status, completed_at FROM trips WHERE id = $1',
+      [trip_id]
     );
 
-    const countResult = await db.query(
-      `SELECT COUNT(*) FROM trips WHERE ${userField} = $1`,
-      [user_id]
+    if (tripResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Trip not found' });
+    }
+
+    const trip = tripResult.rows[0];
+
+    const role = getActorRole(trip, req.user);
+    if (role !== 'client' && role !== 'driver') {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const windowError = checkRatingWindow(trip);
+    if (windowError) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, error: windowError });
+    }
+
+    const validationError = validateRating(role, rating, tags);
+    if (validationError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const ratedUserId = role === 'client' ? trip.driver_id : trip.client_id;
+
+    const ratingResult = await client.query(
+      `INSERT INTO ratings (trip_id, rating, feedback, tags, rated_by, rated_user, rater_role)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (trip_id, rated_by) DO NOTHING
+       RETURNING id`,
+      [trip_id, rating, feedback || null, tags || [], user_id, ratedUserId, role]
     );
 
+    if (ratingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, error: 'You have already rated this trip' });
+    }
+
+    let driverRating = null;
+    let flagged = null;
+    if (role === 'client') {
+      driverRating = await addDriverRating(client, ratedUserId, rating);
+      flagged = await flagLowRatedDriver(client, ratedUserId);
+    }
+
+    await client.query('COMMIT');
+
+    if (flagged) {
+      req.app.get('io').to('admin').emit('driver_rating_flagged', {
+        driver_id: ratedUserId,
+        ...flagged
+      });
+
+      await db.query(
+        `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [ratedUserId, 'driver_rating_flagged', 'user', ratedUserId, JSON.stringify({ trip_id, ...flagged })]
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      rating_id: ratingResult.rows[0].id,
+      driver_rating: driverRating ? {
+        average: parseFloat(driverRating.rating_average),
+        count: driverRating.rating_count
+      } : undefined
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Rating error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit rating'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Get trip history, newest first
+// ?status=completed,cancelled_by_client&from=&to=&min_fare=&max_fare=&limit=20&cursor=
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const { filters, error } = parseHistoryFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const page = await fetchHistoryPage(req.user, filters);
+
     res.json({
       success: true,
-      trips: result.rows,
+      trips: page.trips,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count)
+        limit: filters.limit,
+        next_cursor: page.next_cursor,
+        has_more: page.next_cursor !== null
       }
     });
 
@@ -496,4 +1633,55 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+// Export trip history as CSV (same filters as /history, all pages)
+router.get('/history/export', authenticateToken, async (req, res) => {
+  try {
+    const { filters, error } = parseHistoryFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="safedrive-trips-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+    await writeHistoryCsv(req.user, filters, chunk => res.write(chunk));
+    res.end();
+
+  } catch (error) {
+    console.error('Trip history export error:', error);
+    // Once rows have been streamed the status can't change; cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export trip history'
+    });
+  }
+});
+
+// Trip snapshot for parties and admins - the apps call this to resync after
+// opening a trip screen or reconnecting. Registered last so it doesn't
+// shadow /history and the other fixed paths.
+router.get('/:trip_id', authenticateToken, async (req, res) => {
+  try {
+    const result = await getTripSnapshot(req.params.trip_id, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      trip: result.trip
+    });
+
+  } catch (error) {
+    console.error('Trip snapshot error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trip'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,127 @@
+// backend/src/routes/users.js
+// User Account API Endpoints - Emergency contacts
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getEmergencyContacts } = require('../utils/sos');
+const db = require('../db');
+
+const MAX_EMERGENCY_CONTACTS = parseInt(process.env.MAX_EMERGENCY_CONTACTS || '3', 10);
+
+// Kenyan numbers in international format
+const PHONE_NUMBER_PATTERN = /^\+254\d{9}$/;
+
+// List my emergency contacts
+router.get('/me/emergency-contacts', authenticateToken, async (req, res) => {
+  try {
+    const contacts = await getEmergencyContacts(req.user.id);
+
+    res.json({ success: true, contacts, max_contacts: MAX_EMERGENCY_CONTACTS });
+
+  } catch (error) {
+    console.error('Emergency contacts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch emergency contacts'
+    });
+  }
+});
+
+// Add an emergency contact (texted when I raise an SOS)
+router.post('/me/emergency-contacts', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.id;
+    const { name, phone_number, relationship } = req.body;
+
+    if (!name || !phone_number) {
+      return res.status(400).json({
+        success: false,
+        error: 'name and phone_number are required'
+      });
+    }
+
+    if (!PHONE_NUMBER_PATTERN.test(phone_number)) {
+      return res.status(400).json({
+        success: false,
+        error: 'phone_number must be in the format +2547XXXXXXXX'
+      });
+    }
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) AS count FROM emergency_contacts WHERE user_id = $1',
+      [user_id]
+    );
+
+    if (parseInt(countResult.rows[0].count, 10) >= MAX_EMERGENCY_CONTACTS) {
+      return res.status(409).json({
+        success: false,
+        error: `You can add at most ${MAX_EMERGENCY_CONTACTS} emergency contacts`
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO emergency_contacts (user_id, name, phone_number, relationship)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, phone_number) DO NOTHING
+       RETURNING id, name, phone_number, relationship, created_at`,
+      [user_id, name, phone_number, relationship || null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This number is already one of your emergency contacts'
+      });
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [user_id, 'emergency_contact_added', 'emergency_contact', result.rows[0].id, JSON.stringify({ name }), req.ip]
+    );
+
+    res.status(201).json({ success: true, contact: result.rows[0] });
+
+  } catch (error) {
+    console.error('Add emergency contact error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add emergency contact'
+    });
+  }
+});
+
+// Remove an emergency contact
+router.delete('/me/emergency-contacts/:contact_id', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.id;
+    const { contact_id } = req.params;
+
+    const result = await db.query(
+      'DELETE FROM emergency_contacts WHERE id = $1 AND user_id = $2 RETURNING id',
+      [contact_id, user_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Emergency contact not found' });
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [user_id, 'emergency_contact_removed', 'emergency_contact', contact_id, JSON.stringify({}), req.ip]
+    );
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Remove emergency contact error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove emergency contact'
+    });
+  }
+});
+
+module.exports = router;
@@ -17,6 +17,7 @@ import { useNavigation } from '@react-navigation/native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
 import { requestTrip } from '../../redux/slices/tripSlice';
+import { API_URL } from '../../config';
 
 const NAIROBI_REGION = {
   latitude: -1.286389,
@@ -37,13 +38,191 @@ const HomeScreen = () => {
   const [dropoffAddress, setDropoffAddress] = useState('');
   const [isSelectingPickup, setIsSelectingPickup] = useState(true);
   const [loading, setLoading] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
 
-  const { user } = useSelector(state => state.auth);
+  // Company billing: null account means the client pays personally
+  const [corporateAccounts, setCorporateAccounts] = useState([]);
+  const [billingAccount, setBillingAccount] = useState(null);
+  const [costCentreId, setCostCentreId] = useState(null);
+  const [approval, setApproval] = useState(null);
+  const [approvalReason, setApprovalReason] = useState('');
+  const [approvalLoading, setApprovalLoading] = useState(false);
+
+  const { user, token } = useSelector(state => state.auth);
 
   useEffect(() => {
     getCurrentLocation();
+    fetchCorporateAccounts();
   }, []);
 
+  // An approval only covers the trip it was requested for
+  useEffect(() => {
+    setApproval(null);
+  }, [pickupLocation, dropoffLocation, billingAccount, costCentreId]);
+
+  // Re-quote whenever the trip, who pays for it or its approval changes
+  useEffect(() => {
+    setQuote(null);
+    if (pickupLocation && dropoffLocation) {
+      fetchQuote();
+    }
+  }, [pickupLocation, dropoffLocation, billingAccount, costCentreId, approval?.status]);
+
+  const fetchCorporateAccounts = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/v1/corporate/me`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setCorporateAccounts(data.accounts);
+      }
+    } catch (error) {
+      console.error('Company accounts error:', error);
+    }
+  };
+
+  const getBillingFields = () => (billingAccount ? {
+    corporate_account_id: billingAccount.id,
+    cost_centre_id: costCentreId || undefined,
+    approval_id: approval?.status === 'approved' ? approval.id : undefined
+  } : {});
+
+  const fetchQuote = async () => {
+    setQuoteLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/v1/trips/quote`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          pickup_location: pickupLocation,
+          dropoff_location: dropoffLocation,
+          ...getBillingFields()
+        })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setQuote(data);
+      } else if (billingAccount) {
+        Alert.alert(billingAccount.name, data.error);
+      }
+    } catch (error) {
+      console.error('Quote error:', error);
+    } finally {
+      setQuoteLoading(false);
+    }
+  };
+
+  const isQuoteValid = () => (
+    quote && new Date(quote.quote_expires_at).getTime() > Date.now()
+  );
+
+  // Company trip outside the ride policy, not (yet) covered by an approval
+  const isOutsidePolicy = () => (
+    Boolean(billingAccount && quote?.corporate_policy && !quote.corporate_policy.within_policy)
+  );
+
+  const chooseBilling = () => {
+    Alert.alert('Who pays for this trip?', null, [
+      { text: 'Personal', onPress: () => setBillingAccount(null) },
+      ...corporateAccounts.map(account => ({
+        text: account.name,
+        onPress: () => {
+          setBillingAccount(account);
+          setCostCentreId(account.default_cost_centre_id);
+        }
+      })),
+      { text: 'Cancel', style: 'cancel' }
+    ]);
+  };
+
+  const chooseCostCentre = () => {
+    Alert.alert('Cost centre', null, [
+      ...billingAccount.cost_centres.map(costCentre => ({
+        text: `${costCentre.code} - ${costCentre.name}`,
+        onPress: () => setCostCentreId(costCentre.id)
+      })),
+      { text: 'Cancel', style: 'cancel' }
+    ]);
+  };
+
+  const getBillingLabel = () => {
+    if (!billingAccount) {
+      return 'Personal';
+    }
+    const costCentre = billingAccount.cost_centres.find(centre => centre.id === costCentreId);
+    return costCentre ? `${billingAccount.name} • ${costCentre.code}` : billingAccount.name;
+  };
+
+  const handleRequestApproval = async () => {
+    if (!approvalReason.trim()) {
+      Alert.alert('Reason needed', 'Tell your company admin why you need this trip');
+      return;
+    }
+
+    if (!isQuoteValid()) {
+      fetchQuote();
+      return;
+    }
+
+    setApprovalLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/v1/corporate/accounts/${billingAccount.id}/approvals`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          quote_token: quote.quote_token,
+          pickup_location: { ...pickupLocation, address: pickupAddress },
+          dropoff_location: { ...dropoffLocation, address: dropoffAddress },
+          cost_centre_id: costCentreId || undefined,
+          reason: approvalReason.trim()
+        })
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+      setApproval(data.approval);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to request approval');
+    } finally {
+      setApprovalLoading(false);
+    }
+  };
+
+  const checkApprovalStatus = async () => {
+    setApprovalLoading(true);
+    try {
+      const response = await fetch(
+        `${API_URL}/api/v1/corporate/accounts/${billingAccount.id}/approvals`,
+        { headers: { 'Authorization': `Bearer ${token}` } }
+      );
+
+      const data = await response.json();
+      const latest = data.success && data.approvals.find(item => item.id === approval.id);
+      if (latest) {
+        setApproval(latest);
+        if (latest.status === 'rejected') {
+          Alert.alert('Approval declined', latest.decision_note || 'Your company admin declined this trip');
+        }
+      }
+    } catch (error) {
+      console.error('Approval status error:', error);
+    } finally {
+      setApprovalLoading(false);
+    }
+  };
+
   const getCurrentLocation = () => {
     Geolocation.getCurrentPosition(
       (position) => {
@@ -113,7 +292,10 @@ const HomeScreen = () => {
           latitude: dropoffLocation.latitude,
           longitude: dropoffLocation.longitude,
           address: dropoffAddress
-        }
+        },
+        // Lock in the price the client was shown
+        quote_token: isQuoteValid() ? quote.quote_token : undefined,
+        ...getBillingFields()
       };
 
       const result = await dispatch(requestTrip(tripData)).unwrap();
@@ -126,6 +308,7 @@ const HomeScreen = () => {
       });
     } catch (error) {
       Alert.alert('Error', error.message || 'Failed to request driver');
+      fetchQuote();
     } finally {
       setLoading(false);
     }
@@ -200,10 +383,77 @@ const HomeScreen = () => {
       {/* Bottom Card - Request Button */}
       {pickupLocation && dropoffLocation && (
         <View style={styles.bottomCard}>
+          {/* Fare Quote */}
+          <View style={styles.quoteRow}>
+            {quoteLoading || !quote ? (
+              <ActivityIndicator color="#4CAF50" />
+            ) : (
+              <>
+                <View>
+                  <Text style={styles.quotePrice}>KES {quote.estimated_price.toLocaleString()}</Text>
+                  <Text style={styles.quoteDetails}>
+                    {quote.estimated_distance_km} km • ~{quote.estimated_duration_min} min
+                  </Text>
+                </View>
+                {quote.surge_multiplier > 1 && (
+                  <View style={styles.surgeBadge}>
+                    <Icon name="trending-up" size={16} color="#E65100" />
+                    <Text style={styles.surgeText}>High demand x{quote.surge_multiplier}</Text>
+                  </View>
+                )}
+              </>
+            )}
+          </View>
+
+          {/* Billing - only shown to members of a company account */}
+          {corporateAccounts.length > 0 && (
+            <View style={styles.billingRow}>
+              <TouchableOpacity style={styles.billingOption} onPress={chooseBilling}>
+                <Icon name={billingAccount ? 'business' : 'person'} size={20} color="#333" />
+                <Text style={styles.billingText}>{getBillingLabel()}</Text>
+                <Icon name="arrow-drop-down" size={20} color="#666" />
+              </TouchableOpacity>
+              {billingAccount && billingAccount.cost_centres.length > 0 && (
+                <TouchableOpacity onPress={chooseCostCentre}>
+                  <Text style={styles.linkText}>Cost centre</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
+          {/* Outside the company's ride policy - ask an admin to approve it */}
+          {isOutsidePolicy() && (
+            <View style={styles.policyCard}>
+              {quote.corporate_policy.violations.map(violation => (
+                <Text key={violation.rule} style={styles.policyText}>• {violation.message}</Text>
+              ))}
+              {!approval || approval.status === 'rejected' || approval.status === 'expired' ? (
+                <>
+                  <TextInput
+                    style={styles.reasonInput}
+                    placeholder="Reason, e.g. client dinner ran late"
+                    value={approvalReason}
+                    onChangeText={setApprovalReason}
+                  />
+                  <TouchableOpacity onPress={handleRequestApproval} disabled={approvalLoading}>
+                    <Text style={styles.linkText}>Request Approval</Text>
+                  </TouchableOpacity>
+                </>
+              ) : (
+                <View style={styles.approvalRow}>
+                  <Text style={styles.policyText}>Waiting for your company admin to approve</Text>
+                  <TouchableOpacity onPress={checkApprovalStatus} disabled={approvalLoading}>
+                    <Text style={styles.linkText}>Check Status</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
+          )}
+
           <TouchableOpacity
-            style={[styles.requestButton, loading && styles.disabledButton]}
+            style={[styles.requestButton, (loading || isOutsidePolicy()) && styles.disabledButton]}
             onPress={handleRequestDriver}
-            disabled={loading}
+            disabled={loading || isOutsidePolicy()}
           >
             {loading ? (
               <ActivityIndicator color="#FFF" />
@@ -294,6 +544,82 @@ const styles = StyleSheet.create({
     shadowRadius: 3.84,
     elevation: 5,
   },
+  quoteRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+    minHeight: 44,
+  },
+  quotePrice: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  quoteDetails: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  surgeBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF3E0',
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  surgeText: {
+    fontSize: 12,
+    color: '#E65100',
+    marginLeft: 4,
+  },
+  billingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  billingOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  billingText: {
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#2E7D32',
+    fontWeight: 'bold',
+  },
+  policyCard: {
+    backgroundColor: '#FFF3E0',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  policyText: {
+    fontSize: 13,
+    color: '#E65100',
+    marginBottom: 4,
+  },
+  reasonInput: {
+    backgroundColor: '#FFF',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    fontSize: 14,
+    color: '#333',
+    marginVertical: 8,
+  },
+  approvalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
   requestButton: {
     backgroundColor: '#4CAF50',
     paddingVertical: 16,
@@ -0,0 +1,370 @@
+// mobile/src/screens/client/TripChatScreen.js
+// In-trip chat with the driver - quick replies, delivered/read receipts, read-only after the trip
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useRoute } from '@react-navigation/native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useSelector } from 'react-redux';
+import io from 'socket.io-client';
+import { API_URL } from '../../config';
+
+const TripChatScreen = () => {
+  const route = useRoute();
+  const listRef = useRef(null);
+  const socketRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+
+  const { tripId, language = 'en' } = route.params;
+  const { user, token } = useSelector(state => state.auth);
+
+  const [messages, setMessages] = useState([]);
+  const [quickReplies, setQuickReplies] = useState([]);
+  const [readOnly, setReadOnly] = useState(false);
+  const [text, setText] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+
+  const addMessages = (incoming) => {
+    if (incoming.length === 0) {
+      return;
+    }
+
+    setMessages(prev => {
+      const known = new Set(prev.map(message => message.id));
+      return [...prev, ...incoming.filter(message => !known.has(message.id))];
+    });
+    lastMessageIdRef.current = incoming[incoming.length - 1].id;
+  };
+
+  const markRead = (upToMessageId) => {
+    if (socketRef.current) {
+      socketRef.current.emit('chat_mark', {
+        trip_id: tripId,
+        receipt: 'read',
+        up_to_message_id: upToMessageId,
+      });
+    }
+  };
+
+  // Load history, or only what was missed since the last message we have
+  const fetchMessages = async () => {
+    try {
+      const after = lastMessageIdRef.current ? `&after=${lastMessageIdRef.current}` : '';
+      const response = await fetch(
+        `${API_URL}/api/v1/trips/${tripId}/messages?language=${language}${after}`,
+        { headers: { 'Authorization': `Bearer ${token}` } }
+      );
+
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+
+      addMessages(data.messages);
+      setQuickReplies(data.quick_replies);
+      setReadOnly(data.read_only);
+
+      if (data.messages.length > 0) {
+        markRead(data.messages[data.messages.length - 1].id);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load messages');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    socketRef.current = io(API_URL, {
+      auth: { token }
+    });
+
+    // (Re)join the trip room and catch up on anything sent while offline
+    socketRef.current.on('connect', () => {
+      socketRef.current.emit('join_trip', tripId);
+      fetchMessages();
+    });
+
+    socketRef.current.on('chat_message', (message) => {
+      addMessages([message]);
+      if (message.sender_id !== user.id) {
+        markRead(message.id);
+      }
+    });
+
+    socketRef.current.on('chat_receipt', (data) => {
+      const field = data.receipt === 'read' ? 'read_at' : 'delivered_at';
+      setMessages(prev => prev.map(message => (
+        data.message_ids.includes(message.id)
+          ? { ...message, [field]: data.at, delivered_at: message.delivered_at || data.at }
+          : message
+      )));
+    });
+
+    socketRef.current.on('trip_status_change', (data) => {
+      if (['completed', 'cancelled_by_client', 'cancelled_by_driver'].includes(data.status)) {
+        setReadOnly(true);
+      }
+    });
+
+    return () => {
+      if (socketRef.current) {
+        socketRef.current.disconnect();
+      }
+    };
+  }, [tripId]);
+
+  const sendMessage = (payload) => {
+    setSending(true);
+    socketRef.current.emit('chat_send', { trip_id: tripId, language, ...payload }, (result) => {
+      setSending(false);
+
+      if (!result.success) {
+        Alert.alert('Message not sent', result.error);
+        return;
+      }
+
+      addMessages([result.message]);
+      if (payload.body) {
+        setText('');
+      }
+    });
+  };
+
+  const handleSend = () => {
+    if (text.trim()) {
+      sendMessage({ body: text.trim() });
+    }
+  };
+
+  const getReceiptIcon = (message) => {
+    if (message.read_at) {
+      return { name: 'done-all', color: '#2196F3' };
+    }
+    if (message.delivered_at) {
+      return { name: 'done-all', color: '#999' };
+    }
+    return { name: 'done', color: '#999' };
+  };
+
+  const renderMessage = ({ item }) => {
+    const isMine = item.sender_id === user.id;
+    const receiptIcon = getReceiptIcon(item);
+
+    return (
+      <View style={[styles.bubble, isMine ? styles.myBubble : styles.theirBubble]}>
+        <Text style={[styles.bubbleText, isMine && styles.myBubbleText]}>{item.body}</Text>
+        <View style={styles.bubbleFooter}>
+          <Text style={[styles.time, isMine && styles.myTime]}>
+            {new Date(item.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </Text>
+          {isMine && (
+            <Icon name={receiptIcon.name} size={14} color={receiptIcon.color} style={styles.receipt} />
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#4CAF50" />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <FlatList
+        ref={listRef}
+        data={messages}
+        keyExtractor={item => item.id}
+        renderItem={renderMessage}
+        contentContainerStyle={styles.list}
+        onContentSizeChange={() => listRef.current?.scrollToEnd({ animated: true })}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>No messages yet</Text>
+        }
+      />
+
+      {readOnly ? (
+        <View style={styles.readOnlyBanner}>
+          <Text style={styles.readOnlyText}>This trip has ended. Chat is read-only.</Text>
+        </View>
+      ) : (
+        <>
+          {/* Quick Replies */}
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.quickReplies}
+            keyboardShouldPersistTaps="handled"
+          >
+            {quickReplies.map(reply => (
+              <TouchableOpacity
+                key={reply.key}
+                style={styles.quickReply}
+                onPress={() => sendMessage({ quick_reply: reply.key })}
+                disabled={sending}
+              >
+                <Text style={styles.quickReplyText}>{reply.text}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {/* Composer */}
+          <View style={styles.composer}>
+            <TextInput
+              style={styles.input}
+              value={text}
+              onChangeText={setText}
+              placeholder="Type a message"
+              maxLength={500}
+              multiline
+            />
+            <TouchableOpacity
+              style={styles.sendButton}
+              onPress={handleSend}
+              disabled={sending || !text.trim()}
+            >
+              {sending ? (
+                <ActivityIndicator color="#FFF" />
+              ) : (
+                <Icon name="send" size={22} color="#FFF" />
+              )}
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  list: {
+    padding: 16,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#999',
+    marginTop: 40,
+  },
+  bubble: {
+    maxWidth: '80%',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  myBubble: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#4CAF50',
+  },
+  theirBubble: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#FFF',
+  },
+  bubbleText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  myBubbleText: {
+    color: '#FFF',
+  },
+  bubbleFooter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    marginTop: 4,
+  },
+  time: {
+    fontSize: 11,
+    color: '#999',
+  },
+  myTime: {
+    color: '#E8F5E9',
+  },
+  receipt: {
+    marginLeft: 4,
+  },
+  readOnlyBanner: {
+    padding: 16,
+    backgroundColor: '#EEE',
+    alignItems: 'center',
+  },
+  readOnlyText: {
+    color: '#666',
+  },
+  quickReplies: {
+    flexGrow: 0,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  quickReply: {
+    backgroundColor: '#FFF',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  quickReplyText: {
+    color: '#4CAF50',
+    fontSize: 14,
+  },
+  composer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    padding: 12,
+    backgroundColor: '#FFF',
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  input: {
+    flex: 1,
+    maxHeight: 100,
+    backgroundColor: '#F5F5F5',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  sendButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#4CAF50',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginLeft: 8,
+  },
+});
+
+export default TripChatScreen;
@@ -9,6 +9,7 @@ import {
   TouchableOpacity,
   Alert,
   Linking,
+  Share,
   ActivityIndicator,
 } from 'react-native';
 import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
@@ -16,6 +17,7 @@ import { useRoute, useNavigation } from '@react-navigation/native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSelector, useDispatch } from 'react-redux';
 import io from 'socket.io-client';
+import polyline from '@mapbox/polyline';
 import { API_URL } from '../../config';
 
 const TripTrackingScreen = () => {
@@ -25,13 +27,87 @@ const TripTrackingScreen = () => {
   const mapRef = useRef(null);
   const socketRef = useRef(null);
 
-  const { tripId, driverInfo } = route.params;
-  const { token } = useSelector(state => state.auth);
+  const { tripId } = route.params;
+  const { user, token } = useSelector(state => state.auth);
 
+  const [driverInfo, setDriverInfo] = useState(route.params.driverInfo || null);
   const [driverLocation, setDriverLocation] = useState(null);
   const [tripStatus, setTripStatus] = useState('accepted');
   const [routeCoordinates, setRouteCoordinates] = useState([]);
+  const [plannedRoute, setPlannedRoute] = useState([]);
+  const [eta, setEta] = useState(null);
+  const [unreadMessages, setUnreadMessages] = useState(0);
   const [sosLoading, setSosLoading] = useState(false);
+  const [tripShare, setTripShare] = useState(null);
+  const [shareLoading, setShareLoading] = useState(false);
+
+  const decodeRoute = (encoded) => (
+    polyline.decode(encoded).map(([latitude, longitude]) => ({ latitude, longitude }))
+  );
+
+  const handleTripEnded = (status) => {
+    if (status === 'completed') {
+      navigation.replace('TripComplete', { tripId });
+    } else if (status.includes('cancelled')) {
+      Alert.alert(
+        'Trip Cancelled',
+        'Your trip has been cancelled',
+        [{ text: 'OK', onPress: () => navigation.navigate('Home') }]
+      );
+    }
+  };
+
+  // Rebuild the screen from the server - anything pushed while we were
+  // disconnected (status changes, location updates) was missed
+  const fetchSnapshot = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/v1/trips/${tripId}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        }
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+
+      const { trip } = data;
+      setTripStatus(trip.status);
+
+      if (trip.driver) {
+        setDriverInfo(trip.driver);
+      }
+
+      setRouteCoordinates(
+        trip.trail.map(point => ({ latitude: point.latitude, longitude: point.longitude }))
+      );
+
+      if (trip.driver_location) {
+        setDriverLocation({
+          latitude: trip.driver_location.latitude,
+          longitude: trip.driver_location.longitude,
+        });
+      }
+
+      if (trip.eta) {
+        setEta({
+          target: trip.eta.target,
+          minutes: trip.eta.eta_minutes,
+          distanceKm: trip.eta.distance_km,
+        });
+        setPlannedRoute(decodeRoute(trip.eta.polyline));
+      } else {
+        setEta(null);
+        setPlannedRoute([]);
+      }
+
+      handleTripEnded(trip.status);
+    } catch (error) {
+      console.error('Trip snapshot error:', error);
+    }
+  };
 
   useEffect(() => {
     // Connect to Socket.io for real-time updates
@@ -39,8 +115,11 @@ const TripTrackingScreen = () => {
       auth: { token }
     });
 
-    // Join trip room
-    socketRef.current.emit('join_trip', tripId);
+    // (Re)join the trip room and resync on the first connect and every reconnect
+    socketRef.current.on('connect', () => {
+      socketRef.current.emit('join_trip', tripId);
+      fetchSnapshot();
+    });
 
     // Listen for driver location updates
     socketRef.current.on('driver_location_update', (data) => {
@@ -63,19 +142,30 @@ const TripTrackingScreen = () => {
       }
     });
 
+    // Listen for ETA updates (to pickup until the trip starts, then to dropoff)
+    socketRef.current.on('eta_update', (data) => {
+      setEta({
+        target: data.target,
+        minutes: data.eta_minutes,
+        distanceKm: data.distance_km,
+      });
+      setDriverLocation(data.driver_location);
+
+      // Planned route from the driver to the pickup or dropoff
+      setPlannedRoute(decodeRoute(data.polyline));
+    });
+
+    // Count chat messages from the driver until the chat is opened
+    socketRef.current.on('chat_message', (message) => {
+      if (message.sender_id !== user.id) {
+        setUnreadMessages(count => count + 1);
+      }
+    });
+
     // Listen for trip status changes
     socketRef.current.on('trip_status_change', (data) => {
       setTripStatus(data.status);
-      
-      if (data.status === 'completed') {
-        navigation.replace('TripComplete', { tripId });
-      } else if (data.status.includes('cancelled')) {
-        Alert.alert(
-          'Trip Cancelled',
-          'Your trip has been cancelled',
-          [{ text: 'OK', onPress: () => navigation.navigate('Home') }]
-        );
-      }
+      handleTripEnded(data.status);
     });
 
     return () => {
@@ -85,12 +175,39 @@ const TripTrackingScreen = () => {
     };
   }, [tripId]);
 
-  const handleCallDriver = () => {
-    if (driverInfo?.phone) {
-      Linking.openURL(`tel:${driverInfo.phone}`);
+  // Calls go through a masked proxy number, so neither side sees the other's real number
+  const handleCallDriver = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/v1/trips/${tripId}/call-number`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        }
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+
+      Linking.openURL(`tel:${data.call_number}`);
+    } catch (error) {
+      Alert.alert(
+        'Calling Unavailable',
+        error.message || 'Please message your driver instead',
+        [
+          { text: 'Open Chat', onPress: handleOpenChat },
+          { text: 'OK' }
+        ]
+      );
     }
   };
 
+  const handleOpenChat = () => {
+    setUnreadMessages(0);
+    navigation.navigate('TripChat', { tripId });
+  };
+
   const handleSOS = async () => {
     Alert.alert(
       'Emergency SOS',
@@ -142,6 +259,90 @@ const TripTrackingScreen = () => {
     );
   };
 
+  const sendShareLink = async (share) => {
+    await Share.share({
+      message: `Follow my SafeDrive trip live: ${share.url}`
+    });
+  };
+
+  const createShareLink = async () => {
+    setShareLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/v1/trips/${tripId}/share`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        }
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+
+      setTripShare(data);
+      await sendShareLink(data);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to create share link');
+    } finally {
+      setShareLoading(false);
+    }
+  };
+
+  const stopSharing = async () => {
+    setShareLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/v1/trips/${tripId}/share/${tripShare.share_id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        }
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error);
+      }
+
+      setTripShare(null);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to stop sharing');
+    } finally {
+      setShareLoading(false);
+    }
+  };
+
+  const handleShare = () => {
+    if (!tripShare) {
+      createShareLink();
+      return;
+    }
+
+    Alert.alert(
+      'Trip Shared',
+      'Anyone with the link can follow this trip until it ends.',
+      [
+        { text: 'Send Link Again', onPress: () => sendShareLink(tripShare) },
+        { text: 'Stop Sharing', style: 'destructive', onPress: stopSharing },
+        { text: 'Close', style: 'cancel' }
+      ]
+    );
+  };
+
+  const getEtaText = () => {
+    if (!eta) {
+      return null;
+    }
+
+    const minutes = eta.minutes === 1 ? '1 min' : `${eta.minutes} mins`;
+    return eta.target === 'pickup'
+      ? `Arriving in ${minutes} • ${eta.distanceKm} km away`
+      : `${minutes} to destination • ${eta.distanceKm} km left`;
+  };
+
   const getStatusText = () => {
     switch (tripStatus) {
       case 'accepted':
@@ -178,6 +379,16 @@ const TripTrackingScreen = () => {
           </Marker>
         )}
 
+        {/* Planned Route */}
+        {plannedRoute.length > 1 && (
+          <Polyline
+            coordinates={plannedRoute}
+            strokeColor="#2196F3"
+            strokeWidth={4}
+            lineDashPattern={[10, 6]}
+          />
+        )}
+
         {/* Route Polyline */}
         {routeCoordinates.length > 1 && (
           <Polyline
@@ -202,6 +413,17 @@ const TripTrackingScreen = () => {
               <Text style={styles.trips}>• {driverInfo?.total_trips} trips</Text>
             </View>
           </View>
+          <TouchableOpacity
+            style={[styles.callButton, styles.chatButton]}
+            onPress={handleOpenChat}
+          >
+            <Icon name="chat" size={24} color="#4CAF50" />
+            {unreadMessages > 0 && (
+              <View style={styles.unreadBadge}>
+                <Text style={styles.unreadText}>{unreadMessages}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
           <TouchableOpacity
             style={styles.callButton}
             onPress={handleCallDriver}
@@ -214,6 +436,13 @@ const TripTrackingScreen = () => {
           <View style={styles.statusDot} />
           <Text style={styles.statusText}>{getStatusText()}</Text>
         </View>
+
+        {eta && (
+          <View style={styles.etaContainer}>
+            <Icon name="schedule" size={18} color="#2196F3" />
+            <Text style={styles.etaText}>{getEtaText()}</Text>
+          </View>
+        )}
       </View>
 
       {/* Bottom Controls */}
@@ -235,9 +464,21 @@ const TripTrackingScreen = () => {
         </TouchableOpacity>
 
         {/* Share Trip Button */}
-        <TouchableOpacity style={styles.shareButton}>
-          <Icon name="share" size={24} color="#333" />
-          <Text style={styles.shareText}>Share Trip</Text>
+        <TouchableOpacity
+          style={styles.shareButton}
+          onPress={handleShare}
+          disabled={shareLoading}
+        >
+          {shareLoading ? (
+            <ActivityIndicator color="#333" />
+          ) : (
+            <>
+              <Icon name="share" size={24} color="#333" />
+              <Text style={styles.shareText}>
+                {tripShare ? 'Sharing Trip' : 'Share Trip'}
+              </Text>
+            </>
+          )}
         </TouchableOpacity>
       </View>
     </View>
@@ -310,6 +551,26 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  chatButton: {
+    marginRight: 8,
+  },
+  unreadBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    backgroundColor: '#F44336',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 4,
+  },
+  unreadText: {
+    color: '#FFF',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
   statusContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -328,6 +589,17 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  etaContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  etaText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginLeft: 6,
+  },
   bottomCard: {
     position: 'absolute',
     bottom: 40,
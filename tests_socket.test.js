@@ -0,0 +1,197 @@
+// backend/tests/socket.test.js
+// Socket.io room authorization and cross-instance delivery, with two servers sharing the in-memory adapter
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/db', () => ({ query: jest.fn() }));
+jest.mock('../src/utils/tripShare', () => ({
+  resolveTripShare: jest.fn(),
+  recordShareView: jest.fn(),
+  getShareRoom: tripId => `trip_share_${tripId}`
+}));
+jest.mock('../src/utils/locationUpdates', () => ({ recordDriverLocations: jest.fn() }));
+jest.mock('../src/utils/tripChat', () => ({ sendTripMessage: jest.fn(), markTripMessages: jest.fn() }));
+
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const jwt = require('jsonwebtoken');
+const db = require('../src/db');
+const { recordDriverLocations } = require('../src/utils/locationUpdates');
+const { sendTripMessage } = require('../src/utils/tripChat');
+const setupSocketIO = require('../src/socket');
+const { MemoryAdapter } = require('../src/utils/socketAdapter');
+
+const USERS = {
+  client: { id: 'client-1', user_type: 'client', status: 'active' },
+  otherClient: { id: 'client-2', user_type: 'client', status: 'active' },
+  driver: { id: 'driver-1', user_type: 'driver', status: 'active' },
+  sosDriver: { id: 'driver-2', user_type: 'driver', status: 'active' },
+  admin: { id: 'admin-1', user_type: 'admin', status: 'active' }
+};
+
+const TRIP = { id: 'trip-1', client_id: USERS.client.id, driver_id: USERS.driver.id, status: 'accepted' };
+const TRIP_ROOM = `trip_${TRIP.id}`;
+const SOS_TRIP = { id: 'trip-2', client_id: USERS.otherClient.id, driver_id: USERS.sosDriver.id, status: 'in_progress' };
+const TRIPS = [TRIP, SOS_TRIP];
+
+// Long enough for a packet to cross nodes if it were going to
+const SILENCE_MS = 100;
+
+db.query.mockImplementation(async (sql, values) => {
+  if (sql.includes('FROM users')) {
+    const user = Object.values(USERS).find(candidate => candidate.id === values[0]);
+    return { rows: user ? [user] : [] };
+  }
+  // getActiveTrip for a driver
+  if (sql.includes('FROM trips WHERE driver_id')) {
+    return { rows: TRIPS.filter(trip => trip.driver_id === values[0] && values[1].includes(trip.status)) };
+  }
+  if (sql.includes('FROM trips')) {
+    return { rows: TRIPS.filter(trip => trip.id === values[0]) };
+  }
+  return { rows: [] };
+});
+
+/**
+ * Start a Socket.io server on a random port, standing in for one API instance
+ * @returns {Promise<Object>} { io, url }
+ */
+async function startNode() {
+  const httpServer = createServer();
+  const io = new Server(httpServer, { adapter: MemoryAdapter });
+  setupSocketIO(io);
+
+  await new Promise(resolve => httpServer.listen(0, resolve));
+  return { io, url: `http://localhost:${httpServer.address().port}` };
+}
+
+describe('Socket.io with MemoryAdapter', () => {
+  let nodeA;
+  let nodeB;
+  let sockets;
+
+  /**
+   * Connect a client socket to a node, logged in as the given user
+   * @param {Object} node - From startNode
+   * @param {Object} user - One of USERS
+   * @returns {Promise<Object>} Connected socket
+   */
+  function connectAs(node, user) {
+    const socket = connectClient(node.url, {
+      auth: { token: jwt.sign({ id: user.id }, process.env.JWT_SECRET) },
+      transports: ['websocket'],
+      forceNew: true
+    });
+    sockets.push(socket);
+
+    return new Promise((resolve, reject) => {
+      socket.once('connect', () => resolve(socket));
+      socket.once('connect_error', reject);
+    });
+  }
+
+  function nextEvent(socket, event) {
+    return new Promise(resolve => socket.once(event, resolve));
+  }
+
+  beforeEach(async () => {
+    sockets = [];
+    nodeA = await startNode();
+    nodeB = await startNode();
+  });
+
+  afterEach(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await new Promise(resolve => nodeA.io.close(resolve));
+    await new Promise(resolve => nodeB.io.close(resolve));
+  });
+
+  it('delivers a broadcast to a socket connected to the other node', async () => {
+    const driverSocket = await connectAs(nodeB, USERS.driver);
+    await expect(driverSocket.emitWithAck('join_trip', TRIP.id)).resolves.toEqual({ success: true });
+
+    const received = nextEvent(driverSocket, 'trip_status_change');
+    nodeA.io.to(TRIP_ROOM).emit('trip_status_change', { trip_id: TRIP.id, status: 'cancelled_by_client' });
+
+    await expect(received).resolves.toEqual({ trip_id: TRIP.id, status: 'cancelled_by_client' });
+  });
+
+  it('keeps io.local broadcasts on their own node', async () => {
+    const adminOnA = await connectAs(nodeA, USERS.admin);
+    const adminOnB = await connectAs(nodeB, USERS.admin);
+    await adminOnA.emitWithAck('join_admin');
+    await adminOnB.emitWithAck('join_admin');
+
+    const onB = jest.fn();
+    adminOnB.on('sos_alert', onB);
+
+    const received = nextEvent(adminOnA, 'sos_alert');
+    nodeA.io.local.to('admin').emit('sos_alert', { incident_id: 'incident-1' });
+
+    await expect(received).resolves.toEqual({ incident_id: 'incident-1' });
+    await new Promise(resolve => setTimeout(resolve, SILENCE_MS));
+    expect(onB).not.toHaveBeenCalled();
+
+    expect(await nodeA.io.local.in('admin').fetchSockets()).toHaveLength(1);
+    expect(await nodeA.io.in('admin').fetchSockets()).toHaveLength(2);
+  });
+
+  it('refuses join_trip for a user who is not on the trip', async () => {
+    const outsider = await connectAs(nodeA, USERS.otherClient);
+
+    await expect(outsider.emitWithAck('join_trip', TRIP.id))
+      .resolves.toEqual({ success: false, error: 'Unauthorized' });
+
+    const onStatus = jest.fn();
+    outsider.on('trip_status_change', onStatus);
+    nodeB.io.to(TRIP_ROOM).emit('trip_status_change', { trip_id: TRIP.id, status: 'in_progress' });
+
+    await new Promise(resolve => setTimeout(resolve, SILENCE_MS));
+    expect(onStatus).not.toHaveBeenCalled();
+    expect(await nodeB.io.in(TRIP_ROOM).fetchSockets()).toHaveLength(0);
+  });
+
+  it('refuses join_admin for a user who is not an admin', async () => {
+    const driverSocket = await connectAs(nodeA, USERS.driver);
+
+    await expect(driverSocket.emitWithAck('join_admin'))
+      .resolves.toEqual({ success: false, error: 'Unauthorized' });
+
+    expect(await nodeB.io.in('admin').fetchSockets()).toHaveLength(0);
+  });
+
+  it('lets a driver suspended by an SOS reconnect to stream their trip only', async () => {
+    recordDriverLocations.mockResolvedValue({ accepted: 1, duplicates: 0, rejected: 0, flagged: 0 });
+    const batch = { trip_id: SOS_TRIP.id, points: [{ latitude: -1.287, longitude: 36.818, recorded_at: new Date().toISOString() }] };
+
+    const before = await connectAs(nodeA, USERS.sosDriver);
+    await expect(before.emitWithAck('join_trip', SOS_TRIP.id)).resolves.toEqual({ success: true });
+
+    // The client raises an SOS: the driver is suspended, then their connection drops
+    USERS.sosDriver.status = 'suspended';
+    try {
+      before.disconnect();
+
+      const after = await connectAs(nodeB, USERS.sosDriver);
+      await expect(after.emitWithAck('join_trip', SOS_TRIP.id)).resolves.toEqual({ success: true });
+      await expect(after.emitWithAck('driver_location_batch', batch))
+        .resolves.toEqual({ success: true, accepted: 1, duplicates: 0, rejected: 0, flagged: 0 });
+      expect(recordDriverLocations).toHaveBeenCalledWith(expect.anything(), USERS.sosDriver.id, SOS_TRIP.id, batch.points);
+
+      // Nothing beyond the incident trip's room and location stream
+      await expect(after.emitWithAck('driver_location_batch', { ...batch, trip_id: TRIP.id }))
+        .resolves.toEqual({ success: false, error: 'Unauthorized' });
+      await expect(after.emitWithAck('chat_send', { trip_id: SOS_TRIP.id, body: 'hello' }))
+        .resolves.toEqual({ success: false, error: 'Unauthorized' });
+      expect(sendTripMessage).not.toHaveBeenCalled();
+
+      // Once the trip is over the suspension applies in full
+      SOS_TRIP.status = 'completed';
+      await expect(connectAs(nodeA, USERS.sosDriver)).rejects.toThrow('Authentication failed');
+    } finally {
+      USERS.sosDriver.status = 'active';
+      SOS_TRIP.status = 'in_progress';
+    }
+  });
+});
@@ -0,0 +1,29 @@
+// backend/src/utils/callbackAuth.js
+// Shared-secret checks for provider callbacks that aren't signed (M-Pesa, voice)
+
+const crypto = require('crypto');
+
+/**
+ * Compare a callback's token with the configured secret in constant time
+ * @param {*} token - Token from the callback URL (anything the caller sent)
+ * @param {string} secret - Configured secret; an empty secret rejects everything
+ * @returns {boolean}
+ */
+function isValidCallbackToken(token, secret) {
+  if (!secret || typeof token !== 'string') {
+    return false;
+  }
+
+  // timingSafeEqual throws on buffers of different lengths, e.g. a multibyte token
+  const tokenBuffer = Buffer.from(token);
+  const secretBuffer = Buffer.from(secret);
+  if (tokenBuffer.length !== secretBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(tokenBuffer, secretBuffer);
+}
+
+module.exports = {
+  isValidCallbackToken
+};
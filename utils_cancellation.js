@@ -0,0 +1,214 @@
+// backend/src/utils/cancellation.js
+// Cancellation policy - reasons, late-cancellation fees and per-user abuse limits
+
+const db = require('../db');
+const { calculateDistance } = require('./pricing');
+const { getDriverLocation } = require('./location');
+const { notifyClient, notifyDriver } = require('./notifications');
+
+// Cancelling within this many minutes of a driver accepting is free
+const FREE_WINDOW_MINUTES = parseInt(process.env.CANCELLATION_FREE_WINDOW_MINUTES || '3', 10);
+
+// Late cancellation fee: base + per minute past the free window + per km the driver has covered
+const BASE_FEE = parseFloat(process.env.CANCELLATION_BASE_FEE || '100');
+const FEE_PER_MINUTE = parseFloat(process.env.CANCELLATION_FEE_PER_MINUTE || '10');
+const FEE_PER_KM = parseFloat(process.env.CANCELLATION_FEE_PER_KM || '30');
+const MAX_FEE = parseFloat(process.env.CANCELLATION_MAX_FEE || '500');
+
+// Share of the fee paid to the driver
+const DRIVER_SHARE = parseFloat(process.env.CANCELLATION_DRIVER_SHARE || '0.8');
+
+// Rolling cancellation limits
+const LIMIT_WINDOW_DAYS = parseInt(process.env.CANCELLATION_LIMIT_WINDOW_DAYS || '7', 10);
+const WARNING_THRESHOLD = parseInt(process.env.CANCELLATION_WARNING_THRESHOLD || '3', 10);
+const RESTRICTION_THRESHOLD = parseInt(process.env.CANCELLATION_RESTRICTION_THRESHOLD || '5', 10);
+const RESTRICTION_HOURS = parseInt(process.env.CANCELLATION_RESTRICTION_HOURS || '24', 10);
+
+const CANCELLATION_REASONS = {
+  client: [
+    'changed_plans',
+    'driver_too_far',
+    'driver_not_moving',
+    'driver_asked_to_cancel',
+    'wrong_pickup_location',
+    'found_alternative',
+    'other'
+  ],
+  driver: [
+    'client_not_at_pickup',
+    'client_unreachable',
+    'vehicle_not_roadworthy',
+    'unsafe_situation',
+    'client_requested_cancel',
+    'other'
+  ],
+  admin: [
+    'support_request',
+    'safety_concern',
+    'duplicate_trip',
+    'other'
+  ]
+};
+
+/**
+ * Check a cancellation reason against the fixed set for the cancelling role
+ * @param {string} role - 'client', 'driver' or 'admin'
+ * @param {string} reason - Reason code
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCancellationReason(role, reason) {
+  const reasons = CANCELLATION_REASONS[role] || [];
+
+  if (!reason) {
+    return 'A cancellation reason is required';
+  }
+
+  if (!reasons.includes(reason)) {
+    return `Invalid cancellation reason. Must be one of: ${reasons.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Work out the fee for a client cancelling a trip a driver has accepted
+ * @param {Object} client - Database client
+ * @param {Object} trip - Trip row (id, status, driver_id, accepted_at)
+ * @returns {Promise<Object>} { fee, driver_compensation, elapsed_minutes, driver_distance_km }
+ */
+async function calculateCancellationFee(client, trip) {
+  const noFee = { fee: 0, driver_compensation: 0, elapsed_minutes: 0, driver_distance_km: 0 };
+
+  if (!trip.driver_id || !trip.accepted_at) {
+    return noFee;
+  }
+
+  const elapsedMinutes = Math.max((Date.now() - new Date(trip.accepted_at).getTime()) / 60000, 0);
+  if (elapsedMinutes <= FREE_WINDOW_MINUTES) {
+    return { ...noFee, elapsed_minutes: Math.round(elapsedMinutes) };
+  }
+
+  // Distance covered = how much closer to pickup the driver is than when offered the trip
+  const offerResult = await client.query(
+    `SELECT o.distance_km,
+            ST_Y(t.pickup_location::geometry) AS pickup_latitude,
+            ST_X(t.pickup_location::geometry) AS pickup_longitude
+     FROM trips t
+     LEFT JOIN trip_offers o ON o.trip_id = t.id AND o.driver_id = t.driver_id AND o.status = 'accepted'
+     WHERE t.id = $1`,
+    [trip.id]
+  );
+
+  const offer = offerResult.rows[0];
+  const driverLocation = await getDriverLocation(trip.driver_id);
+
+  let driverDistanceKm = 0;
+  if (offer && offer.distance_km !== null && driverLocation) {
+    const remainingKm = calculateDistance(
+      driverLocation.latitude,
+      driverLocation.longitude,
+      offer.pickup_latitude,
+      offer.pickup_longitude
+    );
+    driverDistanceKm = Math.max(parseFloat(offer.distance_km) - remainingKm, 0);
+  }
+
+  const rawFee = BASE_FEE +
+    (elapsedMinutes - FREE_WINDOW_MINUTES) * FEE_PER_MINUTE +
+    driverDistanceKm * FEE_PER_KM;
+  const fee = Math.round(Math.min(rawFee, MAX_FEE) / 10) * 10;
+
+  return {
+    fee,
+    driver_compensation: Math.round(fee * DRIVER_SHARE),
+    elapsed_minutes: Math.round(elapsedMinutes),
+    driver_distance_km: Math.round(driverDistanceKm * 10) / 10
+  };
+}
+
+/**
+ * Count a user's recent cancellations and warn or restrict them when they
+ * cross the thresholds
+ * @param {string} userId - User who cancelled
+ * @param {string} role - Their role on the trip ('client' or 'driver')
+ * @returns {Promise<Object>} { cancellations, limit, warning, restricted_until }
+ */
+async function applyCancellationLimits(userId, role) {
+  const countResult = await db.query(
+    `SELECT COUNT(*) AS count
+     FROM trip_status_history
+     WHERE actor_id = $1
+       AND actor_role IN ('client', 'driver')
+       AND to_status IN ('cancelled_by_client', 'cancelled_by_driver')
+       AND created_at > NOW() - make_interval(days => $2)`,
+    [userId, LIMIT_WINDOW_DAYS]
+  );
+
+  const cancellations = parseInt(countResult.rows[0].count, 10);
+  const status = {
+    cancellations,
+    limit: RESTRICTION_THRESHOLD,
+    warning: null,
+    restricted_until: null
+  };
+
+  if (cancellations >= RESTRICTION_THRESHOLD) {
+    const restrictResult = await db.query(
+      `UPDATE users
+       SET booking_restricted_until = NOW() + make_interval(hours => $2)
+       WHERE id = $1
+       RETURNING booking_restricted_until`,
+      [userId, RESTRICTION_HOURS]
+    );
+
+    status.restricted_until = restrictResult.rows[0].booking_restricted_until;
+    status.warning = `You have cancelled ${cancellations} trips in the last ${LIMIT_WINDOW_DAYS} days. ` +
+      `Bookings are restricted for ${RESTRICTION_HOURS} hours.`;
+  } else if (cancellations >= WARNING_THRESHOLD) {
+    status.warning = `You have cancelled ${cancellations} trips in the last ${LIMIT_WINDOW_DAYS} days. ` +
+      `After ${RESTRICTION_THRESHOLD} your bookings will be temporarily restricted.`;
+  }
+
+  if (status.warning) {
+    const notify = role === 'driver' ? notifyDriver : notifyClient;
+    notify(userId, 'cancellation_warning', status);
+
+    await db.query(
+      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        userId,
+        status.restricted_until ? 'booking_restricted' : 'cancellation_warning',
+        'user',
+        userId,
+        JSON.stringify(status)
+      ]
+    );
+  }
+
+  return status;
+}
+
+/**
+ * Get the end of a user's booking restriction, if one is in force
+ * @param {string} userId
+ * @returns {Promise<Date|null>}
+ */
+async function getBookingRestriction(userId) {
+  const result = await db.query(
+    `SELECT booking_restricted_until
+     FROM users
+     WHERE id = $1 AND booking_restricted_until > NOW()`,
+    [userId]
+  );
+
+  return result.rows[0] ? result.rows[0].booking_restricted_until : null;
+}
+
+module.exports = {
+  CANCELLATION_REASONS,
+  validateCancellationReason,
+  calculateCancellationFee,
+  applyCancellationLimits,
+  getBookingRestriction
+};
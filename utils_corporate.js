@@ -0,0 +1,516 @@
+// backend/src/utils/corporate.js
+// Corporate accounts - memberships, cost centres, ride policies, approval overrides and trip billing
+
+const db = require('../db');
+const { getLocalTime } = require('./pricing');
+const { findServiceArea } = require('./location');
+const { notifyClient } = require('./notifications');
+
+const MEMBER_ROLES = ['admin', 'employee'];
+
+// An approved override can be used until this long after the pickup time it was requested for
+const APPROVAL_VALID_HOURS = parseInt(process.env.CORPORATE_APPROVAL_VALID_HOURS || '2', 10);
+
+// The fare may move (traffic, surge) this far above the approved quote before a new approval is needed
+const APPROVAL_FARE_TOLERANCE_PERCENT = parseFloat(process.env.CORPORATE_APPROVAL_FARE_TOLERANCE_PERCENT || '20');
+
+// Booked pickup and dropoff must be within this distance of the approved ones
+const APPROVAL_LOCATION_TOLERANCE_M = 1000;
+
+// Booked pickup time must be within this long of the approved one (the request time for on-demand rides)
+const APPROVAL_TIME_WINDOW_MINUTES = parseInt(process.env.CORPORATE_APPROVAL_TIME_WINDOW_MINUTES || '60', 10);
+
+const ACCOUNT_COLUMNS = `
+  a.id AS corporate_account_id, a.name AS account_name, a.status AS account_status,
+  a.policy_start_hour, a.policy_end_hour, a.policy_max_fare, a.policy_service_area_ids`;
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function formatMoney(amount) {
+  return `KES ${Number(amount).toLocaleString('en-KE')}`;
+}
+
+/**
+ * A user's active membership of a corporate account, with the account's policy
+ * @param {string} accountId - Corporate account ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Membership, or null if the user isn't an active member
+ */
+async function getMembership(accountId, userId) {
+  const result = await db.query(
+    `SELECT m.id, m.role, m.default_cost_centre_id, ${ACCOUNT_COLUMNS}
+     FROM corporate_members m
+     JOIN corporate_accounts a ON m.corporate_account_id = a.id
+     WHERE m.corporate_account_id = $1 AND m.user_id = $2 AND m.status = 'active'`,
+    [accountId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Corporate accounts a user can bill trips to, and invitations waiting for them
+ * @param {Object} user - Authenticated user (id)
+ * @returns {Promise<Object>} { accounts, invitations }
+ */
+async function getUserCorporateAccounts(user) {
+  const accountsResult = await db.query(
+    `SELECT m.id AS member_id, m.role, m.default_cost_centre_id, ${ACCOUNT_COLUMNS},
+            COALESCE(
+              (SELECT json_agg(json_build_object('id', c.id, 'code', c.code, 'name', c.name) ORDER BY c.code)
+               FROM cost_centres c
+               WHERE c.corporate_account_id = a.id AND c.is_active = true),
+              '[]'
+            ) AS cost_centres
+     FROM corporate_members m
+     JOIN corporate_accounts a ON m.corporate_account_id = a.id
+     WHERE m.user_id = $1 AND m.status = 'active' AND a.status = 'active'
+     ORDER BY a.name`,
+    [user.id]
+  );
+
+  const invitationsResult = await db.query(
+    `SELECT m.id AS member_id, m.role, m.invited_at, a.id AS corporate_account_id, a.name AS account_name
+     FROM corporate_members m
+     JOIN corporate_accounts a ON m.corporate_account_id = a.id
+     JOIN users u ON u.phone_number = m.phone_number
+     WHERE u.id = $1 AND m.status = 'invited' AND a.status = 'active'
+     ORDER BY m.invited_at DESC`,
+    [user.id]
+  );
+
+  return {
+    accounts: accountsResult.rows.map(row => ({
+      id: row.corporate_account_id,
+      name: row.account_name,
+      member_id: row.member_id,
+      role: row.role,
+      default_cost_centre_id: row.default_cost_centre_id,
+      cost_centres: row.cost_centres,
+      policy: {
+        start_hour: row.policy_start_hour,
+        end_hour: row.policy_end_hour,
+        max_fare: row.policy_max_fare !== null ? parseFloat(row.policy_max_fare) : null,
+        service_area_ids: row.policy_service_area_ids
+      }
+    })),
+    invitations: invitationsResult.rows
+  };
+}
+
+/**
+ * Accept an invitation sent to the user's phone number
+ * @param {string} memberId - Invitation (corporate_members) ID
+ * @param {Object} user - Authenticated user (id)
+ * @returns {Promise<Object>} { member } or { error, status }
+ */
+async function acceptInvitation(memberId, user) {
+  const result = await db.query(
+    `UPDATE corporate_members m
+     SET user_id = u.id, status = 'active', joined_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE m.id = $1 AND u.id = $2 AND u.phone_number = m.phone_number AND m.status = 'invited'
+     RETURNING m.id, m.corporate_account_id, m.role, m.default_cost_centre_id, m.status, m.joined_at`,
+    [memberId, user.id]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Invitation not found', status: 404 };
+  }
+
+  return { member: result.rows[0] };
+}
+
+/**
+ * Invite someone to a corporate account by phone number. They join by
+ * accepting in the app, signing up first if they have no account yet.
+ * Members who were removed can be invited again.
+ * @param {string} accountId - Corporate account ID
+ * @param {Object} invite - { phone_number, role, default_cost_centre_id }
+ * @param {string} invitedBy - User sending the invitation
+ * @returns {Promise<Object>} { member } or { error, status }
+ */
+async function inviteMember(accountId, invite, invitedBy) {
+  const result = await db.query(
+    `INSERT INTO corporate_members (corporate_account_id, phone_number, role, default_cost_centre_id, invited_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (corporate_account_id, phone_number) DO UPDATE
+       SET role = EXCLUDED.role,
+           default_cost_centre_id = EXCLUDED.default_cost_centre_id,
+           invited_by = EXCLUDED.invited_by,
+           status = 'invited',
+           user_id = NULL,
+           invited_at = CURRENT_TIMESTAMP,
+           joined_at = NULL
+       WHERE corporate_members.status = 'removed'
+     RETURNING id, corporate_account_id, phone_number, role, default_cost_centre_id, status, invited_at`,
+    [accountId, invite.phone_number, invite.role, invite.default_cost_centre_id || null, invitedBy]
+  );
+
+  const member = result.rows[0];
+  if (!member) {
+    return { error: 'This number is already a member or has been invited', status: 409 };
+  }
+
+  const userResult = await db.query('SELECT id FROM users WHERE phone_number = $1', [invite.phone_number]);
+  if (userResult.rows[0]) {
+    notifyClient(userResult.rows[0].id, 'corporate_invitation', {
+      member_id: member.id,
+      corporate_account_id: accountId,
+      role: member.role
+    });
+  }
+
+  return { member };
+}
+
+/**
+ * Check a booking against an account's ride policy. Unset policy fields don't restrict anything.
+ * @param {Object} account - Membership or account row with the policy_* columns
+ * @param {Object} booking - { estimated_price, pickup_time, time_zone, pickup_service_area_id, dropoff_service_area_id }
+ * @returns {Array} Violations [{ rule, message }], empty if the booking is within policy
+ */
+function checkRidePolicy(account, booking) {
+  const violations = [];
+
+  const startHour = account.policy_start_hour;
+  const endHour = account.policy_end_hour;
+  if (startHour !== null && endHour !== null && startHour !== endHour) {
+    const { hour } = getLocalTime(booking.pickup_time, booking.time_zone);
+    // Windows can wrap past midnight, e.g. 18:00 to 02:00 for after-work rides
+    const allowed = startHour < endHour
+      ? hour >= startHour && hour < endHour
+      : hour >= startHour || hour < endHour;
+
+    if (!allowed) {
+      violations.push({
+        rule: 'allowed_hours',
+        message: `Company rides are allowed from ${formatHour(startHour)} to ${formatHour(endHour)}`
+      });
+    }
+  }
+
+  if (account.policy_max_fare !== null && booking.estimated_price > parseFloat(account.policy_max_fare)) {
+    violations.push({
+      rule: 'max_fare',
+      message: `The fare of ${formatMoney(booking.estimated_price)} is above the ${formatMoney(account.policy_max_fare)} limit`
+    });
+  }
+
+  const areaIds = account.policy_service_area_ids;
+  if (areaIds && areaIds.length > 0 &&
+      (!areaIds.includes(booking.pickup_service_area_id) || !areaIds.includes(booking.dropoff_service_area_id))) {
+    violations.push({
+      rule: 'allowed_areas',
+      message: 'Pickup and dropoff must both be in the cities your company allows'
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Work out the policy violations for a booking (looking up the dropoff's service area if the policy needs it)
+ * @param {Object} membership - From getMembership
+ * @param {Object} booking - { estimated_price, scheduled_for, service_area, pickup_location, dropoff_location }
+ * @returns {Promise<Array>} Violations
+ */
+async function getPolicyViolations(membership, booking) {
+  const areaIds = membership.policy_service_area_ids;
+  let dropoffArea = null;
+  if (areaIds && areaIds.length > 0) {
+    dropoffArea = await findServiceArea(booking.dropoff_location.latitude, booking.dropoff_location.longitude);
+  }
+
+  return checkRidePolicy(membership, {
+    estimated_price: booking.estimated_price,
+    pickup_time: booking.scheduled_for || new Date(),
+    time_zone: booking.service_area.timezone,
+    pickup_service_area_id: booking.service_area.id,
+    dropoff_service_area_id: dropoffArea ? dropoffArea.id : null
+  });
+}
+
+/**
+ * Resolve the cost centre a trip is charged to: the one asked for, else the
+ * member's default. Accounts with cost centres need one on every trip.
+ */
+async function resolveCostCentre(membership, costCentreId) {
+  const id = costCentreId || membership.default_cost_centre_id;
+
+  if (!id) {
+    const countResult = await db.query(
+      'SELECT COUNT(*) AS count FROM cost_centres WHERE corporate_account_id = $1 AND is_active = true',
+      [membership.corporate_account_id]
+    );
+    if (parseInt(countResult.rows[0].count, 10) > 0) {
+      return { error: 'cost_centre_id is required for this company account', status: 400 };
+    }
+    return { cost_centre_id: null };
+  }
+
+  const result = await db.query(
+    `SELECT id FROM cost_centres
+     WHERE id = $1 AND corporate_account_id = $2 AND is_active = true`,
+    [id, membership.corporate_account_id]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Invalid cost centre', status: 400 };
+  }
+
+  return { cost_centre_id: id };
+}
+
+/**
+ * Check that a user may bill a booking to a corporate account. Policy
+ * violations are allowed only if an approved override covers them.
+ * @param {Object} user - Authenticated user (id)
+ * @param {Object} request - { corporate_account_id, cost_centre_id, approval_id }
+ * @param {Object} booking - { estimated_price, scheduled_for, service_area, pickup_location, dropoff_location }
+ * @param {string|null} tripId - Trip being edited, whose approval may already be used by it
+ * @returns {Promise<Object>} { billing } with the trip's billing columns,
+ *   or { error, status } - with violations if the booking is outside policy
+ */
+async function resolveCorporateBooking(user, request, booking, tripId = null) {
+  const membership = await getMembership(request.corporate_account_id, user.id);
+  if (!membership) {
+    return { error: 'You are not a member of this company account', status: 403 };
+  }
+
+  if (membership.account_status !== 'active') {
+    return { error: 'This company account is suspended', status: 403 };
+  }
+
+  const costCentre = await resolveCostCentre(membership, request.cost_centre_id);
+  if (costCentre.error) {
+    return costCentre;
+  }
+
+  let violations = await getPolicyViolations(membership, booking);
+  let approvalId = null;
+
+  if (violations.length > 0 && request.approval_id) {
+    const approvalResult = await db.query(
+      `SELECT id, violations, approved_max_fare
+       FROM corporate_approvals
+       WHERE id = $1
+         AND corporate_account_id = $2
+         AND requested_by = $3
+         AND (status = 'approved' OR (status = 'used' AND trip_id = $4))
+         AND expires_at > NOW()
+         AND ST_DWithin(pickup_location, ST_SetSRID(ST_MakePoint($5, $6), 4326)::geography, $9)
+         AND ST_DWithin(dropoff_location, ST_SetSRID(ST_MakePoint($7, $8), 4326)::geography, $9)
+         AND ABS(EXTRACT(EPOCH FROM (COALESCE(scheduled_for, created_at) - $10::timestamptz))) <= $11 * 60`,
+      [
+        request.approval_id,
+        membership.corporate_account_id,
+        user.id,
+        tripId,
+        booking.pickup_location.longitude,
+        booking.pickup_location.latitude,
+        booking.dropoff_location.longitude,
+        booking.dropoff_location.latitude,
+        APPROVAL_LOCATION_TOLERANCE_M,
+        booking.scheduled_for || new Date(),
+        APPROVAL_TIME_WINDOW_MINUTES
+      ]
+    );
+
+    const approval = approvalResult.rows[0];
+    if (!approval) {
+      return { error: 'Approval not found, expired or for a different trip', status: 403, violations };
+    }
+
+    const approvedRules = approval.violations.map(violation => violation.rule);
+    violations = violations.filter(violation => !(
+      approvedRules.includes(violation.rule) &&
+      (violation.rule !== 'max_fare' || booking.estimated_price <= parseFloat(approval.approved_max_fare))
+    ));
+    approvalId = approval.id;
+  }
+
+  if (violations.length > 0) {
+    return { error: "This trip is outside your company's ride policy", status: 403, violations };
+  }
+
+  return {
+    billing: {
+      billing_type: 'corporate',
+      corporate_account_id: membership.corporate_account_id,
+      cost_centre_id: costCentre.cost_centre_id,
+      corporate_approval_id: approvalId
+    }
+  };
+}
+
+/**
+ * Ask the company's admins to approve a booking that is outside policy
+ * @param {Object} user - Employee asking (id, full_name optional)
+ * @param {Object} membership - From getMembership
+ * @param {Object} request - { quote, service_area, pickup_location, dropoff_location, scheduled_for, cost_centre_id, reason }
+ * @returns {Promise<Object>} { approval } or { error, status }
+ */
+async function requestApproval(user, membership, request) {
+  const costCentre = await resolveCostCentre(membership, request.cost_centre_id);
+  if (costCentre.error) {
+    return costCentre;
+  }
+
+  const violations = await getPolicyViolations(membership, {
+    estimated_price: request.quote.estimated_price,
+    scheduled_for: request.scheduled_for,
+    service_area: request.service_area,
+    pickup_location: request.pickup_location,
+    dropoff_location: request.dropoff_location
+  });
+
+  if (violations.length === 0) {
+    return { error: 'This trip is within policy and needs no approval', status: 400 };
+  }
+
+  const pickupTime = request.scheduled_for || new Date();
+  const approvedMaxFare = Math.round(request.quote.estimated_price * (100 + APPROVAL_FARE_TOLERANCE_PERCENT)) / 100;
+
+  const result = await db.query(
+    `INSERT INTO corporate_approvals (
+       corporate_account_id, member_id, requested_by, cost_centre_id,
+       pickup_location, pickup_address, dropoff_location, dropoff_address,
+       scheduled_for, estimated_price, approved_max_fare, violations, reason, expires_at
+     ) VALUES (
+       $1, $2, $3, $4,
+       ST_SetSRID(ST_MakePoint($5, $6), 4326), $7,
+       ST_SetSRID(ST_MakePoint($8, $9), 4326), $10,
+       $11, $12, $13, $14, $15,
+       $16::timestamptz + make_interval(hours => $17)
+     )
+     RETURNING id, corporate_account_id, cost_centre_id, pickup_address, dropoff_address, scheduled_for,
+               estimated_price, approved_max_fare, violations, reason, status, expires_at, created_at`,
+    [
+      membership.corporate_account_id,
+      membership.id,
+      user.id,
+      costCentre.cost_centre_id,
+      request.pickup_location.longitude,
+      request.pickup_location.latitude,
+      request.pickup_location.address,
+      request.dropoff_location.longitude,
+      request.dropoff_location.latitude,
+      request.dropoff_location.address,
+      request.scheduled_for,
+      request.quote.estimated_price,
+      approvedMaxFare,
+      JSON.stringify(violations),
+      request.reason,
+      pickupTime,
+      APPROVAL_VALID_HOURS
+    ]
+  );
+
+  const approval = result.rows[0];
+
+  const adminsResult = await db.query(
+    `SELECT user_id FROM corporate_members
+     WHERE corporate_account_id = $1 AND role = 'admin' AND status = 'active' AND user_id <> $2`,
+    [membership.corporate_account_id, user.id]
+  );
+  adminsResult.rows.forEach(({ user_id: adminId }) => {
+    notifyClient(adminId, 'corporate_approval_requested', {
+      approval_id: approval.id,
+      corporate_account_id: membership.corporate_account_id,
+      estimated_price: parseFloat(approval.estimated_price),
+      violations
+    });
+  });
+
+  return { approval };
+}
+
+/**
+ * Approve or reject a pending override request. Admins can't decide their
+ * own requests unless nobody else can (they are the account's only admin).
+ * @param {string} accountId - Corporate account ID
+ * @param {string} approvalId - Approval ID
+ * @param {string} adminId - Company admin deciding
+ * @param {Object} decision - { status: 'approved'|'rejected', note }
+ * @returns {Promise<Object>} { approval } or { error, status }
+ */
+async function decideApproval(accountId, approvalId, adminId, { status, note }) {
+  const selfResult = await db.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM corporate_members m
+       WHERE m.corporate_account_id = ap.corporate_account_id
+         AND m.role = 'admin' AND m.status = 'active' AND m.user_id <> $3
+     ) AS other_admins
+     FROM corporate_approvals ap
+     WHERE ap.id = $1 AND ap.corporate_account_id = $2 AND ap.requested_by = $3`,
+    [approvalId, accountId, adminId]
+  );
+
+  if (selfResult.rows[0] && selfResult.rows[0].other_admins) {
+    return { error: 'Another company admin must decide your own request', status: 403 };
+  }
+
+  const result = await db.query(
+    `UPDATE corporate_approvals
+     SET status = $3, decided_by = $4, decided_at = CURRENT_TIMESTAMP, decision_note = $5
+     WHERE id = $1 AND corporate_account_id = $2 AND status = 'pending' AND expires_at > NOW()
+     RETURNING id, requested_by, status, approved_max_fare, expires_at, decision_note`,
+    [approvalId, accountId, status, adminId, note || null]
+  );
+
+  const approval = result.rows[0];
+  if (!approval) {
+    return { error: 'Approval not found, already decided or expired', status: 409 };
+  }
+
+  notifyClient(approval.requested_by, 'corporate_approval_decided', {
+    approval_id: approval.id,
+    status: approval.status,
+    note: approval.decision_note,
+    expires_at: approval.expires_at
+  });
+
+  return { approval };
+}
+
+/**
+ * Put a corporate trip's fare (or late-cancellation fee) on the company's
+ * account instead of collecting it from the rider. It is invoiced monthly.
+ * @param {Object} client - Database client (inside the status-change transaction)
+ * @param {Object} trip - Updated trip row
+ * @returns {Promise<Object>} Trip row
+ */
+async function billCorporateTrip(client, trip) {
+  const amount = trip.status === 'completed'
+    ? parseFloat(trip.final_price)
+    : parseFloat(trip.cancellation_fee || 0);
+
+  if (trip.billing_type !== 'corporate' || !(amount > 0)) {
+    return trip;
+  }
+
+  const result = await client.query(
+    `UPDATE trips SET payment_method = 'corporate', payment_status = 'billed'
+     WHERE id = $1
+     RETURNING *`,
+    [trip.id]
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  getMembership,
+  getUserCorporateAccounts,
+  inviteMember,
+  acceptInvitation,
+  checkRidePolicy,
+  resolveCorporateBooking,
+  requestApproval,
+  decideApproval,
+  billCorporateTrip
+};
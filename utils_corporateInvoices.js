@@ -0,0 +1,356 @@
+// backend/src/utils/corporateInvoices.js
+// Corporate billing - monthly consolidated invoices with per-trip detail, payment and CSV export
+
+const cron = require('node-cron');
+const db = require('../db');
+const { sendMail } = require('./mail');
+const { VAT_RATE_PERCENT } = require('./receipts');
+const { escapeCsv } = require('./tripHistory');
+
+// Invoice months run from the 1st to the end of the month in this timezone
+const INVOICE_TIMEZONE = process.env.CORPORATE_INVOICE_TIMEZONE || 'Africa/Nairobi';
+
+const INVOICE_COLUMNS = `
+  id, corporate_account_id, invoice_number, period_start, period_end, trip_count,
+  fares, cancellation_fees, total, vat_amount, status, due_at, issued_at,
+  paid_at, payment_reference, marked_paid_by`;
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Invoice one account for its billed trips that ended before periodEnd and
+ * aren't on an invoice yet (late completions roll into the next invoice)
+ * @param {string} accountId - Corporate account ID
+ * @param {Date} periodStart - Start of the invoiced month
+ * @param {Date} periodEnd - End of the invoiced month (exclusive)
+ * @param {string} periodLabel - YYYYMM, used in the invoice number
+ * @returns {Promise<Object|null>} Invoice, or null if there was nothing to invoice
+ */
+async function createCorporateInvoice(accountId, periodStart, periodEnd, periodLabel) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const accountResult = await client.query(
+      'SELECT id, payment_terms_days FROM corporate_accounts WHERE id = $1 FOR UPDATE',
+      [accountId]
+    );
+    const account = accountResult.rows[0];
+
+    const existingResult = await client.query(
+      'SELECT id FROM corporate_invoices WHERE corporate_account_id = $1 AND period_start = $2',
+      [accountId, periodStart]
+    );
+    if (existingResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const tripsResult = await client.query(
+      `SELECT id, status, final_price, cancellation_fee
+       FROM trips
+       WHERE corporate_account_id = $1
+         AND payment_status = 'billed'
+         AND corporate_invoice_id IS NULL
+         AND COALESCE(completed_at, cancelled_at) < $2
+       FOR UPDATE`,
+      [accountId, periodEnd]
+    );
+
+    if (tripsResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    let fares = 0;
+    let cancellationFees = 0;
+    tripsResult.rows.forEach(trip => {
+      if (trip.status === 'completed') {
+        fares += parseFloat(trip.final_price);
+      } else {
+        cancellationFees += parseFloat(trip.cancellation_fee);
+      }
+    });
+
+    const total = roundAmount(fares + cancellationFees);
+
+    const invoiceResult = await client.query(
+      `INSERT INTO corporate_invoices (
+        corporate_account_id, invoice_number, period_start, period_end, trip_count,
+        fares, cancellation_fees, total, vat_amount, due_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(days => $10))
+      RETURNING ${INVOICE_COLUMNS}`,
+      [
+        accountId,
+        `INV-${periodLabel}-${accountId.slice(0, 8).toUpperCase()}`,
+        periodStart,
+        periodEnd,
+        tripsResult.rows.length,
+        roundAmount(fares),
+        roundAmount(cancellationFees),
+        total,
+        roundAmount(total * VAT_RATE_PERCENT / (100 + VAT_RATE_PERCENT)),
+        account.payment_terms_days
+      ]
+    );
+    const invoice = invoiceResult.rows[0];
+
+    await client.query(
+      'UPDATE trips SET corporate_invoice_id = $1 WHERE id = ANY($2)',
+      [invoice.id, tripsResult.rows.map(trip => trip.id)]
+    );
+
+    await client.query('COMMIT');
+    return invoice;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get an invoice with one line per trip and totals per cost centre
+ * @param {string} invoiceId - Invoice ID
+ * @param {string|null} accountId - Invoice must belong to this account (null for platform admins)
+ * @returns {Promise<Object|null>} { invoice, trips, cost_centres }
+ */
+async function getCorporateInvoice(invoiceId, accountId = null) {
+  const invoiceResult = await db.query(
+    `SELECT ${INVOICE_COLUMNS} FROM corporate_invoices
+     WHERE id = $1 AND ($2::uuid IS NULL OR corporate_account_id = $2)`,
+    [invoiceId, accountId]
+  );
+
+  const invoice = invoiceResult.rows[0];
+  if (!invoice) {
+    return null;
+  }
+
+  const tripsResult = await db.query(
+    `SELECT t.id AS trip_id, t.status, t.requested_at, t.completed_at, t.cancelled_at,
+            t.pickup_address, t.dropoff_address, t.final_distance_km AS distance_km,
+            CASE WHEN t.status = 'completed' THEN t.final_price ELSE t.cancellation_fee END AS amount,
+            t.corporate_approval_id AS approval_id,
+            u.full_name AS employee_name,
+            cc.id AS cost_centre_id, cc.code AS cost_centre_code, cc.name AS cost_centre_name
+     FROM trips t
+     JOIN users u ON t.client_id = u.id
+     LEFT JOIN cost_centres cc ON t.cost_centre_id = cc.id
+     WHERE t.corporate_invoice_id = $1
+     ORDER BY COALESCE(t.completed_at, t.cancelled_at), t.id`,
+    [invoiceId]
+  );
+
+  const trips = tripsResult.rows.map(trip => ({
+    ...trip,
+    distance_km: trip.distance_km !== null ? parseFloat(trip.distance_km) : null,
+    amount: parseFloat(trip.amount)
+  }));
+
+  const byCostCentre = new Map();
+  trips.forEach(trip => {
+    const key = trip.cost_centre_id || 'none';
+    const totals = byCostCentre.get(key) || {
+      cost_centre_id: trip.cost_centre_id,
+      code: trip.cost_centre_code,
+      name: trip.cost_centre_name,
+      trip_count: 0,
+      total: 0
+    };
+    totals.trip_count += 1;
+    totals.total = roundAmount(totals.total + trip.amount);
+    byCostCentre.set(key, totals);
+  });
+
+  return { invoice, trips, cost_centres: [...byCostCentre.values()] };
+}
+
+const INVOICE_CSV_COLUMNS = [
+  ['trip_id', trip => trip.trip_id],
+  ['status', trip => trip.status],
+  ['requested_at', trip => trip.requested_at && new Date(trip.requested_at).toISOString()],
+  ['ended_at', trip => {
+    const endedAt = trip.completed_at || trip.cancelled_at;
+    return endedAt && new Date(endedAt).toISOString();
+  }],
+  ['employee', trip => trip.employee_name],
+  ['cost_centre_code', trip => trip.cost_centre_code],
+  ['cost_centre_name', trip => trip.cost_centre_name],
+  ['pickup_address', trip => trip.pickup_address],
+  ['dropoff_address', trip => trip.dropoff_address],
+  ['distance_km', trip => trip.distance_km],
+  ['amount_kes', trip => trip.amount],
+  ['approval_id', trip => trip.approval_id]
+];
+
+/**
+ * Render an invoice's trip lines as CSV, header first
+ * @param {Object} detail - From getCorporateInvoice
+ * @returns {string}
+ */
+function renderInvoiceCsv(detail) {
+  const header = INVOICE_CSV_COLUMNS.map(([name]) => name).join(',');
+  const rows = detail.trips.map(trip => INVOICE_CSV_COLUMNS.map(([, value]) => escapeCsv(value(trip))).join(','));
+  return `${[header, ...rows].join('\r\n')}\r\n`;
+}
+
+/**
+ * Email a new invoice to the account's billing address, trip lines attached as CSV
+ * @param {Object} invoice - Invoice row
+ * @returns {Promise<void>}
+ */
+async function emailCorporateInvoice(invoice) {
+  const accountResult = await db.query(
+    'SELECT name, billing_email FROM corporate_accounts WHERE id = $1',
+    [invoice.corporate_account_id]
+  );
+  const account = accountResult.rows[0];
+  const detail = await getCorporateInvoice(invoice.id);
+
+  await sendMail({
+    to: account.billing_email,
+    subject: `SafeDrive invoice ${invoice.invoice_number}`,
+    text: [
+      `Invoice ${invoice.invoice_number} for ${account.name}`,
+      `Trips: ${invoice.trip_count}`,
+      `Total: KES ${parseFloat(invoice.total).toFixed(2)} (incl. VAT KES ${parseFloat(invoice.vat_amount).toFixed(2)})`,
+      `Due: ${new Date(invoice.due_at).toISOString().slice(0, 10)}`,
+      '',
+      'The per-trip detail is attached. Company admins can also view it in the SafeDrive app.'
+    ].join('\n'),
+    attachments: [{
+      filename: `${invoice.invoice_number}.csv`,
+      content: renderInvoiceCsv(detail),
+      contentType: 'text/csv'
+    }]
+  });
+}
+
+/**
+ * Create last month's invoice for every account with billed trips
+ * @returns {Promise<number>} Number of invoices created
+ */
+async function generateCorporateInvoices() {
+  const boundsResult = await db.query(
+    `SELECT (date_trunc('month', NOW() AT TIME ZONE $1) - INTERVAL '1 month') AT TIME ZONE $1 AS period_start,
+            date_trunc('month', NOW() AT TIME ZONE $1) AT TIME ZONE $1 AS period_end,
+            to_char(date_trunc('month', NOW() AT TIME ZONE $1) - INTERVAL '1 month', 'YYYYMM') AS period_label`,
+    [INVOICE_TIMEZONE]
+  );
+  const { period_start: periodStart, period_end: periodEnd, period_label: periodLabel } = boundsResult.rows[0];
+
+  const accountsResult = await db.query(
+    `SELECT DISTINCT corporate_account_id
+     FROM trips
+     WHERE corporate_account_id IS NOT NULL
+       AND payment_status = 'billed'
+       AND corporate_invoice_id IS NULL
+       AND COALESCE(completed_at, cancelled_at) < $1`,
+    [periodEnd]
+  );
+
+  let created = 0;
+  for (const { corporate_account_id: accountId } of accountsResult.rows) {
+    try {
+      const invoice = await createCorporateInvoice(accountId, new Date(periodStart), new Date(periodEnd), periodLabel);
+      if (invoice) {
+        created += 1;
+        await emailCorporateInvoice(invoice).catch(error => {
+          console.error(`Invoice email error for ${invoice.invoice_number}:`, error);
+        });
+      }
+    } catch (error) {
+      // One account's failure shouldn't hold up everyone else's invoice
+      console.error(`Corporate invoice error for account ${accountId}:`, error);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Get an account's invoices, newest first
+ * @param {string} accountId
+ * @returns {Promise<Array>}
+ */
+async function getCorporateInvoices(accountId) {
+  const result = await db.query(
+    `SELECT ${INVOICE_COLUMNS} FROM corporate_invoices
+     WHERE corporate_account_id = $1
+     ORDER BY period_start DESC
+     LIMIT 36`,
+    [accountId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Mark an issued invoice as paid, and its trips with it
+ * @param {string} invoiceId
+ * @param {string} adminId - Platform admin recording the payment
+ * @param {string} reference - Bank or M-Pesa reference
+ * @returns {Promise<Object>} { invoice } or { error, status }
+ */
+async function markInvoicePaid(invoiceId, adminId, reference) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE corporate_invoices
+       SET status = 'paid', paid_at = CURRENT_TIMESTAMP, payment_reference = $2, marked_paid_by = $3
+       WHERE id = $1 AND status = 'issued'
+       RETURNING ${INVOICE_COLUMNS}`,
+      [invoiceId, reference, adminId]
+    );
+
+    const invoice = result.rows[0];
+    if (!invoice) {
+      await client.query('ROLLBACK');
+      return { error: 'Invoice not found or already paid', status: 409 };
+    }
+
+    await client.query(
+      `UPDATE trips SET payment_status = 'paid' WHERE corporate_invoice_id = $1`,
+      [invoiceId]
+    );
+
+    await client.query('COMMIT');
+    return { invoice };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Start the monthly invoice job (1st of the month at 02:00 in CORPORATE_INVOICE_TIMEZONE)
+ * @returns {Object} The node-cron task
+ */
+function startCorporateInvoicesJob() {
+  return cron.schedule('0 2 1 * *', async () => {
+    try {
+      await generateCorporateInvoices();
+    } catch (error) {
+      console.error('Corporate invoices job error:', error);
+    }
+  }, { timezone: INVOICE_TIMEZONE });
+}
+
+module.exports = {
+  generateCorporateInvoices,
+  getCorporateInvoices,
+  getCorporateInvoice,
+  renderInvoiceCsv,
+  markInvoicePaid,
+  startCorporateInvoicesJob
+};
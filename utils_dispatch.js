@@ -0,0 +1,347 @@
+// backend/src/utils/dispatch.js
+// Sequential trip dispatch - one timed offer at a time, widening the search radius
+
+const cron = require('node-cron');
+const db = require('../db');
+const { findNearbyDrivers } = require('./location');
+const { notifyDriver, notifyClient } = require('./notifications');
+const { transitionTrip } = require('./tripStateMachine');
+
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || '20', 10);
+const RADIUS_STEPS_KM = (process.env.DISPATCH_RADIUS_STEPS_KM || '3,5,8,12')
+  .split(',')
+  .map(step => parseFloat(step));
+
+// Ranking weights (sum to 1)
+const DISTANCE_WEIGHT = 0.5;
+const RATING_WEIGHT = 0.3;
+const ACCEPTANCE_WEIGHT = 0.2;
+
+// Drivers without ratings or offer history yet are ranked as if they had these
+const NEW_DRIVER_RATING = 4.0;
+const NEW_DRIVER_ACCEPTANCE_RATE = 0.8;
+
+// Expiry timers for open offers, keyed by trip ID
+const offerTimers = new Map();
+
+/**
+ * Rank drivers for an offer, best first
+ * @param {Array} drivers - Drivers from findNearbyDrivers
+ * @param {number} radiusKm - Radius the drivers were found in
+ * @returns {Array} Drivers with a score, sorted by score descending
+ */
+function rankDrivers(drivers, radiusKm) {
+  return drivers
+    .map(driver => {
+      const distanceScore = 1 - Math.min(parseFloat(driver.distance_km) / radiusKm, 1);
+      const ratingScore = (driver.rating || NEW_DRIVER_RATING) / 5;
+      const acceptanceScore = driver.acceptance_rate === null || driver.acceptance_rate === undefined
+        ? NEW_DRIVER_ACCEPTANCE_RATE
+        : driver.acceptance_rate;
+
+      const score = DISTANCE_WEIGHT * distanceScore +
+        RATING_WEIGHT * ratingScore +
+        ACCEPTANCE_WEIGHT * acceptanceScore;
+
+      return { ...driver, score: Math.round(score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Start dispatching a newly requested trip. If that fails before an offer
+ * is open, nothing would pick the trip up again, so it is ended as
+ * no_driver_found and the client can request another.
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<number>} Number of candidate drivers found for the first offer
+ */
+async function startDispatch(tripId) {
+  try {
+    return await offerNextDriver(tripId);
+  } catch (error) {
+    console.error('Dispatch start error for trip', tripId, error);
+  }
+
+  // An open offer is carried on by its timer or the dispatch job
+  const openResult = await db.query(
+    `SELECT 1 FROM trip_offers WHERE trip_id = $1 AND status = 'offered'`,
+    [tripId]
+  );
+  if (openResult.rows.length === 0) {
+    await markNoDriverFound({ id: tripId }, 'Dispatch failed to start');
+  }
+
+  return 0;
+}
+
+/**
+ * Offer the trip to the best-ranked driver who hasn't been offered it yet
+ * and isn't holding an open offer for another trip, widening the radius when the current one runs out of drivers. Marks the
+ * trip no_driver_found when the largest radius is exhausted.
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<number>} Number of candidate drivers at the radius used
+ */
+async function offerNextDriver(tripId) {
+  const tripResult = await db.query(
+    `SELECT t.id, t.client_id, t.status, t.pickup_address, t.dropoff_address, t.estimated_price,
+            ST_Y(t.pickup_location::geometry) AS pickup_latitude,
+            ST_X(t.pickup_location::geometry) AS pickup_longitude,
+            ST_Y(t.dropoff_location::geometry) AS dropoff_latitude,
+            ST_X(t.dropoff_location::geometry) AS dropoff_longitude,
+            sa.dispatch_radius_km
+     FROM trips t
+     LEFT JOIN service_areas sa ON t.service_area_id = sa.id
+     WHERE t.id = $1`,
+    [tripId]
+  );
+
+  const trip = tripResult.rows[0];
+  if (!trip || trip.status !== 'pending') {
+    return 0;
+  }
+
+  // This trip's offers so far, plus any driver still deciding on another trip's offer
+  const offersResult = await db.query(
+    `SELECT driver_id, radius_km, trip_id = $1 AS for_this_trip
+     FROM trip_offers
+     WHERE trip_id = $1 OR (status = 'offered' AND expires_at > NOW())`,
+    [tripId]
+  );
+  const excludedDriverIds = new Set(offersResult.rows.map(offer => offer.driver_id));
+  const currentRadiusKm = Math.max(0, ...offersResult.rows
+    .filter(offer => offer.for_this_trip)
+    .map(offer => parseFloat(offer.radius_km)));
+
+  for (const radiusKm of getRadiusSteps(trip.dispatch_radius_km).filter(step => step >= currentRadiusKm)) {
+    const candidates = (await findNearbyDrivers(trip.pickup_latitude, trip.pickup_longitude, radiusKm))
+      .filter(driver => !excludedDriverIds.has(driver.id));
+
+    if (candidates.length > 0) {
+      const [bestDriver] = rankDrivers(candidates, radiusKm);
+      await createOffer(trip, bestDriver, radiusKm);
+      return candidates.length;
+    }
+  }
+
+  const radiusSteps = getRadiusSteps(trip.dispatch_radius_km);
+  await markNoDriverFound(trip, `No driver accepted within ${radiusSteps[radiusSteps.length - 1]} km`);
+  return 0;
+}
+
+/**
+ * Radius steps for a trip, capped at its service area's dispatch radius
+ * @param {number|string|null} maxRadiusKm - Service area dispatch radius
+ * @returns {Array<number>} Radius steps in km
+ */
+function getRadiusSteps(maxRadiusKm) {
+  if (!maxRadiusKm) {
+    return RADIUS_STEPS_KM;
+  }
+
+  const maxRadius = parseFloat(maxRadiusKm);
+  return [...RADIUS_STEPS_KM.filter(step => step < maxRadius), maxRadius];
+}
+
+async function createOffer(trip, driver, radiusKm) {
+  const offerResult = await db.query(
+    `INSERT INTO trip_offers (trip_id, driver_id, status, radius_km, distance_km, score, expires_at)
+     VALUES ($1, $2, 'offered', $3, $4, $5, NOW() + make_interval(secs => $6))
+     RETURNING id, expires_at`,
+    [trip.id, driver.id, radiusKm, parseFloat(driver.distance_km), driver.score, OFFER_TIMEOUT_SECONDS]
+  );
+
+  const offer = offerResult.rows[0];
+
+  notifyDriver(driver.id, 'new_trip_request', {
+    trip_id: trip.id,
+    offer_id: offer.id,
+    pickup_location: {
+      latitude: trip.pickup_latitude,
+      longitude: trip.pickup_longitude,
+      address: trip.pickup_address
+    },
+    dropoff_location: {
+      latitude: trip.dropoff_latitude,
+      longitude: trip.dropoff_longitude,
+      address: trip.dropoff_address
+    },
+    estimated_price: parseFloat(trip.estimated_price),
+    distance_km: driver.distance_km,
+    eta_minutes: driver.eta_minutes,
+    expires_at: offer.expires_at,
+    expires_in_seconds: OFFER_TIMEOUT_SECONDS
+  });
+
+  clearOfferTimer(trip.id);
+  offerTimers.set(trip.id, setTimeout(() => {
+    expireOffer(offer.id).catch(error => console.error('Offer expiry error:', error));
+  }, OFFER_TIMEOUT_SECONDS * 1000));
+
+  return offer;
+}
+
+async function expireOffer(offerId) {
+  const result = await db.query(
+    `UPDATE trip_offers
+     SET status = 'expired', responded_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'offered'
+     RETURNING trip_id, driver_id`,
+    [offerId]
+  );
+
+  // Already accepted or declined
+  if (result.rows.length === 0) {
+    return;
+  }
+
+  const { trip_id, driver_id } = result.rows[0];
+  offerTimers.delete(trip_id);
+  notifyDriver(driver_id, 'trip_offer_expired', { trip_id });
+
+  await offerNextDriver(trip_id);
+}
+
+/**
+ * Expire offers that are past expires_at and move their trips on. Catches
+ * offers whose in-memory timer was lost to a restart or lives on another
+ * server; the UPDATE claims each offer so only one process advances a trip.
+ * @returns {Promise<number>} Number of offers expired
+ */
+async function expireOverdueOffers() {
+  const result = await db.query(
+    `UPDATE trip_offers
+     SET status = 'expired', responded_at = CURRENT_TIMESTAMP
+     WHERE status = 'offered' AND expires_at < NOW()
+     RETURNING trip_id, driver_id`
+  );
+
+  for (const { trip_id, driver_id } of result.rows) {
+    clearOfferTimer(trip_id);
+    notifyDriver(driver_id, 'trip_offer_expired', { trip_id });
+
+    try {
+      await offerNextDriver(trip_id);
+    } catch (error) {
+      console.error('Dispatch sweep error for trip', trip_id, error);
+    }
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Start the background job that expires overdue offers.
+ * Runs every 10 seconds.
+ * @returns {Object} The node-cron task
+ */
+function startDispatchJob() {
+  return cron.schedule('*/10 * * * * *', async () => {
+    try {
+      await expireOverdueOffers();
+    } catch (error) {
+      console.error('Dispatch job error:', error);
+    }
+  });
+}
+
+/**
+ * Record a driver declining their open offer and move on to the next driver
+ * @param {string} tripId - Trip ID
+ * @param {string} driverId - Declining driver's user ID
+ * @param {string} reason - Optional reason given by the driver
+ * @returns {Promise<boolean>} False if the driver had no open offer for this trip
+ */
+async function declineOffer(tripId, driverId, reason) {
+  const result = await db.query(
+    `UPDATE trip_offers
+     SET status = 'declined', responded_at = CURRENT_TIMESTAMP, decline_reason = $3
+     WHERE trip_id = $1 AND driver_id = $2 AND status = 'offered'
+     RETURNING id`,
+    [tripId, driverId, reason || null]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  clearOfferTimer(tripId);
+  await offerNextDriver(tripId);
+  return true;
+}
+
+/**
+ * Mark the driver's open offer as accepted. Call inside the accept transaction.
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} tripId - Trip ID
+ * @param {string} driverId - Accepting driver's user ID
+ * @returns {Promise<Object|null>} Accepted offer, or null if the driver has no open offer
+ */
+async function acceptOffer(client, tripId, driverId) {
+  const result = await client.query(
+    `UPDATE trip_offers
+     SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+     WHERE trip_id = $1 AND driver_id = $2 AND status = 'offered' AND expires_at > NOW()
+     RETURNING id`,
+    [tripId, driverId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Stop dispatching a trip that has been accepted, cancelled or otherwise ended
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<void>}
+ */
+async function stopDispatch(tripId) {
+  clearOfferTimer(tripId);
+  await db.query(
+    `UPDATE trip_offers
+     SET status = 'expired', responded_at = CURRENT_TIMESTAMP
+     WHERE trip_id = $1 AND status = 'offered'`,
+    [tripId]
+  );
+}
+
+function clearOfferTimer(tripId) {
+  const timer = offerTimers.get(tripId);
+  if (timer) {
+    clearTimeout(timer);
+    offerTimers.delete(tripId);
+  }
+}
+
+async function markNoDriverFound(trip, reason) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const updatedTrip = await transitionTrip(
+      client,
+      trip.id,
+      'pending',
+      'no_driver_found',
+      { role: 'system', reason }
+    );
+    await client.query('COMMIT');
+
+    if (updatedTrip) {
+      notifyClient(updatedTrip.client_id, 'no_driver_found', { trip_id: trip.id });
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  rankDrivers,
+  startDispatch,
+  declineOffer,
+  acceptOffer,
+  stopDispatch,
+  expireOverdueOffers,
+  startDispatchJob
+};
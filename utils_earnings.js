@@ -0,0 +1,443 @@
+// backend/src/utils/earnings.js
+// Driver earnings - append-only ledger, earnings summaries and weekly payout statements
+
+const cron = require('node-cron');
+const db = require('../db');
+const { notifyDriver } = require('./notifications');
+
+// Platform share of each fare (tips and cancellation compensation are not commissioned)
+const COMMISSION_PERCENT = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT || '20');
+
+// Days, weeks and months are counted in this timezone; payout weeks run Monday to Sunday
+const EARNINGS_TIMEZONE = process.env.EARNINGS_TIMEZONE || 'Africa/Nairobi';
+
+// Ledger entry types. Amounts are signed: positive is owed to the driver.
+//   fare                       + final fare of a completed trip
+//   commission                 - platform commission on the fare
+//   tip                        + tip for the driver
+//   cancellation_compensation  + driver's share of a late-cancellation fee
+//   cash_collected             - cash the driver already received (fare and tip)
+//   adjustment                 +/- admin correction
+//   payout                     - amount paid out against a statement
+const ENTRY_TYPES = ['fare', 'commission', 'tip', 'cancellation_compensation', 'cash_collected', 'adjustment', 'payout'];
+
+const EARNINGS_PERIODS = {
+  day: { default_range: '30 days' },
+  week: { default_range: '12 weeks' },
+  month: { default_range: '12 months' }
+};
+
+const PAYOUT_METHODS = ['mpesa_b2c', 'bank_transfer', 'cash'];
+
+const PAYOUT_COLUMNS = `
+  id, driver_id, period_start, period_end, gross_fare, commission, tips,
+  cancellation_compensation, adjustments, net_earnings, cash_collected,
+  carried_forward, amount_due, status, payment_method, payment_reference,
+  paid_by, paid_at, created_at`;
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Append entries to a driver's ledger. Entries for a trip are unique per type,
+ * so recording the same trip twice is a no-op.
+ * @param {Object} client - Database client (inside the caller's transaction)
+ * @param {string} driverId
+ * @param {Array} entries - [{ entry_type, amount, trip_id?, payout_id?, details? }]
+ * @returns {Promise<number>} Number of entries written
+ */
+async function addLedgerEntries(client, driverId, entries) {
+  const nonZero = entries.filter(entry => entry.amount !== 0);
+  if (nonZero.length === 0) {
+    return 0;
+  }
+
+  const result = await client.query(
+    `INSERT INTO driver_ledger_entries (driver_id, trip_id, payout_id, entry_type, amount, details)
+     SELECT $1, e.trip_id, e.payout_id, e.entry_type, e.amount, e.details
+     FROM unnest($2::uuid[], $3::uuid[], $4::text[], $5::numeric[], $6::jsonb[])
+       AS e(trip_id, payout_id, entry_type, amount, details)
+     ON CONFLICT DO NOTHING`,
+    [
+      driverId,
+      nonZero.map(entry => entry.trip_id || null),
+      nonZero.map(entry => entry.payout_id || null),
+      nonZero.map(entry => entry.entry_type),
+      nonZero.map(entry => roundAmount(entry.amount)),
+      nonZero.map(entry => JSON.stringify(entry.details || {}))
+    ]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Record what a driver earned from a trip that just ended: the fare less
+ * commission for completed trips, or compensation for late cancellations
+ * @param {Object} client - Database client (inside the status-change transaction)
+ * @param {Object} trip - Updated trip row
+ * @returns {Promise<number>} Number of entries written
+ */
+async function recordTripEarnings(client, trip) {
+  if (!trip.driver_id) {
+    return 0;
+  }
+
+  if (trip.status === 'completed') {
+    const fare = parseFloat(trip.final_price);
+    return addLedgerEntries(client, trip.driver_id, [
+      { entry_type: 'fare', amount: fare, trip_id: trip.id },
+      {
+        entry_type: 'commission',
+        amount: -roundAmount(fare * COMMISSION_PERCENT / 100),
+        trip_id: trip.id,
+        details: { commission_percent: COMMISSION_PERCENT }
+      }
+    ]);
+  }
+
+  const compensation = parseFloat(trip.driver_compensation || 0);
+  if (compensation > 0) {
+    return addLedgerEntries(client, trip.driver_id, [
+      { entry_type: 'cancellation_compensation', amount: compensation, trip_id: trip.id, details: { reason: trip.cancellation_reason } }
+    ]);
+  }
+
+  return 0;
+}
+
+/**
+ * Record a cash payment: the driver keeps the cash, so it is deducted from
+ * what the platform owes them. A cash tip is credited and deducted alike.
+ * @param {Object} client - Database client (inside the cash payment transaction)
+ * @param {string} driverId
+ * @param {string} tripId
+ * @param {number} fare - Cash fare received
+ * @param {number} tip - Cash tip received
+ * @returns {Promise<number>}
+ */
+async function recordCashCollection(client, driverId, tripId, fare, tip = 0) {
+  return addLedgerEntries(client, driverId, [
+    { entry_type: 'tip', amount: tip, trip_id: tripId, details: { method: 'cash' } },
+    { entry_type: 'cash_collected', amount: -(fare + tip), trip_id: tripId }
+  ]);
+}
+
+/**
+ * Get a driver's earnings grouped by day, week or month, newest first
+ * @param {string} driverId
+ * @param {Object} options - { period: 'day'|'week'|'month', from?: Date, to?: Date }
+ * @returns {Promise<Object>} { summary, periods, balance }
+ */
+async function getDriverEarnings(driverId, { period, from, to }) {
+  const result = await db.query(
+    `SELECT date_trunc($2, e.created_at AT TIME ZONE 'UTC' AT TIME ZONE $3) AS period_start,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'fare'), 0) AS gross_fare,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'commission'), 0) AS commission,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'tip'), 0) AS tips,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'cancellation_compensation'), 0) AS cancellation_compensation,
+            COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'adjustment'), 0) AS adjustments,
+            COUNT(DISTINCT e.trip_id) FILTER (WHERE e.entry_type = 'fare') AS trips
+     FROM driver_ledger_entries e
+     WHERE e.driver_id = $1
+       AND e.entry_type NOT IN ('cash_collected', 'payout')
+       AND e.created_at >= COALESCE($4::timestamptz, NOW() - $6::interval)
+       AND e.created_at < COALESCE($5::timestamptz, NOW())
+     GROUP BY 1
+     ORDER BY 1 DESC`,
+    [driverId, period, EARNINGS_TIMEZONE, from || null, to || null, EARNINGS_PERIODS[period].default_range]
+  );
+
+  const periods = result.rows.map(row => {
+    const amounts = {
+      gross_fare: parseFloat(row.gross_fare),
+      commission: parseFloat(row.commission),
+      tips: parseFloat(row.tips),
+      cancellation_compensation: parseFloat(row.cancellation_compensation),
+      adjustments: parseFloat(row.adjustments)
+    };
+    return {
+      period_start: row.period_start,
+      trips: parseInt(row.trips, 10),
+      ...amounts,
+      net_earnings: roundAmount(Object.values(amounts).reduce((sum, amount) => sum + amount, 0))
+    };
+  });
+
+  const summary = periods.reduce((totals, row) => {
+    Object.keys(totals).forEach(key => {
+      totals[key] = roundAmount(totals[key] + row[key]);
+    });
+    return totals;
+  }, { trips: 0, gross_fare: 0, commission: 0, tips: 0, cancellation_compensation: 0, adjustments: 0, net_earnings: 0 });
+
+  const balanceResult = await db.query(
+    'SELECT COALESCE(SUM(amount), 0) AS balance FROM driver_ledger_entries WHERE driver_id = $1',
+    [driverId]
+  );
+
+  return {
+    commission_percent: COMMISSION_PERCENT,
+    timezone: EARNINGS_TIMEZONE,
+    summary,
+    periods,
+    // Everything earned and not yet paid out (negative if cash collected exceeds earnings)
+    balance: parseFloat(balanceResult.rows[0].balance)
+  };
+}
+
+/**
+ * Create a statement for one driver for the week that just ended. Amounts
+ * come from the week's ledger entries plus anything left over from the
+ * driver's previous statement (unpaid, or not enough to pay out), so each
+ * ledger entry is counted in exactly one paid statement.
+ * @param {string} driverId
+ * @param {Date} periodStart
+ * @param {Date} periodEnd
+ * @returns {Promise<Object|null>} The statement, or null if it already exists
+ */
+async function createPayoutStatement(driverId, periodStart, periodEnd) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the latest statement so it can't be paid while its balance is carried forward
+    const previousResult = await client.query(
+      `SELECT id, period_start, status, amount_due
+       FROM driver_payouts
+       WHERE driver_id = $1
+       ORDER BY period_start DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [driverId]
+    );
+
+    const previous = previousResult.rows[0];
+    if (previous && new Date(previous.period_start) >= periodStart) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const totalsResult = await client.query(
+      `SELECT entry_type, SUM(amount) AS total
+       FROM driver_ledger_entries
+       WHERE driver_id = $1 AND created_at >= $2 AND created_at < $3 AND entry_type <> 'payout'
+       GROUP BY entry_type`,
+      [driverId, periodStart, periodEnd]
+    );
+
+    const totals = Object.fromEntries(ENTRY_TYPES.map(type => [type, 0]));
+    totalsResult.rows.forEach(row => {
+      totals[row.entry_type] = parseFloat(row.total);
+    });
+
+    const netEarnings = roundAmount(
+      totals.fare + totals.commission + totals.tip + totals.cancellation_compensation + totals.adjustment
+    );
+    const carriedForward = previous && ['pending', 'carried_forward'].includes(previous.status)
+      ? parseFloat(previous.amount_due)
+      : 0;
+    const amountDue = roundAmount(netEarnings + totals.cash_collected + carriedForward);
+
+    if (previous && ['pending', 'carried_forward'].includes(previous.status)) {
+      await client.query(`UPDATE driver_payouts SET status = 'superseded' WHERE id = $1`, [previous.id]);
+    }
+
+    const result = await client.query(
+      `INSERT INTO driver_payouts (
+        driver_id, period_start, period_end, gross_fare, commission, tips,
+        cancellation_compensation, adjustments, net_earnings, cash_collected,
+        carried_forward, amount_due, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING ${PAYOUT_COLUMNS}`,
+      [
+        driverId, periodStart, periodEnd, totals.fare, totals.commission, totals.tip,
+        totals.cancellation_compensation, totals.adjustment, netEarnings, totals.cash_collected,
+        carriedForward, amountDue, amountDue > 0 ? 'pending' : 'carried_forward'
+      ]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create statements for last week (Monday to Sunday) for every driver with ledger activity
+ * @returns {Promise<number>} Number of statements created
+ */
+async function generatePayoutStatements() {
+  const boundsResult = await db.query(
+    `SELECT (date_trunc('week', NOW() AT TIME ZONE $1) - INTERVAL '7 days') AT TIME ZONE $1 AS period_start,
+            date_trunc('week', NOW() AT TIME ZONE $1) AT TIME ZONE $1 AS period_end`,
+    [EARNINGS_TIMEZONE]
+  );
+  const { period_start: periodStart, period_end: periodEnd } = boundsResult.rows[0];
+
+  const driversResult = await db.query(
+    `SELECT DISTINCT driver_id
+     FROM driver_ledger_entries
+     WHERE created_at >= $1 AND created_at < $2 AND entry_type <> 'payout'`,
+    [periodStart, periodEnd]
+  );
+
+  let created = 0;
+  for (const { driver_id: driverId } of driversResult.rows) {
+    try {
+      const statement = await createPayoutStatement(driverId, new Date(periodStart), new Date(periodEnd));
+      if (statement) {
+        created += 1;
+        notifyDriver(driverId, 'payout_statement_ready', {
+          payout_id: statement.id,
+          period_start: statement.period_start,
+          amount_due: parseFloat(statement.amount_due)
+        });
+      }
+    } catch (error) {
+      // One driver's failure shouldn't hold up everyone else's statement
+      console.error(`Payout statement error for driver ${driverId}:`, error);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Mark a pending statement as paid and record the payout in the ledger
+ * @param {string} payoutId
+ * @param {string} adminId
+ * @param {Object} payment - { method, reference }
+ * @returns {Promise<Object>} { payout } or { error, status }
+ */
+async function markPayoutPaid(payoutId, adminId, { method, reference }) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const payoutResult = await client.query(
+      `SELECT ${PAYOUT_COLUMNS} FROM driver_payouts WHERE id = $1 FOR UPDATE`,
+      [payoutId]
+    );
+
+    const payout = payoutResult.rows[0];
+    if (!payout) {
+      await client.query('ROLLBACK');
+      return { error: 'Payout statement not found', status: 404 };
+    }
+
+    if (payout.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { error: `Only pending statements can be paid (this one is ${payout.status})`, status: 409 };
+    }
+
+    await addLedgerEntries(client, payout.driver_id, [{
+      entry_type: 'payout',
+      amount: -parseFloat(payout.amount_due),
+      payout_id: payout.id,
+      details: { method, reference }
+    }]);
+
+    const result = await client.query(
+      `UPDATE driver_payouts
+       SET status = 'paid', payment_method = $2, payment_reference = $3, paid_by = $4, paid_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${PAYOUT_COLUMNS}`,
+      [payoutId, method, reference, adminId]
+    );
+
+    await client.query('COMMIT');
+
+    notifyDriver(payout.driver_id, 'payout_paid', {
+      payout_id: payout.id,
+      amount: parseFloat(payout.amount_due),
+      method,
+      reference
+    });
+
+    return { payout: result.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a driver's payout statements, newest first
+ * @param {string} driverId
+ * @returns {Promise<Array>}
+ */
+async function getDriverPayouts(driverId) {
+  const result = await db.query(
+    `SELECT ${PAYOUT_COLUMNS} FROM driver_payouts WHERE driver_id = $1 ORDER BY period_start DESC LIMIT 52`,
+    [driverId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get one statement with the ledger entries from its week
+ * @param {string} payoutId
+ * @param {string} driverId - Statement must belong to this driver
+ * @returns {Promise<Object|null>} { payout, entries }
+ */
+async function getPayoutStatement(payoutId, driverId) {
+  const payoutResult = await db.query(
+    `SELECT ${PAYOUT_COLUMNS} FROM driver_payouts WHERE id = $1 AND driver_id = $2`,
+    [payoutId, driverId]
+  );
+
+  const payout = payoutResult.rows[0];
+  if (!payout) {
+    return null;
+  }
+
+  const entriesResult = await db.query(
+    `SELECT id, trip_id, entry_type, amount, details, created_at
+     FROM driver_ledger_entries
+     WHERE driver_id = $1
+       AND ((created_at >= $2 AND created_at < $3 AND entry_type <> 'payout') OR payout_id = $4)
+     ORDER BY created_at`,
+    [driverId, payout.period_start, payout.period_end, payoutId]
+  );
+
+  return { payout, entries: entriesResult.rows };
+}
+
+/**
+ * Start the weekly payout statement job (Mondays at 01:00 in EARNINGS_TIMEZONE)
+ * @returns {Object} The node-cron task
+ */
+function startPayoutsJob() {
+  return cron.schedule('0 1 * * 1', async () => {
+    try {
+      await generatePayoutStatements();
+    } catch (error) {
+      console.error('Payouts job error:', error);
+    }
+  }, { timezone: EARNINGS_TIMEZONE });
+}
+
+module.exports = {
+  EARNINGS_PERIODS,
+  PAYOUT_METHODS,
+  addLedgerEntries,
+  recordTripEarnings,
+  recordCashCollection,
+  getDriverEarnings,
+  generatePayoutStatements,
+  markPayoutPaid,
+  getDriverPayouts,
+  getPayoutStatement,
+  startPayoutsJob
+};
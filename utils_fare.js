@@ -0,0 +1,147 @@
+// backend/src/utils/fare.js
+// Final fare calculation from the recorded GPS trail
+
+const { calculatePriceBreakdown } = require('./pricing');
+const { getRoute } = require('./routing');
+
+// Fewer points than this, or a gap longer than this, means the trail can't be trusted
+const MIN_GPS_POINTS = parseInt(process.env.FARE_MIN_GPS_POINTS || '5', 10);
+const MAX_GPS_GAP_SECONDS = parseInt(process.env.FARE_MAX_GPS_GAP_SECONDS || '300', 10);
+
+// Final fares further than this from the estimate are flagged for review
+const REVIEW_THRESHOLD_PERCENT = parseFloat(process.env.FARE_REVIEW_THRESHOLD_PERCENT || '25');
+
+/**
+ * Summarise the GPS trail recorded for a trip
+ * @param {Object} client - Database client
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object>} { point_count, distance_km, max_gap_seconds }
+ */
+async function getTripTrail(client, tripId) {
+  const result = await client.query(
+    `WITH points AS (
+       SELECT location, recorded_at,
+              recorded_at - LAG(recorded_at) OVER (ORDER BY recorded_at) AS gap
+       FROM trip_locations
+       WHERE trip_id = $1
+     )
+     SELECT
+       COUNT(*) AS point_count,
+       COALESCE(ST_Length(ST_MakeLine(location::geometry ORDER BY recorded_at)::geography), 0) / 1000 AS distance_km,
+       COALESCE(EXTRACT(EPOCH FROM MAX(gap)), 0) AS max_gap_seconds
+     FROM points`,
+    [tripId]
+  );
+
+  const row = result.rows[0];
+  return {
+    point_count: parseInt(row.point_count, 10),
+    distance_km: Math.round(parseFloat(row.distance_km) * 10) / 10,
+    max_gap_seconds: parseFloat(row.max_gap_seconds)
+  };
+}
+
+/**
+ * Road route from the trip's pickup to its dropoff
+ * @param {Object} client - Database client
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object>} { distance_km, duration_min, source }
+ */
+async function getPlannedRoute(client, tripId) {
+  const result = await client.query(
+    `SELECT ST_Y(pickup_location::geometry) AS pickup_latitude,
+            ST_X(pickup_location::geometry) AS pickup_longitude,
+            ST_Y(dropoff_location::geometry) AS dropoff_latitude,
+            ST_X(dropoff_location::geometry) AS dropoff_longitude
+     FROM trips WHERE id = $1`,
+    [tripId]
+  );
+  const trip = result.rows[0];
+
+  const { polyline, ...route } = await getRoute(
+    { latitude: trip.pickup_latitude, longitude: trip.pickup_longitude },
+    { latitude: trip.dropoff_latitude, longitude: trip.dropoff_longitude }
+  );
+  return route;
+}
+
+/**
+ * Compute and store the final fare for a trip that has just completed.
+ * Uses the GPS trail for distance when it is dense enough, otherwise the
+ * road distance from pickup to dropoff, and prices it with the config and
+ * surge multiplier that applied when the trip was requested.
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} trip - Completed trip row (with started_at and completed_at set)
+ * @returns {Promise<Object>} Updated trip row
+ */
+async function finalizeTripFare(client, trip) {
+  // Trips requested before pricing_config_id was recorded use the active config
+  const configResult = trip.pricing_config_id
+    ? await client.query('SELECT * FROM pricing_config WHERE id = $1', [trip.pricing_config_id])
+    : await client.query(
+      'SELECT * FROM pricing_config WHERE is_active = true ORDER BY created_at DESC LIMIT 1'
+    );
+  const pricingConfig = configResult.rows[0];
+
+  const areaResult = await client.query(
+    'SELECT timezone FROM service_areas WHERE id = $1',
+    [trip.service_area_id]
+  );
+  const timeZone = areaResult.rows[0] ? areaResult.rows[0].timezone : undefined;
+
+  const trail = await getTripTrail(client, trip.id);
+  const isSparse = trail.point_count < MIN_GPS_POINTS || trail.max_gap_seconds > MAX_GPS_GAP_SECONDS;
+
+  // Only looked up when needed - the routing call is time-bounded but still a network round trip
+  const route = isSparse ? await getPlannedRoute(client, trip.id) : null;
+
+  const fareSource = isSparse ? 'estimate' : 'gps';
+  const distanceKm = isSparse ? route.distance_km : trail.distance_km;
+
+  const durationMin = trip.started_at && trip.completed_at
+    ? Math.max(Math.round((new Date(trip.completed_at) - new Date(trip.started_at)) / 60000), 0)
+    : trip.estimated_duration_min;
+
+  const breakdown = calculatePriceBreakdown(
+    distanceKm,
+    new Date(trip.scheduled_for || trip.requested_at),
+    pricingConfig,
+    { durationMin, surgeMultiplier: parseFloat(trip.surge_multiplier || 1), timeZone }
+  );
+
+  const estimatedPrice = parseFloat(trip.estimated_price);
+  const deviationPercent = estimatedPrice > 0
+    ? Math.round(Math.abs(breakdown.total - estimatedPrice) / estimatedPrice * 1000) / 10
+    : 0;
+  const reviewRequired = deviationPercent > REVIEW_THRESHOLD_PERCENT;
+
+  const updateResult = await client.query(
+    `UPDATE trips
+     SET final_price = $2,
+         final_distance_km = $3,
+         final_duration_min = $4,
+         fare_breakdown = $5,
+         fare_source = $6,
+         fare_deviation_percent = $7,
+         fare_review_required = $8
+     WHERE id = $1
+     RETURNING *`,
+    [
+      trip.id,
+      breakdown.total,
+      distanceKm,
+      durationMin,
+      JSON.stringify({ ...breakdown, pricing_config_id: pricingConfig.id, gps: trail, route }),
+      fareSource,
+      deviationPercent,
+      reviewRequired
+    ]
+  );
+
+  return updateResult.rows[0];
+}
+
+module.exports = {
+  getTripTrail,
+  finalizeTripFare
+};
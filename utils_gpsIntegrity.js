@@ -0,0 +1,338 @@
+// backend/src/utils/gpsIntegrity.js
+// GPS spoofing and implausible-movement checks on driver location ingest
+
+const db = require('../db');
+const { calculateDistance } = require('./pricing');
+const { getRoute, decodePolyline } = require('./routing');
+
+// Faster than this between consecutive points (or as reported) is not a real car
+const MAX_SPEED_KMH = parseFloat(process.env.GPS_MAX_SPEED_KMH || '160');
+
+// Sustained pattern: flag scores for one driver adding up to this within the window
+const FRAUD_ALERT_SCORE = parseInt(process.env.GPS_FRAUD_ALERT_SCORE || '100', 10);
+const FRAUD_WINDOW_HOURS = parseInt(process.env.GPS_FRAUD_WINDOW_HOURS || '72', 10);
+
+// Suspicion points per flag; a trip's score is the capped sum of its flags
+const FLAG_SCORES = {
+  mock_location: 25,
+  impossible_jump: 15,
+  outside_service_area: 10,
+  time_reversal: 5,
+  implausible_speed: 5
+};
+const MAX_SUSPICION_SCORE = 100;
+
+// Leaving the service area only counts towards a fraud alert alongside one of these
+const SPOOFING_FLAGS = ['mock_location', 'impossible_jump', 'implausible_speed'];
+
+// On a trip, points this close to the planned route or the dropoff are not flagged as outside the area
+const ROUTE_CORRIDOR_KM = parseFloat(process.env.GPS_ROUTE_CORRIDOR_KM || '2');
+const DROPOFF_RADIUS_KM = parseFloat(process.env.GPS_DROPOFF_RADIUS_KM || '3');
+
+// Points closer together than this in time are compared by distance only
+const MIN_INTERVAL_SECONDS = 1;
+const MAX_JUMP_WITHOUT_TIME_KM = 0.1;
+
+/**
+ * Get the last point stored before a new batch: the trip's latest GPS point,
+ * or the driver's current location when not on a trip
+ * @param {string} driverId
+ * @param {string|null} tripId
+ * @returns {Promise<Object|null>} { latitude, longitude, recorded_at }
+ */
+async function getLastKnownPoint(driverId, tripId) {
+  const result = tripId
+    ? await db.query(
+      `SELECT ST_Y(location::geometry) AS latitude, ST_X(location::geometry) AS longitude, recorded_at
+       FROM trip_locations
+       WHERE trip_id = $1
+       ORDER BY recorded_at DESC
+       LIMIT 1`,
+      [tripId]
+    )
+    : await db.query(
+      `SELECT ST_Y(current_location::geometry) AS latitude,
+              ST_X(current_location::geometry) AS longitude,
+              last_location_update AS recorded_at
+       FROM driver_profiles
+       WHERE user_id = $1 AND current_location IS NOT NULL`,
+      [driverId]
+    );
+
+  const point = result.rows[0];
+  return point && point.recorded_at ? { ...point, recorded_at: new Date(point.recorded_at) } : null;
+}
+
+/**
+ * Check an ordered batch against the previous point and each other.
+ * Mock locations, impossible jumps and points older than the previous one
+ * (that aren't re-sends of stored points) are rejected; implausible reported
+ * speeds are kept but flagged.
+ * @param {Object|null} previous - Last stored point
+ * @param {Array} points - Normalized points, oldest first
+ * @param {Set<number>|null} storedTimestamps - Timestamps (ms) of points already stored, or
+ *   null when there is no stored history to compare against (older points are then treated as re-sends)
+ * @returns {Object} { accepted, duplicates, flags: [{ flag_type, score, point, details }] }
+ */
+function screenLocationPoints(previous, points, storedTimestamps = null) {
+  const accepted = [];
+  const flags = [];
+  let duplicates = 0;
+  let last = previous;
+
+  const flag = (flagType, point, details) => {
+    flags.push({ flag_type: flagType, score: FLAG_SCORES[flagType], point, details });
+  };
+
+  points.forEach(point => {
+    if (point.mocked) {
+      flag('mock_location', point, {});
+      return;
+    }
+
+    if (last && point.recorded_at <= last.recorded_at) {
+      // Re-sent after a lost ack - harmless
+      if (!storedTimestamps || storedTimestamps.has(point.recorded_at.getTime())) {
+        duplicates += 1;
+        return;
+      }
+      flag('time_reversal', point, { previous_recorded_at: last.recorded_at.toISOString() });
+      return;
+    }
+
+    if (last) {
+      const distanceKm = calculateDistance(last.latitude, last.longitude, point.latitude, point.longitude);
+      const seconds = (point.recorded_at - last.recorded_at) / 1000;
+      const impliedSpeedKmh = seconds >= MIN_INTERVAL_SECONDS ? distanceKm / (seconds / 3600) : null;
+
+      if (impliedSpeedKmh === null ? distanceKm > MAX_JUMP_WITHOUT_TIME_KM : impliedSpeedKmh > MAX_SPEED_KMH) {
+        flag('impossible_jump', point, {
+          distance_km: Math.round(distanceKm * 100) / 100,
+          seconds,
+          implied_speed_kmh: impliedSpeedKmh === null ? null : Math.round(impliedSpeedKmh)
+        });
+        return;
+      }
+    }
+
+    if (point.speed_kmh !== null && point.speed_kmh > MAX_SPEED_KMH) {
+      flag('implausible_speed', point, { speed_kmh: point.speed_kmh });
+    }
+
+    accepted.push(point);
+    last = point;
+  });
+
+  return { accepted, duplicates, flags };
+}
+
+/**
+ * Flag a driver leaving the service area: once per trip, or once per excursion
+ * when not on a trip. On a trip, points near the planned route or the dropoff
+ * aren't flagged - the dropoff may be outside the city. Points are never
+ * rejected; drivers may cross a boundary legitimately.
+ * @param {Array} points - Accepted points, oldest first
+ * @param {Object|null} trip - { id, service_area_id, pickup_latitude, pickup_longitude,
+ *   dropoff_latitude, dropoff_longitude }
+ * @param {Object|null} previous - Last stored point
+ * @returns {Promise<Array>} Flags
+ */
+async function checkServiceArea(points, trip, previous) {
+  if (points.length === 0) {
+    return [];
+  }
+
+  let route = [];
+  if (trip) {
+    const flaggedResult = await db.query(
+      `SELECT 1 FROM gps_flags WHERE trip_id = $1 AND flag_type = 'outside_service_area' LIMIT 1`,
+      [trip.id]
+    );
+    if (flaggedResult.rows.length > 0) {
+      return [];
+    }
+
+    const planned = await getRoute(
+      { latitude: trip.pickup_latitude, longitude: trip.pickup_longitude },
+      { latitude: trip.dropoff_latitude, longitude: trip.dropoff_longitude }
+    );
+    route = decodePolyline(planned.polyline);
+  }
+
+  // Off a trip, the previous point tells whether the driver is already outside
+  const checked = !trip && previous ? [previous, ...points] : points;
+  const offset = checked.length - points.length;
+
+  const result = await db.query(
+    `WITH planned AS (
+       SELECT ST_SetSRID(ST_MakeLine(ST_MakePoint(r.longitude, r.latitude) ORDER BY r.idx), 4326)::geography AS line
+       FROM unnest($4::float8[], $5::float8[]) WITH ORDINALITY AS r(latitude, longitude, idx)
+     )
+     SELECT p.idx,
+            NOT EXISTS (
+              SELECT 1 FROM service_areas sa
+              WHERE sa.is_active = true
+                AND ($3::uuid IS NULL OR sa.id = $3::uuid)
+                AND ST_Covers(sa.boundary, g.location)
+            ) AS outside,
+            COALESCE(ST_DWithin(g.location, planned.line, $6), false) OR COALESCE(ST_DWithin(
+              g.location, ST_SetSRID(ST_MakePoint($8, $7), 4326)::geography, $9
+            ), false) AS near_trip
+     FROM unnest($1::float8[], $2::float8[]) WITH ORDINALITY AS p(latitude, longitude, idx)
+     CROSS JOIN LATERAL (
+       SELECT ST_SetSRID(ST_MakePoint(p.longitude, p.latitude), 4326)::geography AS location
+     ) g
+     CROSS JOIN planned
+     ORDER BY p.idx`,
+    [
+      checked.map(point => point.latitude),
+      checked.map(point => point.longitude),
+      trip ? trip.service_area_id : null,
+      route.map(([latitude]) => latitude),
+      route.map(([, longitude]) => longitude),
+      ROUTE_CORRIDOR_KM * 1000,
+      trip ? trip.dropoff_latitude : null,
+      trip ? trip.dropoff_longitude : null,
+      DROPOFF_RADIUS_KM * 1000
+    ]
+  );
+
+  const flags = [];
+  let wasOutside = offset > 0 && result.rows[0].outside;
+  result.rows.slice(offset).forEach((row, index) => {
+    const leaving = trip
+      ? row.outside && !row.near_trip && flags.length === 0
+      : row.outside && !wasOutside;
+    wasOutside = row.outside;
+
+    if (leaving) {
+      flags.push({
+        flag_type: 'outside_service_area',
+        score: FLAG_SCORES.outside_service_area,
+        point: points[index],
+        details: { service_area_id: trip ? trip.service_area_id : null }
+      });
+    }
+  });
+
+  return flags;
+}
+
+/**
+ * Store GPS flags, raise the trip's suspicion score and raise a fraud alert
+ * on the driver when flags keep piling up
+ * @param {Object} io - Socket.io server (for admin alerts)
+ * @param {string} driverId
+ * @param {string|null} tripId
+ * @param {Array} flags - From screenLocationPoints / checkServiceArea
+ * @returns {Promise<number|null>} The trip's new suspicion score, or null when not on a trip
+ */
+async function recordGpsFlags(io, driverId, tripId, flags) {
+  if (flags.length === 0) {
+    return null;
+  }
+
+  await db.query(
+    `INSERT INTO gps_flags (driver_id, trip_id, flag_type, score, location, recorded_at, details)
+     SELECT $1, $2, f.flag_type, f.score,
+            ST_SetSRID(ST_MakePoint(f.longitude, f.latitude), 4326), f.recorded_at, f.details
+     FROM unnest($3::text[], $4::int[], $5::float8[], $6::float8[], $7::timestamptz[], $8::jsonb[])
+       AS f(flag_type, score, latitude, longitude, recorded_at, details)`,
+    [
+      driverId,
+      tripId,
+      flags.map(flag => flag.flag_type),
+      flags.map(flag => flag.score),
+      flags.map(flag => flag.point.latitude),
+      flags.map(flag => flag.point.longitude),
+      flags.map(flag => flag.point.recorded_at),
+      flags.map(flag => JSON.stringify(flag.details))
+    ]
+  );
+
+  let suspicionScore = null;
+  if (tripId) {
+    const added = flags.reduce((sum, flag) => sum + flag.score, 0);
+    const tripResult = await db.query(
+      `UPDATE trips
+       SET gps_suspicion_score = LEAST(gps_suspicion_score + $2, $3)
+       WHERE id = $1
+       RETURNING gps_suspicion_score`,
+      [tripId, added, MAX_SUSPICION_SCORE]
+    );
+    suspicionScore = tripResult.rows[0].gps_suspicion_score;
+  }
+
+  await raiseFraudAlertIfSustained(io, driverId);
+
+  return suspicionScore;
+}
+
+async function raiseFraudAlertIfSustained(io, driverId) {
+  const scoreResult = await db.query(
+    `SELECT COALESCE(SUM(f.score), 0) AS total, COUNT(DISTINCT f.trip_id) AS trips
+     FROM gps_flags f
+     WHERE f.driver_id = $1
+       AND f.created_at > NOW() - make_interval(hours => $2)
+       AND (
+         f.flag_type <> 'outside_service_area' OR EXISTS (
+           SELECT 1 FROM gps_flags s
+           WHERE s.driver_id = f.driver_id
+             AND s.trip_id IS NOT DISTINCT FROM f.trip_id
+             AND s.flag_type = ANY($3)
+             AND s.created_at > NOW() - make_interval(hours => $2)
+         )
+       )`,
+    [driverId, FRAUD_WINDOW_HOURS, SPOOFING_FLAGS]
+  );
+
+  const total = parseInt(scoreResult.rows[0].total, 10);
+  if (total < FRAUD_ALERT_SCORE) {
+    return;
+  }
+
+  // One open alert per driver at a time
+  const alertResult = await db.query(
+    `INSERT INTO fraud_alerts (driver_id, alert_type, details)
+     SELECT $1, 'gps_spoofing', $2
+     WHERE NOT EXISTS (
+       SELECT 1 FROM fraud_alerts
+       WHERE driver_id = $1 AND alert_type = 'gps_spoofing' AND status = 'open'
+     )
+     RETURNING id, created_at`,
+    [
+      driverId,
+      JSON.stringify({
+        window_hours: FRAUD_WINDOW_HOURS,
+        total_score: total,
+        flagged_trips: parseInt(scoreResult.rows[0].trips, 10)
+      })
+    ]
+  );
+
+  const alert = alertResult.rows[0];
+  if (!alert) {
+    return;
+  }
+
+  io.to('admin').emit('fraud_alert', {
+    alert_id: alert.id,
+    driver_id: driverId,
+    alert_type: 'gps_spoofing',
+    total_score: total,
+    timestamp: alert.created_at
+  });
+
+  await db.query(
+    `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [driverId, 'fraud_alert_raised', 'fraud_alert', alert.id, JSON.stringify({ alert_type: 'gps_spoofing', total_score: total })]
+  );
+}
+
+module.exports = {
+  getLastKnownPoint,
+  screenLocationPoints,
+  checkServiceArea,
+  recordGpsFlags
+};
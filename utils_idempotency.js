@@ -0,0 +1,148 @@
+// backend/src/utils/idempotency.js
+// Idempotency-Key support - a retried request gets the original response instead of running twice
+
+const crypto = require('crypto');
+const db = require('../db');
+
+// Keys can be reused for a different request after this long
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+// A key still marked in progress after this long belongs to a request that died; it may be retried
+const IN_PROGRESS_TIMEOUT_SECONDS = 60;
+
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(scope, req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([scope, req.originalUrl, req.body || {}]))
+    .digest('hex');
+}
+
+/**
+ * Claim a key for this request. Expired keys and abandoned in-progress
+ * claims are taken over; anything else is left for the caller to inspect.
+ * @returns {Promise<boolean>} true if this request now owns the key
+ */
+async function claimKey(userId, key, scope, requestHash) {
+  const result = await db.query(
+    `INSERT INTO idempotency_keys (user_id, idempotency_key, scope, request_hash, status)
+     VALUES ($1, $2, $3, $4, 'in_progress')
+     ON CONFLICT (user_id, idempotency_key) DO UPDATE
+       SET scope = EXCLUDED.scope,
+           request_hash = EXCLUDED.request_hash,
+           status = 'in_progress',
+           response_status = NULL,
+           response_body = NULL,
+           created_at = CURRENT_TIMESTAMP,
+           completed_at = NULL
+       WHERE idempotency_keys.created_at < NOW() - make_interval(hours => $5)
+          OR (idempotency_keys.status = 'in_progress'
+              AND idempotency_keys.created_at < NOW() - make_interval(secs => $6))
+     RETURNING idempotency_key`,
+    [userId, key, scope, requestHash, IDEMPOTENCY_KEY_TTL_HOURS, IN_PROGRESS_TIMEOUT_SECONDS]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Store the response for replay. Server errors release the key instead, so
+ * the client's retry runs the request again.
+ */
+async function saveResponse(userId, key, statusCode, body) {
+  if (statusCode >= 500) {
+    await db.query(
+      'DELETE FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+      [userId, key]
+    );
+    return;
+  }
+
+  await db.query(
+    `UPDATE idempotency_keys
+     SET status = 'completed', response_status = $3, response_body = $4, completed_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND idempotency_key = $2`,
+    [userId, key, statusCode, JSON.stringify(body)]
+  );
+}
+
+/**
+ * Express middleware making a route idempotent for requests that send an
+ * Idempotency-Key header. The first request runs normally and its JSON
+ * response is stored; a retry with the same key and body gets that response
+ * back (with Idempotent-Replayed: true) without running the route again.
+ * Requests without the header are unaffected. Use after authenticateToken.
+ * @param {string} scope - Name of the operation, e.g. 'trip_request'
+ * @returns {Function} Express middleware
+ */
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    try {
+      const requestHash = hashRequest(scope, req);
+
+      if (!(await claimKey(req.user.id, key, scope, requestHash))) {
+        const existingResult = await db.query(
+          `SELECT request_hash, status, response_status, response_body
+           FROM idempotency_keys
+           WHERE user_id = $1 AND idempotency_key = $2`,
+          [req.user.id, key]
+        );
+        const existing = existingResult.rows[0];
+
+        // A missing row was released by a failed request since the claim; a retry will take it
+        if (!existing || existing.status === 'in_progress') {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        if (existing.request_hash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key has already been used for a different request'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      // Hold the response until it is stored, so a retry never sees a finished
+      // request as still in progress
+      const sendJson = res.json.bind(res);
+      res.json = body => {
+        saveResponse(req.user.id, key, res.statusCode, body)
+          .catch(error => console.error('Idempotency save error:', error))
+          .finally(() => sendJson(body));
+        return res;
+      };
+
+      next();
+
+    } catch (error) {
+      console.error('Idempotency error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process request'
+      });
+    }
+  };
+}
+
+module.exports = {
+  idempotent
+};
@@ -2,13 +2,20 @@
 // Location and driver matching utilities
 
 const db = require('../db');
+const { getDurationsTo } = require('./routing');
+
+// Drivers are never shown as closer than this, however short the drive
+const MIN_ETA_MINUTES = parseInt(process.env.DRIVER_MIN_ETA_MINUTES || '3', 10);
 
 /**
- * Find nearby available drivers within a radius
+ * Find nearby available drivers within a radius. Drivers are found by
+ * straight-line distance, then distance_km and eta_minutes are the road
+ * distance and driving time to the client, with eta_minutes no lower
+ * than MIN_ETA_MINUTES.
  * @param {number} latitude - Client's latitude
  * @param {number} longitude - Client's longitude
  * @param {number} radiusKm - Search radius in kilometers
- * @returns {Promise<Array>} Array of nearby drivers
+ * @returns {Promise<Array>} Array of nearby drivers, nearest by driving time first
  */
 async function findNearbyDrivers(latitude, longitude, radiusKm = 5) {
   try {
@@ -16,10 +23,16 @@ async function findNearbyDrivers(latitude, longitude, radiusKm = 5) {
       SELECT 
         dp.user_id,
         u.full_name,
-        u.phone_number,
         dp.rating_average,
         dp.total_trips,
         dp.profile_photo_url,
+        (
+          SELECT COUNT(*) FILTER (WHERE o.status = 'accepted')::float / NULLIF(COUNT(*), 0)
+          FROM trip_offers o
+          WHERE o.driver_id = dp.user_id
+            AND o.status IN ('accepted', 'declined', 'expired')
+            AND o.offered_at > NOW() - INTERVAL '30 days'
+        ) AS acceptance_rate,
         ST_Distance(
           dp.current_location::geography,
           ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
@@ -47,20 +60,26 @@ async function findNearbyDrivers(latitude, longitude, radiusKm = 5) {
       radiusKm * 1000 // Convert km to meters
     ]);
 
-    return result.rows.map(driver => ({
+    const routes = await getDurationsTo(
+      result.rows.map(driver => ({ latitude: driver.latitude, longitude: driver.longitude })),
+      { latitude, longitude }
+    );
+
+    return result.rows.map((driver, index) => ({
       id: driver.user_id,
       name: driver.full_name,
-      phone: driver.phone_number,
       rating: parseFloat(driver.rating_average),
       total_trips: driver.total_trips,
       profile_photo_url: driver.profile_photo_url,
-      distance_km: parseFloat(driver.distance_km).toFixed(1),
-      eta_minutes: calculateETA(parseFloat(driver.distance_km)),
+      acceptance_rate: driver.acceptance_rate === null ? null : parseFloat(driver.acceptance_rate),
+      distance_km: routes[index].distance_km.toFixed(1),
+      eta_minutes: Math.max(routes[index].duration_min, MIN_ETA_MINUTES),
+      eta_source: routes[index].source,
       location: {
         latitude: driver.latitude,
         longitude: driver.longitude
       }
-    }));
+    })).sort((a, b) => a.eta_minutes - b.eta_minutes);
 
   } catch (error) {
     console.error('Error finding nearby drivers:', error);
@@ -69,14 +88,30 @@ async function findNearbyDrivers(latitude, longitude, radiusKm = 5) {
 }
 
 /**
- * Calculate estimated time of arrival for driver
- * @param {number} distanceKm - Distance to driver in km
- * @returns {number} ETA in minutes
+ * Count available drivers within a radius (same filters as findNearbyDrivers, no limit)
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusKm - Search radius in kilometers
+ * @returns {Promise<number>} Number of available drivers
  */
-function calculateETA(distanceKm) {
-  const averageSpeedKmh = 30; // Urban traffic speed
-  const timeHours = distanceKm / averageSpeedKmh;
-  return Math.max(Math.round(timeHours * 60), 3); // Minimum 3 minutes
+async function countAvailableDrivers(latitude, longitude, radiusKm) {
+  const result = await db.query(
+    `SELECT COUNT(*) AS count
+     FROM driver_profiles dp
+     JOIN users u ON dp.user_id = u.id
+     WHERE dp.is_available = true
+       AND dp.approval_status = 'approved'
+       AND u.status = 'active'
+       AND ST_DWithin(
+         dp.current_location::geography,
+         ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
+         $3
+       )
+       AND dp.last_location_update > NOW() - INTERVAL '10 minutes'`,
+    [longitude, latitude, radiusKm * 1000]
+  );
+
+  return parseInt(result.rows[0].count, 10);
 }
 
 /**
@@ -84,16 +119,19 @@ function calculateETA(distanceKm) {
  * @param {string} driverId - Driver's user ID
  * @param {number} latitude - Current latitude
  * @param {number} longitude - Current longitude
+ * @param {Date} [recordedAt] - When the point was recorded (defaults to now). Points
+ *   older than the stored location are ignored, so late offline uploads can't move the driver back.
  * @returns {Promise<boolean>} Success status
  */
-async function updateDriverLocation(driverId, latitude, longitude) {
+async function updateDriverLocation(driverId, latitude, longitude, recordedAt = new Date()) {
   try {
     await db.query(
       `UPDATE driver_profiles 
        SET current_location = ST_SetSRID(ST_MakePoint($1, $2), 4326),
-           last_location_update = CURRENT_TIMESTAMP
-       WHERE user_id = $3`,
-      [longitude, latitude, driverId]
+           last_location_update = $4
+       WHERE user_id = $3
+         AND (last_location_update IS NULL OR last_location_update < $4)`,
+      [longitude, latitude, driverId, recordedAt]
     );
     return true;
   } catch (error) {
@@ -103,27 +141,61 @@ async function updateDriverLocation(driverId, latitude, longitude) {
 }
 
 /**
- * Check if a location is within a city boundary
- * This is a simplified version - real implementation would use actual city polygons
+ * Find the active service area containing a location
  * @param {number} latitude
  * @param {number} longitude
- * @returns {boolean}
+ * @returns {Promise<Object|null>} Service area (without boundary), or null if outside every active area
  */
-function isWithinServiceArea(latitude, longitude) {
-  // Nairobi approximate bounds
-  const nairobiBounds = {
-    north: -1.163,
-    south: -1.444,
-    east: 37.103,
-    west: 36.651
-  };
-
-  return (
-    latitude >= nairobiBounds.south &&
-    latitude <= nairobiBounds.north &&
-    longitude >= nairobiBounds.west &&
-    longitude <= nairobiBounds.east
+async function findServiceArea(latitude, longitude) {
+  const result = await db.query(
+    `SELECT id, name, city, timezone, support_phone, dispatch_radius_km
+     FROM service_areas
+     WHERE is_active = true
+       AND ST_Covers(boundary, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography)
+     ORDER BY ST_Area(boundary) ASC
+     LIMIT 1`,
+    [longitude, latitude]
   );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Check if a location is within an active service area
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<boolean>}
+ */
+async function isWithinServiceArea(latitude, longitude) {
+  return (await findServiceArea(latitude, longitude)) !== null;
+}
+
+/**
+ * Validate a GeoJSON polygon for a service area boundary
+ * @param {Object} boundary - GeoJSON { type: 'Polygon', coordinates: [[[lng, lat], ...]] }
+ * @returns {string|null} Error message, or null if the polygon is usable
+ */
+function validateBoundary(boundary) {
+  if (!boundary || boundary.type !== 'Polygon' || !Array.isArray(boundary.coordinates)) {
+    return 'Boundary must be a GeoJSON Polygon';
+  }
+
+  const [ring] = boundary.coordinates;
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return 'Boundary must have at least 3 distinct points';
+  }
+
+  if (!ring.every(point => Array.isArray(point) && validateCoordinates(point[1], point[0]))) {
+    return 'Boundary contains invalid coordinates';
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return 'Boundary ring must be closed (first and last points equal)';
+  }
+
+  return null;
 }
 
 /**
@@ -182,9 +254,11 @@ async function getDriverLocation(driverId) {
 
 module.exports = {
   findNearbyDrivers,
+  countAvailableDrivers,
   updateDriverLocation,
+  findServiceArea,
   isWithinServiceArea,
+  validateBoundary,
   validateCoordinates,
-  getDriverLocation,
-  calculateETA
+  getDriverLocation
 };
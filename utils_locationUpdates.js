@@ -0,0 +1,207 @@
+// backend/src/utils/locationUpdates.js
+// Driver location ingestion - shared by the Socket.io stream and the REST fallback
+
+const db = require('../db');
+const { updateDriverLocation, validateCoordinates } = require('./location');
+const { getShareRoom } = require('./tripShare');
+const { getLastKnownPoint, screenLocationPoints, checkServiceArea, recordGpsFlags } = require('./gpsIntegrity');
+const { pushEtaUpdate } = require('./tripEta');
+
+// Largest batch accepted in one upload (about 25 minutes of points at 5s)
+const MAX_BATCH_POINTS = parseInt(process.env.LOCATION_BATCH_MAX_POINTS || '300', 10);
+
+// Points stamped further ahead than this (device clock skew) are rejected
+const MAX_CLOCK_SKEW_SECONDS = 60;
+
+// Only points at most this old are pushed to live viewers
+const LIVE_MAX_AGE_SECONDS = parseInt(process.env.LOCATION_LIVE_MAX_AGE_SECONDS || '30', 10);
+
+/**
+ * Validate, de-duplicate and order a batch of points
+ * @param {Array} points - [{ latitude, longitude, speed_kmh, heading, recorded_at }]
+ * @returns {Object} { points, rejected } - points sorted oldest first, one per timestamp
+ */
+function normalizeLocationBatch(points) {
+  const latestAllowed = Date.now() + MAX_CLOCK_SKEW_SECONDS * 1000;
+  const byTimestamp = new Map();
+  let rejected = 0;
+
+  points.forEach(point => {
+    const recordedAt = new Date(point && point.recorded_at);
+
+    if (!point ||
+        !validateCoordinates(point.latitude, point.longitude) ||
+        isNaN(recordedAt.getTime()) ||
+        recordedAt.getTime() > latestAllowed) {
+      rejected += 1;
+      return;
+    }
+
+    // Re-sent points carry the same timestamp; keep the first copy
+    if (!byTimestamp.has(recordedAt.getTime())) {
+      byTimestamp.set(recordedAt.getTime(), {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        speed_kmh: point.speed_kmh ?? null,
+        heading: point.heading ?? null,
+        recorded_at: recordedAt,
+        // Android reports mock-location providers (e.g. fake GPS apps)
+        mocked: point.mocked === true
+      });
+    }
+  });
+
+  return {
+    points: [...byTimestamp.values()].sort((a, b) => a.recorded_at - b.recorded_at),
+    rejected
+  };
+}
+
+/**
+ * Store a batch of driver location points. Points are screened for spoofing
+ * and implausible movement first; rejected points are not stored and every
+ * problem is recorded as a GPS flag. Accepted points within the trip's
+ * in-progress window go into trip_locations (duplicates already stored are
+ * skipped), the newest point updates the driver's current location, and a
+ * recent point is broadcast to the trip's viewers along with a (throttled)
+ * ETA to pickup or dropoff.
+ * @param {Object} io - Socket.io server
+ * @param {string} driverId - Driver's user ID
+ * @param {string|null} tripId - Trip the points belong to, if any
+ * @param {Array} rawPoints - Points as sent by the app
+ * @returns {Promise<Object>} { accepted, duplicates, rejected, flagged, last_recorded_at, tracking_interval_seconds }
+ *   or { error, status }
+ */
+async function recordDriverLocations(io, driverId, tripId, rawPoints) {
+  if (!Array.isArray(rawPoints) || rawPoints.length === 0) {
+    return { error: 'points must be a non-empty array', status: 400 };
+  }
+
+  if (rawPoints.length > MAX_BATCH_POINTS) {
+    return { error: `At most ${MAX_BATCH_POINTS} points can be sent at once`, status: 400 };
+  }
+
+  const { points, rejected } = normalizeLocationBatch(rawPoints);
+  const summary = {
+    accepted: 0,
+    duplicates: 0,
+    rejected,
+    flagged: 0,
+    last_recorded_at: points.length ? points[points.length - 1].recorded_at.toISOString() : null,
+    tracking_interval_seconds: undefined
+  };
+
+  let trip = null;
+  if (tripId) {
+    const tripResult = await db.query(
+      `SELECT id, status, started_at, completed_at, service_area_id, tracking_interval_seconds,
+              ST_Y(pickup_location::geometry) AS pickup_latitude,
+              ST_X(pickup_location::geometry) AS pickup_longitude,
+              ST_Y(dropoff_location::geometry) AS dropoff_latitude,
+              ST_X(dropoff_location::geometry) AS dropoff_longitude
+       FROM trips
+       WHERE id = $1 AND driver_id = $2 AND status IN ('in_progress', 'completed')`,
+      [tripId, driverId]
+    );
+
+    trip = tripResult.rows[0];
+    if (!trip) {
+      return { error: 'Not authorized or trip not in progress', status: 403 };
+    }
+    summary.tracking_interval_seconds = trip.tracking_interval_seconds;
+  }
+
+  if (points.length === 0) {
+    return summary;
+  }
+
+  // Points no newer than the last stored one are either re-sends or time travel
+  const previous = await getLastKnownPoint(driverId, tripId);
+  let storedTimestamps = null;
+  if (trip && previous) {
+    const olderPoints = points.filter(point => point.recorded_at <= previous.recorded_at);
+    const storedResult = olderPoints.length === 0 ? { rows: [] } : await db.query(
+      'SELECT recorded_at FROM trip_locations WHERE trip_id = $1 AND recorded_at = ANY($2::timestamptz[])',
+      [tripId, olderPoints.map(point => point.recorded_at)]
+    );
+    storedTimestamps = new Set(storedResult.rows.map(row => new Date(row.recorded_at).getTime()));
+  }
+
+  const screened = screenLocationPoints(previous, points, storedTimestamps);
+  const flags = [
+    ...screened.flags,
+    ...(await checkServiceArea(screened.accepted, trip, previous))
+  ];
+  await recordGpsFlags(io, driverId, tripId, flags);
+
+  summary.duplicates = screened.duplicates;
+  summary.rejected += points.length - screened.accepted.length - screened.duplicates;
+  summary.flagged = flags.length;
+
+  const acceptedPoints = screened.accepted;
+  if (acceptedPoints.length === 0) {
+    return summary;
+  }
+
+  if (trip) {
+    // Points buffered offline may arrive after completion; keep those recorded during the trip
+    const tripEnd = trip.completed_at ? new Date(trip.completed_at) : new Date(Date.now() + MAX_CLOCK_SKEW_SECONDS * 1000);
+    const tripPoints = acceptedPoints.filter(point =>
+      point.recorded_at >= new Date(trip.started_at) && point.recorded_at <= tripEnd
+    );
+
+    if (tripPoints.length > 0) {
+      const insertResult = await db.query(
+        `INSERT INTO trip_locations (trip_id, location, speed_kmh, heading, recorded_at)
+         SELECT $1, ST_SetSRID(ST_MakePoint(p.longitude, p.latitude), 4326), p.speed_kmh, p.heading, p.recorded_at
+         FROM unnest($2::float8[], $3::float8[], $4::numeric[], $5::numeric[], $6::timestamptz[])
+           AS p(latitude, longitude, speed_kmh, heading, recorded_at)
+         ON CONFLICT (trip_id, recorded_at) DO NOTHING`,
+        [
+          tripId,
+          tripPoints.map(point => point.latitude),
+          tripPoints.map(point => point.longitude),
+          tripPoints.map(point => point.speed_kmh),
+          tripPoints.map(point => point.heading),
+          tripPoints.map(point => point.recorded_at)
+        ]
+      );
+
+      summary.accepted = insertResult.rowCount;
+      summary.duplicates += tripPoints.length - insertResult.rowCount;
+    }
+    summary.rejected += acceptedPoints.length - tripPoints.length;
+  } else {
+    summary.accepted = acceptedPoints.length;
+  }
+
+  const latest = acceptedPoints[acceptedPoints.length - 1];
+  await updateDriverLocation(driverId, latest.latitude, latest.longitude, latest.recorded_at);
+
+  // Broadcast via Socket.io (to the trip and anyone following a share link)
+  const isLive = Date.now() - latest.recorded_at.getTime() <= LIVE_MAX_AGE_SECONDS * 1000;
+  if (trip && trip.status === 'in_progress' && isLive) {
+    const locationUpdate = {
+      latitude: latest.latitude,
+      longitude: latest.longitude,
+      speed_kmh: latest.speed_kmh,
+      heading: latest.heading,
+      timestamp: latest.recorded_at.toISOString()
+    };
+    io.to(`trip_${tripId}`).emit('driver_location_update', locationUpdate);
+    io.to(getShareRoom(tripId)).emit('driver_location_update', locationUpdate);
+  }
+
+  // The app omits trip_id on the way to the pickup, so the ETA looks up the driver's trip itself.
+  // Not awaited: a slow routing call shouldn't hold up the ack.
+  if (isLive) {
+    pushEtaUpdate(io, driverId, latest).catch(error => console.error('ETA update error:', error));
+  }
+
+  return summary;
+}
+
+module.exports = {
+  normalizeLocationBatch,
+  recordDriverLocations
+};
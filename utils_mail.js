@@ -0,0 +1,79 @@
+// backend/src/utils/mail.js
+// Email sending - pluggable transport (SMTP, or a local file stub for development)
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'file';
+const MAIL_FROM = process.env.MAIL_FROM || 'SafeDrive Kenya <receipts@safedrive.ke>';
+
+// File stub: each message is written to its own folder here
+const MAIL_STUB_DIR = process.env.MAIL_STUB_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+let smtpTransporter = null;
+
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    // Loaded lazily so the file stub works without nodemailer installed
+    const nodemailer = require('nodemailer');
+    smtpTransporter = nodemailer.createTransport(process.env.SMTP_URL);
+  }
+  return smtpTransporter;
+}
+
+const transports = {
+  // Writes the message (and attachments) to MAIL_STUB_DIR instead of sending it
+  file: {
+    async send(message) {
+      const id = `${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}-${crypto.randomBytes(4).toString('hex')}`;
+      const dir = path.join(MAIL_STUB_DIR, id);
+      await fs.mkdir(dir, { recursive: true });
+
+      const { attachments = [], ...headers } = message;
+      await fs.writeFile(
+        path.join(dir, 'message.json'),
+        JSON.stringify({
+          ...headers,
+          html: undefined,
+          attachments: attachments.map(attachment => attachment.filename),
+          sent_at: new Date().toISOString()
+        }, null, 2)
+      );
+      if (message.html) {
+        await fs.writeFile(path.join(dir, 'message.html'), message.html);
+      }
+      await Promise.all(attachments.map(attachment =>
+        fs.writeFile(path.join(dir, path.basename(attachment.filename)), attachment.content)
+      ));
+
+      console.log(`[Mail stub] to ${message.to}: ${message.subject} (${dir})`);
+      return { id, status: 'sent' };
+    }
+  },
+
+  smtp: {
+    async send(message) {
+      const info = await getSmtpTransporter().sendMail(message);
+      return { id: info.messageId, status: 'sent' };
+    }
+  }
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html, attachments: [{ filename, content, contentType }] }
+ * @returns {Promise<Object>} { id, status }
+ */
+async function sendMail(message) {
+  const transport = transports[MAIL_TRANSPORT];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+
+  return transport.send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+  sendMail
+};
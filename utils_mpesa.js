@@ -0,0 +1,248 @@
+// backend/src/utils/mpesa.js
+// M-Pesa STK Push - pluggable provider (Safaricom Daraja, or a local mock for offline testing)
+
+const crypto = require('crypto');
+
+const MPESA_PROVIDER = process.env.MPESA_PROVIDER || 'mock';
+const MPESA_CALLBACK_URL = process.env.MPESA_CALLBACK_URL;
+
+// Daraja credentials
+const DARAJA_BASE_URL = process.env.MPESA_ENVIRONMENT === 'production'
+  ? 'https://api.safaricom.co.ke'
+  : 'https://sandbox.safaricom.co.ke';
+const CONSUMER_KEY = process.env.MPESA_CONSUMER_KEY;
+const CONSUMER_SECRET = process.env.MPESA_CONSUMER_SECRET;
+const SHORTCODE = process.env.MPESA_SHORTCODE;
+const PASSKEY = process.env.MPESA_PASSKEY;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.MPESA_REQUEST_TIMEOUT_MS || '10000', 10);
+
+// Mock provider: how long before the simulated callback arrives
+const MOCK_CALLBACK_DELAY_MS = parseInt(process.env.MPESA_MOCK_CALLBACK_DELAY_MS || '3000', 10);
+
+// Daraja STK result codes
+const RESULT_CODES = {
+  SUCCESS: 0,
+  INSUFFICIENT_FUNDS: 1,
+  CANCELLED_BY_USER: 1032,
+  USER_UNREACHABLE: 1037,
+  WRONG_PIN: 2001
+};
+
+// The mock picks its outcome from the last four digits of the phone number
+const MOCK_SCENARIOS = {
+  '0001': 'insufficient_funds',
+  '0002': 'timeout',
+  '0003': 'duplicate_callback',
+  '0004': 'cancelled'
+};
+
+const MOCK_RESULTS = {
+  success: [RESULT_CODES.SUCCESS, 'The service request is processed successfully.'],
+  duplicate_callback: [RESULT_CODES.SUCCESS, 'The service request is processed successfully.'],
+  insufficient_funds: [RESULT_CODES.INSUFFICIENT_FUNDS, 'The balance is insufficient for the transaction.'],
+  cancelled: [RESULT_CODES.CANCELLED_BY_USER, 'Request cancelled by user']
+};
+
+let cachedAccessToken = null;
+
+/**
+ * Convert +2547XXXXXXXX / 07XXXXXXXX to the 2547XXXXXXXX form Daraja expects
+ * @param {string} phoneNumber
+ * @returns {string}
+ */
+function toMsisdn(phoneNumber) {
+  const digits = phoneNumber.replace(/\D/g, '');
+  return digits.startsWith('0') ? `254${digits.slice(1)}` : digits;
+}
+
+async function fetchWithTimeout(url, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function getDarajaAccessToken() {
+  if (cachedAccessToken && cachedAccessToken.expires_at > Date.now()) {
+    return cachedAccessToken.token;
+  }
+
+  const credentials = Buffer.from(`${CONSUMER_KEY}:${CONSUMER_SECRET}`).toString('base64');
+  const response = await fetchWithTimeout(
+    `${DARAJA_BASE_URL}/oauth/v1/generate?grant_type=client_credentials`,
+    { headers: { 'Authorization': `Basic ${credentials}` } }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Daraja auth failed with ${response.status}`);
+  }
+
+  const data = await response.json();
+  cachedAccessToken = {
+    token: data.access_token,
+    // Refresh a minute early
+    expires_at: Date.now() + (parseInt(data.expires_in, 10) - 60) * 1000
+  };
+
+  return cachedAccessToken.token;
+}
+
+function getDarajaTimestamp() {
+  return new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+/**
+ * Build a Daraja-shaped STK callback body (used by the mock)
+ */
+function buildCallback(checkoutRequestId, merchantRequestId, resultCode, resultDesc, payment) {
+  const stkCallback = {
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: resultCode,
+    ResultDesc: resultDesc
+  };
+
+  if (resultCode === RESULT_CODES.SUCCESS) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: payment.amount },
+        { Name: 'MpesaReceiptNumber', Value: `MOCK${crypto.randomBytes(3).toString('hex').toUpperCase()}` },
+        { Name: 'TransactionDate', Value: parseInt(getDarajaTimestamp(), 10) },
+        { Name: 'PhoneNumber', Value: parseInt(toMsisdn(payment.phoneNumber), 10) }
+      ]
+    };
+  }
+
+  return { Body: { stkCallback } };
+}
+
+async function postMockCallback(body) {
+  try {
+    await fetch(MPESA_CALLBACK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    console.error('M-Pesa mock callback error:', error);
+  }
+}
+
+const providers = {
+  daraja: {
+    async stkPush(payment) {
+      const accessToken = await getDarajaAccessToken();
+      const timestamp = getDarajaTimestamp();
+      const password = Buffer.from(`${SHORTCODE}${PASSKEY}${timestamp}`).toString('base64');
+
+      const response = await fetchWithTimeout(`${DARAJA_BASE_URL}/mpesa/stkpush/v1/processrequest`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          BusinessShortCode: SHORTCODE,
+          Password: password,
+          Timestamp: timestamp,
+          TransactionType: 'CustomerPayBillOnline',
+          Amount: Math.ceil(payment.amount),
+          PartyA: toMsisdn(payment.phoneNumber),
+          PartyB: SHORTCODE,
+          PhoneNumber: toMsisdn(payment.phoneNumber),
+          CallBackURL: MPESA_CALLBACK_URL,
+          AccountReference: payment.accountReference,
+          TransactionDesc: payment.description
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok || data.ResponseCode !== '0') {
+        throw new Error(data.errorMessage || data.ResponseDescription || `STK Push failed with ${response.status}`);
+      }
+
+      return {
+        checkout_request_id: data.CheckoutRequestID,
+        merchant_request_id: data.MerchantRequestID
+      };
+    }
+  },
+
+  // Accepts every push and posts a simulated Daraja callback to MPESA_CALLBACK_URL
+  mock: {
+    async stkPush(payment) {
+      const checkoutRequestId = `ws_CO_MOCK_${crypto.randomBytes(8).toString('hex')}`;
+      const merchantRequestId = `MOCK-${crypto.randomBytes(4).toString('hex')}`;
+      const scenario = MOCK_SCENARIOS[toMsisdn(payment.phoneNumber).slice(-4)] || 'success';
+
+      // Timeout: the customer never responds, so no callback is sent
+      if (scenario !== 'timeout') {
+        const [resultCode, resultDesc] = MOCK_RESULTS[scenario];
+        const body = buildCallback(checkoutRequestId, merchantRequestId, resultCode, resultDesc, payment);
+
+        setTimeout(async () => {
+          await postMockCallback(body);
+          if (scenario === 'duplicate_callback') {
+            await postMockCallback(body);
+          }
+        }, MOCK_CALLBACK_DELAY_MS);
+      }
+
+      return {
+        checkout_request_id: checkoutRequestId,
+        merchant_request_id: merchantRequestId
+      };
+    }
+  }
+};
+
+/**
+ * Send an STK Push prompt to the customer's phone
+ * @param {Object} payment - { phoneNumber, amount, accountReference, description }
+ * @returns {Promise<Object>} { checkout_request_id, merchant_request_id }
+ */
+async function sendStkPush(payment) {
+  const provider = providers[MPESA_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown M-Pesa provider: ${MPESA_PROVIDER}`);
+  }
+
+  return provider.stkPush(payment);
+}
+
+/**
+ * Parse a Daraja STK callback body
+ * @param {Object} body - Callback request body
+ * @returns {Object|null} { checkout_request_id, result_code, result_desc, receipt_number, amount, phone_number }, or null if malformed
+ */
+function parseStkCallback(body) {
+  const callback = body && body.Body && body.Body.stkCallback;
+  if (!callback || !callback.CheckoutRequestID) {
+    return null;
+  }
+
+  const metadata = {};
+  ((callback.CallbackMetadata && callback.CallbackMetadata.Item) || []).forEach(item => {
+    metadata[item.Name] = item.Value;
+  });
+
+  return {
+    checkout_request_id: callback.CheckoutRequestID,
+    merchant_request_id: callback.MerchantRequestID,
+    result_code: parseInt(callback.ResultCode, 10),
+    result_desc: callback.ResultDesc,
+    receipt_number: metadata.MpesaReceiptNumber || null,
+    amount: metadata.Amount !== undefined ? parseFloat(metadata.Amount) : null,
+    phone_number: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null
+  };
+}
+
+module.exports = {
+  RESULT_CODES,
+  sendStkPush,
+  parseStkCallback
+};
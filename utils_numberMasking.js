@@ -0,0 +1,233 @@
+// backend/src/utils/numberMasking.js
+// Masked calling - per-trip proxy number sessions, call routing and call logs
+
+const db = require('../db');
+const { DRIVER_ACTIVE_STATUSES } = require('./tripStateMachine');
+const { getTelephonyProvider } = require('./telephony');
+
+// Allocation can race with another trip taking the same proxy number; retry this often
+const MAX_ALLOCATION_ATTEMPTS = 3;
+
+const INACTIVE_NUMBER_MESSAGE = 'This number is only available during an active SafeDrive trip. Goodbye.';
+
+/**
+ * Convert 07XXXXXXXX / 2547XXXXXXXX / +2547XXXXXXXX to the +254 form users are stored in
+ * @param {string} phoneNumber
+ * @returns {string}
+ */
+function toE164(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  if (digits.startsWith('0')) {
+    return `+254${digits.slice(1)}`;
+  }
+  return `+${digits}`;
+}
+
+/**
+ * Pick a proxy number for a client and driver. A number can serve many trips
+ * at once, because calls are routed by (caller, proxy number) - so it must not
+ * already be in an active session with either of them. The least used number wins.
+ */
+async function findFreeProxyNumber(clientPhone, driverPhone) {
+  const result = await db.query(
+    `SELECT p.id, p.phone_number
+     FROM proxy_numbers p
+     WHERE p.is_active = true
+       AND NOT EXISTS (
+         SELECT 1 FROM call_sessions s
+         WHERE s.proxy_number_id = p.id
+           AND s.status = 'active'
+           AND (s.client_phone IN ($1, $2) OR s.driver_phone IN ($1, $2))
+       )
+     ORDER BY (
+       SELECT COUNT(*) FROM call_sessions s
+       WHERE s.proxy_number_id = p.id AND s.status = 'active'
+     ), random()
+     LIMIT 1`,
+    [clientPhone, driverPhone]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Allocate a proxy number for an accepted trip. Never throws: if the pool is
+ * exhausted or the allocation fails, the trip goes ahead without masked
+ * calling (the parties can still use chat).
+ * @param {string} tripId - Trip ID (with client and driver set)
+ * @returns {Promise<Object|null>} { id, proxy_number }, or null if no number could be allocated
+ */
+async function openCallSession(tripId) {
+  try {
+    const partiesResult = await db.query(
+      `SELECT t.client_id, t.driver_id, c.phone_number AS client_phone, d.phone_number AS driver_phone
+       FROM trips t
+       JOIN users c ON t.client_id = c.id
+       JOIN users d ON t.driver_id = d.id
+       WHERE t.id = $1`,
+      [tripId]
+    );
+    const parties = partiesResult.rows[0];
+
+    for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+      const proxy = await findFreeProxyNumber(parties.client_phone, parties.driver_phone);
+      if (!proxy) {
+        console.error(`Proxy number pool exhausted; trip ${tripId} has no masked calling`);
+        return null;
+      }
+
+      try {
+        const sessionResult = await db.query(
+          `INSERT INTO call_sessions (trip_id, proxy_number_id, client_id, driver_id, client_phone, driver_phone)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id`,
+          [tripId, proxy.id, parties.client_id, parties.driver_id, parties.client_phone, parties.driver_phone]
+        );
+
+        return { id: sessionResult.rows[0].id, proxy_number: proxy.phone_number };
+      } catch (error) {
+        // A trip only ever gets one session
+        if (error.constraint === 'call_sessions_trip_id_key') {
+          return null;
+        }
+        // Another trip took this number for one of the same people; pick again
+        if (error.code !== '23505') {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Call session error:', error);
+    return null;
+  }
+}
+
+/**
+ * Release a trip's proxy number so calls through it are refused and the
+ * number can be reused
+ * @param {Object} client - Database client or pool
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<boolean>} Whether an active session was released
+ */
+async function releaseCallSession(client, tripId) {
+  const result = await client.query(
+    `UPDATE call_sessions SET status = 'released', released_at = CURRENT_TIMESTAMP
+     WHERE trip_id = $1 AND status = 'active'
+     RETURNING id`,
+    [tripId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * The number a trip party should dial to reach the other party
+ * @param {Object} trip - Trip with id, client_id, driver_id and status
+ * @param {Object} user - Authenticated user (id)
+ * @returns {Promise<Object>} { call_number } or { error, status }
+ */
+async function getCallNumber(trip, user) {
+  if (user.id !== trip.client_id && user.id !== trip.driver_id) {
+    return { error: 'Unauthorized', status: 403 };
+  }
+
+  if (!DRIVER_ACTIVE_STATUSES.includes(trip.status)) {
+    return { error: 'Calling is only available while the trip is active', status: 409 };
+  }
+
+  const result = await db.query(
+    `SELECT p.phone_number
+     FROM call_sessions s
+     JOIN proxy_numbers p ON s.proxy_number_id = p.id
+     WHERE s.trip_id = $1 AND s.status = 'active'`,
+    [trip.id]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Calling is unavailable for this trip, please use chat', status: 503 };
+  }
+
+  return { call_number: result.rows[0].phone_number };
+}
+
+/**
+ * Route an inbound call to a proxy number: connect the caller to the other
+ * party of their active trip, otherwise refuse it. Every call is logged
+ * (metadata only - who called, when, outcome and duration).
+ * @param {Object} call - { call_id, from, to }
+ * @returns {Promise<Object>} Provider response { contentType, body }
+ */
+async function routeInboundCall(call) {
+  const provider = getTelephonyProvider();
+  const from = toE164(call.from);
+  const proxyNumber = toE164(call.to);
+
+  const sessionResult = await db.query(
+    `SELECT s.id, s.trip_id, s.client_id, s.driver_id, s.client_phone, s.driver_phone
+     FROM call_sessions s
+     JOIN proxy_numbers p ON s.proxy_number_id = p.id
+     JOIN trips t ON s.trip_id = t.id
+     WHERE p.phone_number = $1
+       AND s.status = 'active'
+       AND t.status = ANY($3)
+       AND (s.client_phone = $2 OR s.driver_phone = $2)`,
+    [proxyNumber, from, DRIVER_ACTIVE_STATUSES]
+  );
+  const session = sessionResult.rows[0];
+
+  if (!session) {
+    await db.query(
+      `INSERT INTO call_logs (provider_call_id, proxy_number, status)
+       VALUES ($1, $2, 'rejected')
+       ON CONFLICT (provider_call_id) DO NOTHING`,
+      [call.call_id, proxyNumber]
+    );
+    return provider.reject(call.call_id, INACTIVE_NUMBER_MESSAGE);
+  }
+
+  const callerRole = session.client_phone === from ? 'client' : 'driver';
+  const target = callerRole === 'client' ? session.driver_phone : session.client_phone;
+
+  await db.query(
+    `INSERT INTO call_logs (provider_call_id, session_id, trip_id, caller_id, caller_role, proxy_number, status)
+     VALUES ($1, $2, $3, $4, $5, $6, 'connected')
+     ON CONFLICT (provider_call_id) DO NOTHING`,
+    [
+      call.call_id,
+      session.id,
+      session.trip_id,
+      callerRole === 'client' ? session.client_id : session.driver_id,
+      callerRole,
+      proxyNumber
+    ]
+  );
+
+  // The other party sees the proxy number, not the caller's
+  return provider.connect(call.call_id, target, proxyNumber);
+}
+
+/**
+ * Record how a call ended
+ * @param {Object} event - { call_id, status, duration_seconds }
+ * @returns {Promise<void>}
+ */
+async function recordCallStatus(event) {
+  await db.query(
+    `UPDATE call_logs
+     SET status = CASE WHEN status = 'rejected' THEN status ELSE $2 END,
+         duration_seconds = $3,
+         ended_at = CURRENT_TIMESTAMP
+     WHERE provider_call_id = $1`,
+    [event.call_id, event.status, event.duration_seconds]
+  );
+}
+
+module.exports = {
+  openCallSession,
+  releaseCallSession,
+  getCallNumber,
+  routeInboundCall,
+  recordCallStatus
+};
@@ -0,0 +1,508 @@
+// backend/src/utils/payments.js
+// Trip payments - M-Pesa STK Push collection, callbacks, retries, cash fallback and reconciliation
+
+const cron = require('node-cron');
+const db = require('../db');
+const { sendStkPush, RESULT_CODES } = require('./mpesa');
+const { notifyDriver, notifyClient } = require('./notifications');
+const { recordCashCollection } = require('./earnings');
+
+// M-Pesa prompts per trip before the client has to pay cash or contact support
+const MAX_MPESA_ATTEMPTS = parseInt(process.env.PAYMENT_MAX_MPESA_ATTEMPTS || '3', 10);
+
+// A prompt with no callback after this long is treated as timed out
+const CALLBACK_TIMEOUT_SECONDS = parseInt(process.env.MPESA_CALLBACK_TIMEOUT_SECONDS || '120', 10);
+
+const CORPORATE_TRIP_ERROR = 'Corporate trips are billed to the company account';
+
+const PAYMENT_COLUMNS = `
+  id, trip_id, method, status, amount, phone_number, attempt_number,
+  checkout_request_id, mpesa_receipt_number, result_code, result_desc,
+  review_required, reconciled_by, reconciled_at, reconciliation_note,
+  created_at, completed_at`;
+
+/**
+ * Get every payment attempt for a trip, oldest first
+ * @param {string} tripId
+ * @returns {Promise<Array>}
+ */
+async function getTripPayments(tripId) {
+  const result = await db.query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE trip_id = $1 ORDER BY created_at`,
+    [tripId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * What the client owes for a trip: the final fare, or the fee for a late cancellation
+ * @param {Object} trip - Trip row (status, final_price, cancellation_fee)
+ * @returns {number}
+ */
+function getAmountDue(trip) {
+  if (trip.status === 'completed') {
+    return parseFloat(trip.final_price) || 0;
+  }
+  if (trip.status === 'cancelled_by_client') {
+    return parseFloat(trip.cancellation_fee) || 0;
+  }
+  return 0;
+}
+
+/**
+ * Start an M-Pesa STK Push for a completed trip's final fare, or a late
+ * cancellation's fee
+ * @param {string} tripId - Trip ID
+ * @param {string} initiatedBy - User starting the payment
+ * @param {string} [phoneNumber] - Number to prompt (defaults to the client's)
+ * @returns {Promise<Object>} { payment } on success, { error } if the trip can't be charged,
+ *   or { payment, error } if the provider rejected the request
+ */
+async function startTripPayment(tripId, initiatedBy, phoneNumber) {
+  const client = await db.getClient();
+  let trip;
+  let payment;
+
+  try {
+    await client.query('BEGIN');
+
+    const tripResult = await client.query(
+      `SELECT t.id, t.client_id, t.status, t.final_price, t.cancellation_fee, t.payment_status, t.billing_type,
+              u.phone_number
+       FROM trips t
+       JOIN users u ON t.client_id = u.id
+       WHERE t.id = $1
+       FOR UPDATE OF t`,
+      [tripId]
+    );
+
+    trip = tripResult.rows[0];
+    const attemptsResult = await client.query(
+      `SELECT COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+              COUNT(*) AS attempts
+       FROM payments
+       WHERE trip_id = $1 AND method = 'mpesa'`,
+      [tripId]
+    );
+    const attempts = attemptsResult.rows[0];
+    const amount = trip ? getAmountDue(trip) : 0;
+
+    let error = null;
+    if (!(amount > 0)) {
+      error = 'Only completed trips with a fare, or late cancellations with a fee, can be paid';
+    } else if (trip.billing_type === 'corporate') {
+      error = CORPORATE_TRIP_ERROR;
+    } else if (trip.payment_status === 'paid') {
+      error = 'Trip is already paid';
+    } else if (parseInt(attempts.pending, 10) > 0) {
+      error = 'A payment request is already waiting for the client to respond';
+    } else if (parseInt(attempts.attempts, 10) >= MAX_MPESA_ATTEMPTS) {
+      error = `M-Pesa can be tried at most ${MAX_MPESA_ATTEMPTS} times. Please pay cash or contact support`;
+    }
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return { error };
+    }
+
+    const paymentResult = await client.query(
+      `INSERT INTO payments (trip_id, client_id, method, status, amount, phone_number, attempt_number, initiated_by)
+       VALUES ($1, $2, 'mpesa', 'pending', $3, $4, $5, $6)
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [
+        tripId,
+        trip.client_id,
+        amount,
+        phoneNumber || trip.phone_number,
+        parseInt(attempts.attempts, 10) + 1,
+        initiatedBy
+      ]
+    );
+    payment = paymentResult.rows[0];
+
+    await client.query(
+      `UPDATE trips SET payment_status = 'pending', payment_method = 'mpesa' WHERE id = $1`,
+      [tripId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // The prompt is sent outside the transaction; the callback may arrive any time after
+  let push;
+  try {
+    push = await sendStkPush({
+      phoneNumber: payment.phone_number,
+      amount: parseFloat(payment.amount),
+      accountReference: `TRIP-${tripId.slice(0, 8).toUpperCase()}`,
+      description: trip.status === 'completed' ? 'SafeDrive trip fare' : 'SafeDrive cancellation fee'
+    });
+  } catch (error) {
+    console.error('STK Push error:', error);
+
+    const result = await db.query(
+      `UPDATE payments SET status = 'failed', result_desc = $2, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [payment.id, error.message]
+    );
+    await db.query(
+      `UPDATE trips SET payment_status = 'failed' WHERE id = $1 AND payment_status = 'pending'`,
+      [tripId]
+    );
+
+    return { payment: result.rows[0], error: 'Could not send the M-Pesa prompt. Please try again or pay cash' };
+  }
+
+  const result = await db.query(
+    `UPDATE payments SET checkout_request_id = $2, merchant_request_id = $3
+     WHERE id = $1
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [payment.id, push.checkout_request_id, push.merchant_request_id]
+  );
+
+  // The callback can beat the ID being stored; apply it now if it did
+  const [applied] = await applyStoredCallbacks(push.checkout_request_id);
+
+  return { payment: applied || result.rows[0] };
+}
+
+/**
+ * Apply a Daraja STK callback. Safe to call more than once for the same
+ * request: only the first result for a pending or timed-out payment is applied.
+ * @param {Object} callback - Parsed callback from parseStkCallback
+ * @returns {Promise<Object>} { payment, duplicate }, or { payment: null } if the request is
+ *   unknown - the callback is then stored for applyStoredCallbacks and reconciliation
+ */
+async function handleStkCallback(callback) {
+  const client = await db.getClient();
+  let payment;
+  let trip;
+
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query(
+      'SELECT id, trip_id, status, amount FROM payments WHERE checkout_request_id = $1 FOR UPDATE',
+      [callback.checkout_request_id]
+    );
+
+    const existing = paymentResult.rows[0];
+    if (!existing) {
+      await client.query('ROLLBACK');
+      await storeUnmatchedCallback(callback);
+      return { payment: null };
+    }
+
+    // A late success after we gave up waiting still counts - the money has moved
+    if (existing.status !== 'pending' && existing.status !== 'timed_out') {
+      await client.query('ROLLBACK');
+      return { payment: existing, duplicate: true };
+    }
+
+    const tripResult = await client.query(
+      'SELECT id, client_id, driver_id, payment_status FROM trips WHERE id = $1 FOR UPDATE',
+      [existing.trip_id]
+    );
+    trip = tripResult.rows[0];
+
+    const succeeded = callback.result_code === RESULT_CODES.SUCCESS;
+
+    // Paid twice (e.g. cash then a late M-Pesa success) or for the wrong amount
+    const reviewRequired = succeeded && (
+      trip.payment_status === 'paid' ||
+      (callback.amount !== null && Math.abs(callback.amount - parseFloat(existing.amount)) >= 1)
+    );
+
+    const updateResult = await client.query(
+      `UPDATE payments
+       SET status = $2, result_code = $3, result_desc = $4, mpesa_receipt_number = $5,
+           callback_payload = $6, review_required = $7, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [
+        existing.id,
+        succeeded ? 'succeeded' : 'failed',
+        callback.result_code,
+        callback.result_desc,
+        callback.receipt_number,
+        JSON.stringify(callback),
+        reviewRequired
+      ]
+    );
+    payment = updateResult.rows[0];
+
+    if (trip.payment_status !== 'paid') {
+      await client.query(
+        `UPDATE trips SET payment_status = $2, payment_method = 'mpesa' WHERE id = $1`,
+        [trip.id, succeeded ? 'paid' : 'failed']
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (payment.status === 'succeeded' && trip.payment_status !== 'paid') {
+    notifyClient(trip.client_id, 'payment_succeeded', {
+      trip_id: trip.id,
+      amount: parseFloat(payment.amount),
+      mpesa_receipt_number: payment.mpesa_receipt_number
+    });
+    if (trip.driver_id) {
+      notifyDriver(trip.driver_id, 'trip_paid', { trip_id: trip.id, method: 'mpesa' });
+    }
+  } else if (payment.status === 'failed') {
+    notifyClient(trip.client_id, 'payment_failed', {
+      trip_id: trip.id,
+      reason: payment.result_desc,
+      can_retry: payment.attempt_number < MAX_MPESA_ATTEMPTS
+    });
+  }
+
+  return { payment, duplicate: false };
+}
+
+/**
+ * Keep a callback we can't match to a payment: it arrived before startTripPayment
+ * stored the CheckoutRequestID, or the push timed out on our side after reaching M-Pesa
+ * @param {Object} callback - Parsed callback from parseStkCallback
+ * @returns {Promise<void>}
+ */
+async function storeUnmatchedCallback(callback) {
+  await db.query(
+    `INSERT INTO mpesa_unmatched_callbacks
+       (checkout_request_id, result_code, mpesa_receipt_number, amount, phone_number, payload)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (checkout_request_id) DO NOTHING`,
+    [
+      callback.checkout_request_id,
+      callback.result_code,
+      callback.receipt_number,
+      callback.amount,
+      callback.phone_number,
+      JSON.stringify(callback)
+    ]
+  );
+}
+
+/**
+ * Apply stored callbacks whose CheckoutRequestID now belongs to a payment
+ * @param {string} [checkoutRequestId] - Only this request (defaults to all)
+ * @returns {Promise<Array>} Payments the callbacks were applied to
+ */
+async function applyStoredCallbacks(checkoutRequestId = null) {
+  const result = await db.query(
+    `UPDATE mpesa_unmatched_callbacks u
+     SET resolved_at = CURRENT_TIMESTAMP
+     FROM payments p
+     WHERE p.checkout_request_id = u.checkout_request_id
+       AND u.resolved_at IS NULL
+       AND ($1::varchar IS NULL OR u.checkout_request_id = $1)
+     RETURNING u.payload`,
+    [checkoutRequestId]
+  );
+
+  const payments = [];
+  for (const { payload } of result.rows) {
+    const { payment } = await handleStkCallback(payload);
+    payments.push(payment);
+  }
+
+  return payments;
+}
+
+/**
+ * Time out M-Pesa prompts that never got a callback
+ * @returns {Promise<void>}
+ */
+async function expireStalePayments() {
+  const result = await db.query(
+    `UPDATE payments
+     SET status = 'timed_out', result_desc = 'No response from M-Pesa', completed_at = CURRENT_TIMESTAMP
+     WHERE status = 'pending'
+       AND method = 'mpesa'
+       AND created_at < NOW() - make_interval(secs => $1)
+     RETURNING trip_id, client_id, attempt_number`,
+    [CALLBACK_TIMEOUT_SECONDS]
+  );
+
+  for (const payment of result.rows) {
+    await db.query(
+      `UPDATE trips SET payment_status = 'failed' WHERE id = $1 AND payment_status = 'pending'`,
+      [payment.trip_id]
+    );
+
+    notifyClient(payment.client_id, 'payment_failed', {
+      trip_id: payment.trip_id,
+      reason: 'The M-Pesa request timed out',
+      can_retry: payment.attempt_number < MAX_MPESA_ATTEMPTS
+    });
+  }
+}
+
+/**
+ * Record that the driver collected the fare (and any tip) in cash
+ * @param {string} tripId - Trip ID
+ * @param {string} driverId - Driver confirming the cash
+ * @param {number} [tipAmount] - Cash tip the client added
+ * @returns {Promise<Object>} { payment } or { error }
+ */
+async function recordCashPayment(tripId, driverId, tipAmount = 0) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const tripResult = await client.query(
+      `SELECT id, client_id, status, final_price, payment_status, billing_type
+       FROM trips WHERE id = $1 AND driver_id = $2
+       FOR UPDATE`,
+      [tripId, driverId]
+    );
+
+    const trip = tripResult.rows[0];
+    let error = null;
+    if (!trip || trip.status !== 'completed') {
+      error = 'Only completed trips can be paid';
+    } else if (trip.billing_type === 'corporate') {
+      error = CORPORATE_TRIP_ERROR;
+    } else if (trip.payment_status === 'paid') {
+      error = 'Trip is already paid';
+    }
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return { error };
+    }
+
+    const paymentResult = await client.query(
+      `INSERT INTO payments (trip_id, client_id, method, status, amount, initiated_by, completed_at)
+       VALUES ($1, $2, 'cash', 'succeeded', $3, $4, CURRENT_TIMESTAMP)
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [tripId, trip.client_id, trip.final_price, driverId]
+    );
+
+    await client.query(
+      `UPDATE trips SET payment_status = 'paid', payment_method = 'cash' WHERE id = $1`,
+      [tripId]
+    );
+
+    await recordCashCollection(client, driverId, tripId, parseFloat(trip.final_price), tipAmount);
+
+    await client.query('COMMIT');
+
+    notifyClient(trip.client_id, 'payment_succeeded', {
+      trip_id: tripId,
+      amount: parseFloat(trip.final_price),
+      method: 'cash'
+    });
+
+    return { payment: paymentResult.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Manually settle a payment (e.g. confirmed against the M-Pesa statement) and
+ * bring the trip's payment status in line
+ * @param {string} paymentId - Payment ID
+ * @param {string} adminId - Reconciling admin
+ * @param {Object} reconciliation - { status: 'succeeded'|'failed', mpesa_receipt_number, note }
+ * @returns {Promise<Object|null>} Payment, or null if it doesn't exist
+ */
+async function reconcilePayment(paymentId, adminId, reconciliation) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE payments
+       SET status = $2,
+           mpesa_receipt_number = COALESCE($3, mpesa_receipt_number),
+           review_required = false,
+           reconciled_by = $4,
+           reconciled_at = CURRENT_TIMESTAMP,
+           reconciliation_note = $5,
+           completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [paymentId, reconciliation.status, reconciliation.mpesa_receipt_number || null, adminId, reconciliation.note]
+    );
+
+    const payment = result.rows[0];
+    if (!payment) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // The callback this receipt came in on no longer needs attention
+    if (payment.mpesa_receipt_number) {
+      await client.query(
+        `UPDATE mpesa_unmatched_callbacks SET resolved_at = CURRENT_TIMESTAMP
+         WHERE mpesa_receipt_number = $1 AND resolved_at IS NULL`,
+        [payment.mpesa_receipt_number]
+      );
+    }
+
+    await client.query(
+      `UPDATE trips
+       SET payment_status = CASE
+             WHEN EXISTS (SELECT 1 FROM payments WHERE trip_id = $1 AND status = 'succeeded') THEN 'paid'
+             WHEN EXISTS (SELECT 1 FROM payments WHERE trip_id = $1 AND status = 'pending') THEN 'pending'
+             ELSE 'failed'
+           END
+       WHERE id = $1`,
+      [payment.trip_id]
+    );
+
+    await client.query('COMMIT');
+    return payment;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Start the background job that applies callbacks that arrived early and
+ * times out unanswered M-Pesa prompts. Runs every 30 seconds.
+ * @returns {Object} The node-cron task
+ */
+function startPaymentsJob() {
+  return cron.schedule('*/30 * * * * *', async () => {
+    try {
+      await applyStoredCallbacks();
+      await expireStalePayments();
+    } catch (error) {
+      console.error('Payments job error:', error);
+    }
+  });
+}
+
+module.exports = {
+  getAmountDue,
+  getTripPayments,
+  startTripPayment,
+  handleStkCallback,
+  recordCashPayment,
+  reconcilePayment,
+  startPaymentsJob
+};
@@ -6,32 +6,112 @@
  * @param {number} distanceKm - Distance in kilometers
  * @param {Date} requestTime - Time of trip request
  * @param {Object} config - Pricing configuration
+ * @param {Object} options - Optional { durationMin, surgeMultiplier, timeZone }
  * @returns {number} Final price in KES
  */
-function calculatePrice(distanceKm, requestTime, config) {
+function calculatePrice(distanceKm, requestTime, config, options = {}) {
+  return calculatePriceBreakdown(distanceKm, requestTime, config, options).total;
+}
+
+/**
+ * Calculate price with an itemised breakdown of how it was reached
+ * @param {number} distanceKm - Distance in kilometers
+ * @param {Date} requestTime - Time of trip request
+ * @param {Object} config - Pricing configuration
+ * @param {Object} options - Optional { durationMin, surgeMultiplier, timeZone }
+ * @returns {Object} { items, total } where items are { type, label, amount } in KES
+ */
+function calculatePriceBreakdown(distanceKm, requestTime, config, options = {}) {
+  const { durationMin = 0, surgeMultiplier = 1, timeZone } = options;
+  const { hour, day } = getLocalTime(requestTime, timeZone);
+  const items = [];
+
   // Base price
   let price = parseFloat(config.base_price);
-  
+  items.push({ type: 'base', label: 'Base fare', amount: price });
+
   // Add distance cost
-  price += distanceKm * parseFloat(config.price_per_km);
-  
+  const distanceCost = distanceKm * parseFloat(config.price_per_km);
+  price += distanceCost;
+  items.push({ type: 'distance', label: `Distance (${distanceKm} km)`, amount: roundAmount(distanceCost) });
+
+  // Add time cost (only when the config charges per minute)
+  const pricePerMinute = parseFloat(config.price_per_minute || 0);
+  if (pricePerMinute > 0 && durationMin > 0) {
+    const timeCost = durationMin * pricePerMinute;
+    price += timeCost;
+    items.push({ type: 'time', label: `Time (${durationMin} min)`, amount: roundAmount(timeCost) });
+  }
+
   // Night multiplier (10pm - 6am)
-  const hour = requestTime.getHours();
   if (hour >= 22 || hour < 6) {
-    price *= parseFloat(config.night_multiplier);
+    price = applyMultiplier(items, price, 'night_multiplier', 'Night', parseFloat(config.night_multiplier));
   }
-  
+
   // Weekend multiplier (Saturday = 6, Sunday = 0)
-  const day = requestTime.getDay();
   if (day === 0 || day === 6) {
-    price *= parseFloat(config.weekend_multiplier);
+    price = applyMultiplier(items, price, 'weekend_multiplier', 'Weekend', parseFloat(config.weekend_multiplier));
   }
-  
+
+  // Demand-based surge multiplier for the pickup zone
+  if (surgeMultiplier > 1) {
+    price = applyMultiplier(items, price, 'surge_multiplier', 'High demand', surgeMultiplier);
+  }
+
   // Apply minimum price
-  price = Math.max(price, parseFloat(config.minimum_price));
-  
+  const minimumPrice = parseFloat(config.minimum_price);
+  if (price < minimumPrice) {
+    items.push({ type: 'minimum_adjustment', label: 'Minimum fare adjustment', amount: roundAmount(minimumPrice - price) });
+    price = minimumPrice;
+  }
+
   // Round to nearest 10 KES
-  return Math.round(price / 10) * 10;
+  const total = Math.round(price / 10) * 10;
+  if (total !== price) {
+    items.push({ type: 'rounding', label: 'Rounding', amount: roundAmount(total - price) });
+  }
+
+  return { items, total };
+}
+
+/**
+ * Get hour of day and day of week in a service area's timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone (e.g. 'Africa/Nairobi'); server local time if omitted
+ * @returns {Object} { hour, day } with day 0 = Sunday
+ */
+function getLocalTime(date, timeZone) {
+  if (!timeZone) {
+    return { hour: date.getHours(), day: date.getDay() };
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+  const weekday = parts.find(part => part.type === 'weekday').value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday);
+
+  return { hour, day };
+}
+
+function applyMultiplier(items, price, type, label, multiplier) {
+  const multiplied = price * multiplier;
+  items.push({
+    type,
+    label: `${label} (x${multiplier})`,
+    multiplier,
+    amount: roundAmount(multiplied - price)
+  });
+  return multiplied;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
 }
 
 /**
@@ -76,6 +156,8 @@ function calculateEstimatedTime(distanceKm) {
 
 module.exports = {
   calculatePrice,
+  calculatePriceBreakdown,
   calculateDistance,
-  calculateEstimatedTime
+  calculateEstimatedTime,
+  getLocalTime
 };
@@ -0,0 +1,97 @@
+// backend/src/utils/quote.js
+// Signed fare quotes that lock a price for a few minutes
+
+const jwt = require('jsonwebtoken');
+const { calculateDistance } = require('./pricing');
+
+const QUOTE_SECRET = process.env.QUOTE_TOKEN_SECRET || process.env.JWT_SECRET;
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS || '300', 10);
+
+// Request points may drift this far from the quoted points (GPS jitter)
+const LOCATION_TOLERANCE_KM = 0.1;
+
+/**
+ * Sign a quote so the price can be honoured by a later trip request
+ * @param {string} clientId - Client the quote was issued to
+ * @param {Object} quote - { pickup_location, dropoff_location, scheduled_for, estimated_price,
+ *   estimated_distance_km, estimated_duration_min, surge_multiplier, surge_zone_id,
+ *   pricing_config_id, price_breakdown }
+ * @returns {Object} { token, expires_at }
+ */
+function createQuoteToken(clientId, quote) {
+  const token = jwt.sign(
+    {
+      purpose: 'trip_quote',
+      client_id: clientId,
+      pickup: [quote.pickup_location.latitude, quote.pickup_location.longitude],
+      dropoff: [quote.dropoff_location.latitude, quote.dropoff_location.longitude],
+      scheduled_for: quote.scheduled_for || null,
+      estimated_price: quote.estimated_price,
+      estimated_distance_km: quote.estimated_distance_km,
+      estimated_duration_min: quote.estimated_duration_min,
+      surge_multiplier: quote.surge_multiplier,
+      surge_zone_id: quote.surge_zone_id,
+      pricing_config_id: quote.pricing_config_id,
+      price_breakdown: quote.price_breakdown
+    },
+    QUOTE_SECRET,
+    { expiresIn: QUOTE_TTL_SECONDS }
+  );
+
+  return {
+    token,
+    expires_at: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a quote token against the trip being requested
+ * @param {string} token - Quote token from POST /quote
+ * @param {string} clientId - Client making the request
+ * @param {Object} pickup_location - Requested pickup { latitude, longitude }
+ * @param {Object} dropoff_location - Requested dropoff { latitude, longitude }
+ * @param {Date|null} scheduledFor - Requested pickup time for scheduled rides
+ * @returns {Object} { quote } if the token is valid for this request, otherwise { error }
+ */
+function verifyQuoteToken(token, clientId, pickup_location, dropoff_location, scheduledFor) {
+  let quote;
+
+  try {
+    quote = jwt.verify(token, QUOTE_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: 'Quote has expired, please get a new quote' };
+    }
+    return { error: 'Invalid quote token' };
+  }
+
+  if (quote.purpose !== 'trip_quote' || quote.client_id !== clientId) {
+    return { error: 'Invalid quote token' };
+  }
+
+  const pickupDrift = calculateDistance(
+    quote.pickup[0], quote.pickup[1],
+    pickup_location.latitude, pickup_location.longitude
+  );
+  const dropoffDrift = calculateDistance(
+    quote.dropoff[0], quote.dropoff[1],
+    dropoff_location.latitude, dropoff_location.longitude
+  );
+
+  if (pickupDrift > LOCATION_TOLERANCE_KM || dropoffDrift > LOCATION_TOLERANCE_KM) {
+    return { error: 'Pickup or dropoff does not match the quote' };
+  }
+
+  const quotedTime = quote.scheduled_for ? new Date(quote.scheduled_for).getTime() : null;
+  const requestedTime = scheduledFor ? scheduledFor.getTime() : null;
+  if (quotedTime !== requestedTime) {
+    return { error: 'Scheduled time does not match the quote' };
+  }
+
+  return { quote };
+}
+
+module.exports = {
+  createQuoteToken,
+  verifyQuoteToken
+};
@@ -0,0 +1,157 @@
+// backend/src/utils/ratings.js
+// Two-way trip ratings - tags, driver rating aggregation and low-rating review flags
+
+const db = require('../db');
+
+// Ratings are accepted for this long after the trip completes
+const RATING_WINDOW_HOURS = parseInt(process.env.RATING_WINDOW_HOURS || '72', 10);
+
+// Drivers whose average over their last N ratings drops below the threshold are flagged
+const FLAG_THRESHOLD = parseFloat(process.env.RATING_FLAG_THRESHOLD || '4.0');
+const ROLLING_WINDOW = parseInt(process.env.RATING_ROLLING_WINDOW || '20', 10);
+const FLAG_MIN_RATINGS = parseInt(process.env.RATING_FLAG_MIN_RATINGS || '5', 10);
+
+// Tags each party can attach, keyed by the rater's role
+const RATING_TAGS = {
+  client: [
+    'smooth_driving',
+    'safe_driving',
+    'punctual',
+    'professional',
+    'friendly',
+    'knew_the_route',
+    'late',
+    'unsafe_driving',
+    'rude',
+    'wrong_route'
+  ],
+  driver: [
+    'polite',
+    'ready_on_time',
+    'clear_directions',
+    'late',
+    'rude',
+    'vehicle_issues',
+    'unsafe_behaviour'
+  ]
+};
+
+/**
+ * Validate a rating submission for the rater's role
+ * @param {string} role - 'client' or 'driver'
+ * @param {number} rating - 1 to 5
+ * @param {Array<string>} tags - Optional tags
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRating(role, rating, tags) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return 'rating must be a whole number from 1 to 5';
+  }
+
+  if (tags === undefined) {
+    return null;
+  }
+
+  if (!Array.isArray(tags)) {
+    return 'tags must be an array';
+  }
+
+  const invalidTags = tags.filter(tag => !RATING_TAGS[role].includes(tag));
+  if (invalidTags.length > 0) {
+    return `Invalid tags: ${invalidTags.join(', ')}. Must be from: ${RATING_TAGS[role].join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a completed trip can still be rated
+ * @param {Object} trip - Trip row (status, completed_at)
+ * @returns {string|null} Error message, or null if the trip can be rated
+ */
+function checkRatingWindow(trip) {
+  if (trip.status !== 'completed') {
+    return 'Only completed trips can be rated';
+  }
+
+  const hoursSinceCompletion = (Date.now() - new Date(trip.completed_at).getTime()) / 3600000;
+  if (hoursSinceCompletion > RATING_WINDOW_HOURS) {
+    return `Trips can only be rated within ${RATING_WINDOW_HOURS} hours of completion`;
+  }
+
+  return null;
+}
+
+/**
+ * Add a rating to a driver's average and count. A single UPDATE, so
+ * concurrent ratings for the same driver can't lose updates.
+ * @param {Object} client - Database client (inside the rating transaction)
+ * @param {string} driverId - Driver's user ID
+ * @param {number} rating - New rating
+ * @returns {Promise<Object>} { rating_average, rating_count }
+ */
+async function addDriverRating(client, driverId, rating) {
+  const result = await client.query(
+    `UPDATE driver_profiles
+     SET rating_average = ROUND((rating_average * rating_count + $2) / (rating_count + 1), 2),
+         rating_count = rating_count + 1,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1
+     RETURNING rating_average, rating_count`,
+    [driverId, rating]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Flag a driver for admin review if their rolling average has dropped below
+ * the threshold. Drivers already flagged are left alone.
+ * @param {Object} client - Database client (inside the rating transaction)
+ * @param {string} driverId - Driver's user ID
+ * @returns {Promise<Object|null>} { rolling_average, rating_count } if newly flagged
+ */
+async function flagLowRatedDriver(client, driverId) {
+  const result = await client.query(
+    `SELECT AVG(rating) AS rolling_average, COUNT(*) AS rating_count
+     FROM (
+       SELECT rating FROM ratings
+       WHERE rated_user = $1 AND rater_role = 'client'
+       ORDER BY created_at DESC
+       LIMIT $2
+     ) recent`,
+    [driverId, ROLLING_WINDOW]
+  );
+
+  const rollingAverage = parseFloat(result.rows[0].rolling_average);
+  const ratingCount = parseInt(result.rows[0].rating_count, 10);
+
+  if (ratingCount < FLAG_MIN_RATINGS || rollingAverage >= FLAG_THRESHOLD) {
+    return null;
+  }
+
+  const flagResult = await client.query(
+    `UPDATE driver_profiles
+     SET rating_review_required = true, rating_flagged_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND rating_review_required = false
+     RETURNING user_id`,
+    [driverId]
+  );
+
+  if (flagResult.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    rolling_average: Math.round(rollingAverage * 100) / 100,
+    rating_count: ratingCount
+  };
+}
+
+module.exports = {
+  RATING_TAGS,
+  validateRating,
+  checkRatingWindow,
+  addDriverRating,
+  flagLowRatedDriver
+};
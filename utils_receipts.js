@@ -0,0 +1,338 @@
+// backend/src/utils/receipts.js
+// Trip receipts - issued once per paid trip as a frozen snapshot, rendered as HTML or PDF
+
+const PDFDocument = require('pdfkit');
+const db = require('../db');
+const { sendMail } = require('./mail');
+
+// Fares are VAT-inclusive; the receipt shows the VAT portion
+const VAT_RATE_PERCENT = parseFloat(process.env.RECEIPT_VAT_RATE_PERCENT || '16');
+const COMPANY_NAME = process.env.RECEIPT_COMPANY_NAME || 'SafeDrive Kenya';
+const COMPANY_KRA_PIN = process.env.RECEIPT_KRA_PIN || null;
+const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+const PAYMENT_METHOD_LABELS = {
+  mpesa: 'M-Pesa',
+  cash: 'Cash',
+  corporate: 'Corporate account'
+};
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build the receipt snapshot for a trip. Everything shown on the receipt is
+ * copied in here, so later pricing_config or profile changes don't alter it.
+ * @param {Object} trip - Trip row joined with names, service area and pricing config rates
+ * @param {Object|null} payment - Succeeded payment row
+ * @returns {Object} Receipt data
+ */
+function buildReceiptData(trip, payment) {
+  const total = parseFloat(trip.final_price);
+  const vatAmount = roundAmount(total * VAT_RATE_PERCENT / (100 + VAT_RATE_PERCENT));
+
+  // Trips completed before fare breakdowns were stored show the fare as one line
+  const items = trip.fare_breakdown && trip.fare_breakdown.items
+    ? trip.fare_breakdown.items.map(({ type, label, amount }) => ({ type, label, amount }))
+    : [{ type: 'fare', label: 'Trip fare', amount: total }];
+
+  const completedAt = new Date(trip.completed_at);
+  const receiptNumber = `SD-${completedAt.toISOString().slice(0, 10).replace(/-/g, '')}-${trip.id.slice(0, 8).toUpperCase()}`;
+
+  return {
+    receipt_number: receiptNumber,
+    trip_id: trip.id,
+    company: { name: COMPANY_NAME, kra_pin: COMPANY_KRA_PIN },
+    client_name: trip.client_name,
+    driver_name: trip.driver_name,
+    service_area: trip.service_area_name,
+    timezone: trip.timezone || DEFAULT_TIMEZONE,
+    pickup_address: trip.pickup_address,
+    dropoff_address: trip.dropoff_address,
+    requested_at: trip.requested_at,
+    started_at: trip.started_at,
+    completed_at: trip.completed_at,
+    distance_km: trip.final_distance_km !== null ? parseFloat(trip.final_distance_km) : null,
+    duration_min: trip.final_duration_min,
+    pricing: trip.pricing_config_id ? {
+      pricing_config_id: trip.pricing_config_id,
+      base_price: parseFloat(trip.base_price),
+      price_per_km: parseFloat(trip.price_per_km),
+      price_per_minute: parseFloat(trip.price_per_minute || 0),
+      minimum_price: parseFloat(trip.minimum_price)
+    } : null,
+    items,
+    currency: 'KES',
+    total,
+    vat: {
+      rate_percent: VAT_RATE_PERCENT,
+      amount: vatAmount,
+      net_amount: roundAmount(total - vatAmount)
+    },
+    billed_to: trip.corporate_account_name ? {
+      name: trip.corporate_account_name,
+      kra_pin: trip.corporate_kra_pin,
+      cost_centre: trip.cost_centre_code ? `${trip.cost_centre_code} - ${trip.cost_centre_name}` : null
+    } : null,
+    payment: {
+      method: trip.payment_method,
+      mpesa_receipt_number: payment ? payment.mpesa_receipt_number : null,
+      paid_at: payment ? payment.completed_at : null
+    }
+  };
+}
+
+/**
+ * Get a trip's receipt, issuing it on first request. Only paid trips get receipts;
+ * corporate trips count as paid once billed to the company's account.
+ * @param {string} tripId
+ * @returns {Promise<Object>} { receipt } or { error, status }
+ */
+async function getOrIssueReceipt(tripId) {
+  const existing = await db.query('SELECT * FROM receipts WHERE trip_id = $1', [tripId]);
+  if (existing.rows[0]) {
+    return { receipt: existing.rows[0] };
+  }
+
+  // The pricing config the fare was calculated with, not whichever is active now
+  const tripResult = await db.query(
+    `SELECT t.id, t.status, t.payment_status, t.payment_method, t.billing_type, t.final_price,
+            t.final_distance_km, t.final_duration_min, t.fare_breakdown,
+            t.pickup_address, t.dropoff_address, t.requested_at, t.started_at, t.completed_at,
+            c.full_name AS client_name, d.full_name AS driver_name,
+            sa.name AS service_area_name, sa.timezone,
+            ca.name AS corporate_account_name, ca.kra_pin AS corporate_kra_pin,
+            cc.code AS cost_centre_code, cc.name AS cost_centre_name,
+            pc.id AS pricing_config_id, pc.base_price, pc.price_per_km, pc.price_per_minute, pc.minimum_price
+     FROM trips t
+     JOIN users c ON t.client_id = c.id
+     LEFT JOIN users d ON t.driver_id = d.id
+     LEFT JOIN service_areas sa ON t.service_area_id = sa.id
+     LEFT JOIN corporate_accounts ca ON t.corporate_account_id = ca.id
+     LEFT JOIN cost_centres cc ON t.cost_centre_id = cc.id
+     LEFT JOIN pricing_config pc
+       ON pc.id = COALESCE((t.fare_breakdown->>'pricing_config_id')::uuid, t.pricing_config_id)
+     WHERE t.id = $1`,
+    [tripId]
+  );
+
+  const trip = tripResult.rows[0];
+  if (!trip) {
+    return { error: 'Trip not found', status: 404 };
+  }
+
+  if (trip.status !== 'completed') {
+    return { error: 'Receipts are only available for completed trips', status: 409 };
+  }
+
+  const settled = trip.payment_status === 'paid'
+    || (trip.billing_type === 'corporate' && trip.payment_status === 'billed');
+  if (!settled) {
+    return { error: 'The receipt will be available once the trip has been paid', status: 409 };
+  }
+
+  const paymentResult = await db.query(
+    `SELECT mpesa_receipt_number, completed_at
+     FROM payments
+     WHERE trip_id = $1 AND status = 'succeeded'
+     ORDER BY completed_at DESC
+     LIMIT 1`,
+    [tripId]
+  );
+
+  const data = buildReceiptData(trip, paymentResult.rows[0] || null);
+
+  // Concurrent first requests both build a snapshot; the first insert wins
+  await db.query(
+    `INSERT INTO receipts (trip_id, receipt_number, data)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (trip_id) DO NOTHING`,
+    [tripId, data.receipt_number, JSON.stringify(data)]
+  );
+
+  const result = await db.query('SELECT * FROM receipts WHERE trip_id = $1', [tripId]);
+  return { receipt: result.rows[0] };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatMoney(amount) {
+  return `KES ${amount.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDateTime(value, timeZone) {
+  if (!value) {
+    return '-';
+  }
+  return new Intl.DateTimeFormat('en-KE', {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }).format(new Date(value));
+}
+
+/**
+ * Label/value rows shared by the HTML and PDF layouts
+ */
+function getReceiptRows(data, issuedAt) {
+  return {
+    details: [
+      ['Receipt number', data.receipt_number],
+      ['Issued', formatDateTime(issuedAt, data.timezone)],
+      ['Trip ID', data.trip_id],
+      ['Passenger', data.client_name || '-'],
+      ['Driver', data.driver_name || '-'],
+      ['Pickup', data.pickup_address],
+      ['Drop-off', data.dropoff_address],
+      ['Started', formatDateTime(data.started_at, data.timezone)],
+      ['Completed', formatDateTime(data.completed_at, data.timezone)],
+      ['Distance', data.distance_km !== null ? `${data.distance_km} km` : '-'],
+      ['Duration', data.duration_min !== null ? `${data.duration_min} min` : '-']
+    ],
+    fare: data.items.map(item => [item.label, formatMoney(item.amount)]),
+    totals: [
+      ['Net of VAT', formatMoney(data.vat.net_amount)],
+      [`VAT (${data.vat.rate_percent}%)`, formatMoney(data.vat.amount)],
+      ['Total paid', formatMoney(data.total)]
+    ],
+    payment: [
+      ...(data.billed_to ? [['Billed to', data.billed_to.name]] : []),
+      ...(data.billed_to && data.billed_to.kra_pin ? [['Company KRA PIN', data.billed_to.kra_pin]] : []),
+      ...(data.billed_to && data.billed_to.cost_centre ? [['Cost centre', data.billed_to.cost_centre]] : []),
+      ['Payment method', PAYMENT_METHOD_LABELS[data.payment.method] || data.payment.method],
+      ...(data.payment.mpesa_receipt_number ? [['M-Pesa reference', data.payment.mpesa_receipt_number]] : []),
+      ...(data.payment.paid_at ? [['Paid', formatDateTime(data.payment.paid_at, data.timezone)]] : [])
+    ]
+  };
+}
+
+/**
+ * Render a receipt as a standalone HTML page
+ * @param {Object} receipt - Receipt row
+ * @returns {string}
+ */
+function renderReceiptHtml(receipt) {
+  const data = receipt.data;
+  const rows = getReceiptRows(data, receipt.issued_at);
+  const table = (pairs, className = '') => `
+    <table class="${className}">
+      ${pairs.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${escapeHtml(data.receipt_number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #212121; max-width: 640px; margin: 24px auto; }
+    h1 { color: #2E7D32; margin-bottom: 0; }
+    h2 { font-size: 16px; margin-top: 24px; border-bottom: 1px solid #E0E0E0; padding-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; font-weight: normal; color: #757575; padding: 4px 0; width: 45%; }
+    td { padding: 4px 0; }
+    .amounts td { text-align: right; }
+    .totals tr:last-child th, .totals tr:last-child td { font-weight: bold; color: #212121; }
+    .muted { color: #757575; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(data.company.name)}</h1>
+  <p class="muted">Trip receipt${data.company.kra_pin ? ` &middot; KRA PIN ${escapeHtml(data.company.kra_pin)}` : ''}</p>
+
+  <h2>Trip</h2>${table(rows.details)}
+
+  <h2>Fare</h2>${table(rows.fare, 'amounts')}
+${table(rows.totals, 'amounts totals')}
+
+  <h2>Payment</h2>${table(rows.payment)}
+
+  <p class="muted">Fares include VAT at ${escapeHtml(data.vat.rate_percent)}%.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a receipt as a PDF
+ * @param {Object} receipt - Receipt row
+ * @returns {Promise<Buffer>}
+ */
+function renderReceiptPdf(receipt) {
+  const data = receipt.data;
+  const rows = getReceiptRows(data, receipt.issued_at);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${data.receipt_number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const section = (title, pairs, alignValues = 'left') => {
+      doc.moveDown().font('Helvetica-Bold').fontSize(12).fillColor('#212121').text(title);
+      doc.moveDown(0.3).font('Helvetica').fontSize(10);
+      pairs.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.fillColor('#757575').text(label, 50, y, { width: 200 });
+        doc.fillColor('#212121').text(String(value), 260, y, { width: 285, align: alignValues });
+        doc.moveDown(0.2);
+      });
+    };
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#2E7D32').text(data.company.name);
+    doc.font('Helvetica').fontSize(10).fillColor('#757575')
+      .text(`Trip receipt${data.company.kra_pin ? ` - KRA PIN ${data.company.kra_pin}` : ''}`);
+
+    section('Trip', rows.details);
+    section('Fare', [...rows.fare, ...rows.totals], 'right');
+    section('Payment', rows.payment);
+
+    doc.moveDown().fontSize(8).fillColor('#757575').text(`Fares include VAT at ${data.vat.rate_percent}%.`, 50);
+    doc.end();
+  });
+}
+
+/**
+ * Email a receipt (HTML body, PDF attached) and record where it was sent
+ * @param {Object} receipt - Receipt row
+ * @param {string} email - Recipient address
+ * @returns {Promise<Object>} { id, status } from the mail transport
+ */
+async function emailReceipt(receipt, email) {
+  const pdf = await renderReceiptPdf(receipt);
+
+  const sent = await sendMail({
+    to: email,
+    subject: `Your SafeDrive receipt ${receipt.data.receipt_number}`,
+    text: `Thank you for riding with SafeDrive. Your receipt for trip ${receipt.trip_id} (${formatMoney(receipt.data.total)}) is attached.`,
+    html: renderReceiptHtml(receipt),
+    attachments: [{
+      filename: `${receipt.data.receipt_number}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+
+  await db.query(
+    'UPDATE receipts SET emailed_to = $2, emailed_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [receipt.id, email]
+  );
+
+  return sent;
+}
+
+module.exports = {
+  VAT_RATE_PERCENT,
+  getOrIssueReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  emailReceipt
+};
@@ -0,0 +1,333 @@
+// backend/src/utils/routing.js
+// Road routing - distance, duration and polylines from OSRM or Valhalla, with a straight-line fallback
+
+const { calculateDistance } = require('./pricing');
+
+const ROUTING_PROVIDER = process.env.ROUTING_PROVIDER || 'haversine';
+const ROUTING_URL = process.env.ROUTING_URL;
+
+// Requests slower than this fall back to the straight-line estimate
+const ROUTING_TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS || '1500', 10);
+
+// After a failure the engine is skipped for this long, so an outage doesn't slow every request
+const ROUTING_RETRY_AFTER_SECONDS = parseInt(process.env.ROUTING_RETRY_AFTER_SECONDS || '30', 10);
+
+// Routes between the same points (to ~10 m) are reused for this long
+const ROUTE_CACHE_TTL_SECONDS = parseInt(process.env.ROUTE_CACHE_TTL_SECONDS || '300', 10);
+const ROUTE_CACHE_MAX_ENTRIES = 5000;
+
+// Straight-line fallback: roads are longer than the crow flies, and Nairobi traffic is slow
+const FALLBACK_DETOUR_FACTOR = parseFloat(process.env.ROUTING_FALLBACK_DETOUR_FACTOR || '1.3');
+const FALLBACK_SPEED_KMH = parseFloat(process.env.ROUTING_FALLBACK_SPEED_KMH || '25');
+
+// Cached routes, keyed by rounded origin/destination, oldest first
+const routeCache = new Map();
+let engineUnavailableUntil = 0;
+
+function cacheKey(origin, destination) {
+  return [origin.latitude, origin.longitude, destination.latitude, destination.longitude]
+    .map(value => Number(value).toFixed(4))
+    .join(',');
+}
+
+function getCachedRoute(key) {
+  const cached = routeCache.get(key);
+  if (!cached || cached.expires_at < Date.now()) {
+    routeCache.delete(key);
+    return null;
+  }
+  return cached.route;
+}
+
+function cacheRoute(key, route) {
+  routeCache.delete(key);
+  routeCache.set(key, { route, expires_at: Date.now() + ROUTE_CACHE_TTL_SECONDS * 1000 });
+
+  if (routeCache.size > ROUTE_CACHE_MAX_ENTRIES) {
+    routeCache.delete(routeCache.keys().next().value);
+  }
+}
+
+/**
+ * Encode points as a Google encoded polyline
+ * @param {Array} points - [[latitude, longitude], ...]
+ * @param {number} precision - Decimal places (5 for Google/OSRM, 6 for Valhalla)
+ * @returns {string}
+ */
+function encodePolyline(points, precision = 5) {
+  const factor = 10 ** precision;
+  let output = '';
+  let previousLat = 0;
+  let previousLng = 0;
+
+  const encodeValue = value => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  points.forEach(([latitude, longitude]) => {
+    const lat = Math.round(latitude * factor);
+    const lng = Math.round(longitude * factor);
+    output += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  });
+
+  return output;
+}
+
+/**
+ * Decode a Google encoded polyline
+ * @param {string} encoded
+ * @param {number} precision
+ * @returns {Array} [[latitude, longitude], ...]
+ */
+function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    points.push([lat / factor, lng / factor]);
+  }
+
+  return points;
+}
+
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ROUTING_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Routing engine responded with ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function roundRoute(distanceKm, durationMin) {
+  return {
+    distance_km: Math.round(distanceKm * 10) / 10,
+    duration_min: Math.max(Math.round(durationMin), 1)
+  };
+}
+
+/**
+ * Straight-line estimate used when no engine is configured or it fails
+ */
+function estimateStraightLine(origin, destination) {
+  const distanceKm = calculateDistance(
+    origin.latitude,
+    origin.longitude,
+    destination.latitude,
+    destination.longitude
+  ) * FALLBACK_DETOUR_FACTOR;
+
+  return {
+    ...roundRoute(distanceKm, distanceKm / FALLBACK_SPEED_KMH * 60),
+    polyline: encodePolyline([
+      [origin.latitude, origin.longitude],
+      [destination.latitude, destination.longitude]
+    ]),
+    source: 'haversine'
+  };
+}
+
+function estimateDuration(origin, destination) {
+  const { polyline, ...estimate } = estimateStraightLine(origin, destination);
+  return estimate;
+}
+
+const providers = {
+  osrm: {
+    async route(origin, destination) {
+      const coordinates = `${origin.longitude},${origin.latitude};${destination.longitude},${destination.latitude}`;
+      const data = await fetchWithTimeout(
+        `${ROUTING_URL}/route/v1/driving/${coordinates}?overview=full&geometries=polyline`
+      );
+
+      const route = data.routes && data.routes[0];
+      if (data.code !== 'Ok' || !route) {
+        throw new Error(`OSRM route failed: ${data.code}`);
+      }
+
+      return {
+        ...roundRoute(route.distance / 1000, route.duration / 60),
+        polyline: route.geometry
+      };
+    },
+
+    async durationsTo(origins, destination) {
+      const coordinates = [...origins, destination]
+        .map(point => `${point.longitude},${point.latitude}`)
+        .join(';');
+      const sources = origins.map((origin, index) => index).join(';');
+      const data = await fetchWithTimeout(
+        `${ROUTING_URL}/table/v1/driving/${coordinates}?sources=${sources}&destinations=${origins.length}&annotations=duration,distance`
+      );
+
+      if (data.code !== 'Ok') {
+        throw new Error(`OSRM table failed: ${data.code}`);
+      }
+
+      return origins.map((origin, index) => {
+        const duration = data.durations[index][0];
+        const distance = data.distances ? data.distances[index][0] : null;
+        return duration === null ? null : roundRoute(distance === null ? 0 : distance / 1000, duration / 60);
+      });
+    }
+  },
+
+  valhalla: {
+    async route(origin, destination) {
+      const data = await fetchWithTimeout(`${ROUTING_URL}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          locations: [
+            { lat: origin.latitude, lon: origin.longitude },
+            { lat: destination.latitude, lon: destination.longitude }
+          ],
+          costing: 'auto',
+          units: 'kilometers'
+        })
+      });
+
+      const legs = data.trip && data.trip.legs;
+      if (!legs || legs.length === 0) {
+        throw new Error('Valhalla returned no route');
+      }
+
+      // Valhalla shapes use 6 decimal places; re-encode so clients always get precision 5
+      const points = legs.flatMap(leg => decodePolyline(leg.shape, 6));
+      return {
+        ...roundRoute(data.trip.summary.length, data.trip.summary.time / 60),
+        polyline: encodePolyline(points)
+      };
+    },
+
+    async durationsTo(origins, destination) {
+      const data = await fetchWithTimeout(`${ROUTING_URL}/sources_to_targets`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sources: origins.map(origin => ({ lat: origin.latitude, lon: origin.longitude })),
+          targets: [{ lat: destination.latitude, lon: destination.longitude }],
+          costing: 'auto',
+          units: 'kilometers'
+        })
+      });
+
+      if (!data.sources_to_targets) {
+        throw new Error('Valhalla returned no matrix');
+      }
+
+      return data.sources_to_targets.map(row => {
+        const cell = row[0];
+        return !cell || cell.time === null ? null : roundRoute(cell.distance, cell.time / 60);
+      });
+    }
+  }
+};
+
+function getEngine() {
+  const engine = providers[ROUTING_PROVIDER];
+  if (!engine || !ROUTING_URL || Date.now() < engineUnavailableUntil) {
+    return null;
+  }
+  return engine;
+}
+
+function markEngineFailed(error) {
+  engineUnavailableUntil = Date.now() + ROUTING_RETRY_AFTER_SECONDS * 1000;
+  console.error(`Routing (${ROUTING_PROVIDER}) failed, using straight-line estimates for ${ROUTING_RETRY_AFTER_SECONDS}s:`, error.message);
+}
+
+/**
+ * Get the road route between two points. Never throws: if the engine is
+ * unavailable, slow or can't route, a straight-line estimate is returned.
+ * @param {Object} origin - { latitude, longitude }
+ * @param {Object} destination - { latitude, longitude }
+ * @returns {Promise<Object>} { distance_km, duration_min, polyline, source }
+ *   source is the engine name, or 'haversine' for the fallback
+ */
+async function getRoute(origin, destination) {
+  const key = cacheKey(origin, destination);
+  const cached = getCachedRoute(key);
+  if (cached) {
+    return cached;
+  }
+
+  const engine = getEngine();
+  if (engine) {
+    try {
+      const route = { ...(await engine.route(origin, destination)), source: ROUTING_PROVIDER };
+      cacheRoute(key, route);
+      return route;
+    } catch (error) {
+      markEngineFailed(error);
+    }
+  }
+
+  // Fallbacks aren't cached, so the engine's answer is used as soon as it's back
+  return estimateStraightLine(origin, destination);
+}
+
+/**
+ * Get road distance and driving time from several points to one destination
+ * (e.g. nearby drivers to a pickup) in a single engine request
+ * @param {Array} origins - [{ latitude, longitude }]
+ * @param {Object} destination - { latitude, longitude }
+ * @returns {Promise<Array>} [{ distance_km, duration_min, source }] in the order of origins
+ */
+async function getDurationsTo(origins, destination) {
+  if (origins.length === 0) {
+    return [];
+  }
+
+  const engine = getEngine();
+  if (engine) {
+    try {
+      const results = await engine.durationsTo(origins, destination);
+      return results.map((result, index) => (result
+        ? { ...result, source: ROUTING_PROVIDER }
+        : estimateDuration(origins[index], destination)));
+    } catch (error) {
+      markEngineFailed(error);
+    }
+  }
+
+  return origins.map(origin => estimateDuration(origin, destination));
+}
+
+module.exports = {
+  getRoute,
+  getDurationsTo,
+  encodePolyline,
+  decodePolyline
+};
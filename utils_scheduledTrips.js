@@ -0,0 +1,196 @@
+// backend/src/utils/scheduledTrips.js
+// Scheduled rides - booking validation and the background job that dispatches them
+
+const cron = require('node-cron');
+const db = require('../db');
+const { notifyClient } = require('./notifications');
+const { startDispatch } = require('./dispatch');
+const { transitionTrip, getActiveTrip, getActiveTripConflict } = require('./tripStateMachine');
+
+// Bookings must be at least this far ahead, and no further than this
+const MIN_LEAD_MINUTES = parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES || '30', 10);
+const MAX_ADVANCE_DAYS = parseInt(process.env.SCHEDULE_MAX_ADVANCE_DAYS || '7', 10);
+
+// Dispatch starts this long before pickup
+const DISPATCH_LEAD_MINUTES = parseInt(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES || '20', 10);
+
+// A trip still undispatched this long after pickup is given up on, not dispatched late
+const DISPATCH_CUTOFF_MINUTES = parseInt(process.env.SCHEDULE_DISPATCH_CUTOFF_MINUTES || '15', 10);
+
+// Client reminder is sent this long before pickup
+const REMINDER_MINUTES = parseInt(process.env.SCHEDULE_REMINDER_MINUTES || '60', 10);
+
+/**
+ * Validate a requested pickup time for a scheduled ride
+ * @param {Date} scheduledFor - Requested pickup time
+ * @returns {string|null} Error message, or null if the time is acceptable
+ */
+function validateScheduledTime(scheduledFor) {
+  if (isNaN(scheduledFor.getTime())) {
+    return 'Invalid scheduled_for time';
+  }
+
+  const minutesAhead = (scheduledFor.getTime() - Date.now()) / 60000;
+
+  if (minutesAhead < MIN_LEAD_MINUTES) {
+    return `Scheduled rides must be booked at least ${MIN_LEAD_MINUTES} minutes in advance`;
+  }
+
+  if (minutesAhead > MAX_ADVANCE_DAYS * 24 * 60) {
+    return `Scheduled rides can be booked at most ${MAX_ADVANCE_DAYS} days in advance`;
+  }
+
+  return null;
+}
+
+async function sendReminders() {
+  const result = await db.query(
+    `UPDATE trips
+     SET reminder_sent_at = CURRENT_TIMESTAMP
+     WHERE status = 'scheduled'
+       AND reminder_sent_at IS NULL
+       AND scheduled_for <= NOW() + make_interval(mins => $1)
+     RETURNING id, client_id, scheduled_for, pickup_address`,
+    [REMINDER_MINUTES]
+  );
+
+  result.rows.forEach(trip => {
+    notifyClient(trip.client_id, 'scheduled_trip_reminder', {
+      trip_id: trip.id,
+      scheduled_for: trip.scheduled_for,
+      pickup_address: trip.pickup_address
+    });
+  });
+}
+
+async function dispatchDueTrips() {
+  const dueResult = await db.query(
+    `SELECT id, client_id,
+            scheduled_for <= NOW() - make_interval(mins => $2) AS past_cutoff
+     FROM trips
+     WHERE status = 'scheduled'
+       AND scheduled_for <= NOW() + make_interval(mins => $1)`,
+    [DISPATCH_LEAD_MINUTES, DISPATCH_CUTOFF_MINUTES]
+  );
+
+  for (const due of dueResult.rows) {
+    const client = await db.getClient();
+    let trip = null;
+    let activeTrip = null;
+    let held = false;
+    let missed = null;
+
+    try {
+      await client.query('BEGIN');
+
+      if (!due.past_cutoff) {
+        activeTrip = await getActiveTrip(client, { id: due.client_id, user_type: 'client' });
+      }
+
+      if (due.past_cutoff) {
+        missed = await transitionTrip(
+          client,
+          due.id,
+          'scheduled',
+          'no_driver_found',
+          { role: 'system', reason: `Not dispatched within ${DISPATCH_CUTOFF_MINUTES} minutes of pickup` }
+        );
+      } else if (activeTrip) {
+        // The client is still on another ride: hold this one until that ends
+        const holdResult = await client.query(
+          `UPDATE trips SET dispatch_held_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'scheduled' AND dispatch_held_at IS NULL`,
+          [due.id]
+        );
+        held = holdResult.rowCount > 0;
+      } else {
+        trip = await transitionTrip(
+          client,
+          due.id,
+          'scheduled',
+          'pending',
+          { role: 'system', reason: 'Scheduled pickup approaching' }
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      // The client requested a ride since the check above; held on the next run
+      if (!getActiveTripConflict(error)) {
+        console.error('Scheduled trip dispatch error:', error);
+      }
+    } finally {
+      client.release();
+    }
+
+    if (missed) {
+      notifyClient(missed.client_id, 'no_driver_found', { trip_id: missed.id });
+      continue;
+    }
+
+    if (held) {
+      notifyClient(due.client_id, 'scheduled_trip_held', {
+        trip_id: due.id,
+        active_trip_id: activeTrip.id
+      });
+    }
+
+    // Cancelled or edited into the future since the query above
+    if (!trip) {
+      continue;
+    }
+
+    notifyClient(trip.client_id, 'scheduled_trip_dispatching', { trip_id: trip.id });
+    await startDispatch(trip.id);
+  }
+}
+
+async function alertUnassignedTrips(io) {
+  const result = await db.query(
+    `UPDATE trips
+     SET ops_alerted_at = CURRENT_TIMESTAMP
+     WHERE scheduled_for IS NOT NULL
+       AND scheduled_for <= NOW()
+       AND status IN ('scheduled', 'pending', 'no_driver_found')
+       AND ops_alerted_at IS NULL
+     RETURNING id, client_id, status, scheduled_for, pickup_address`,
+    []
+  );
+
+  result.rows.forEach(trip => {
+    io.to('admin').emit('scheduled_trip_unassigned', {
+      trip_id: trip.id,
+      client_id: trip.client_id,
+      status: trip.status,
+      scheduled_for: trip.scheduled_for,
+      pickup_address: trip.pickup_address,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+/**
+ * Start the background job that reminds clients, dispatches scheduled
+ * trips ahead of pickup (holding any whose client is still on another
+ * ride, and giving up on any still undispatched past the cut-off), and
+ * alerts ops about trips still unassigned at pickup time.
+ * Runs every minute.
+ * @param {Object} io - Socket.io server (for admin alerts)
+ * @returns {Object} The node-cron task
+ */
+function startScheduledTripsJob(io) {
+  return cron.schedule('* * * * *', async () => {
+    try {
+      await sendReminders();
+      await dispatchDueTrips();
+      await alertUnassignedTrips(io);
+    } catch (error) {
+      console.error('Scheduled trips job error:', error);
+    }
+  });
+}
+
+module.exports = {
+  validateScheduledTime,
+  startScheduledTripsJob
+};
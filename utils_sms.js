@@ -0,0 +1,106 @@
+// backend/src/utils/sms.js
+// SMS sending - pluggable provider (Africa's Talking, or a local stub for development)
+
+const SMS_PROVIDER = process.env.SMS_PROVIDER || 'stub';
+const AT_USERNAME = process.env.AFRICASTALKING_USERNAME;
+const AT_API_KEY = process.env.AFRICASTALKING_API_KEY;
+const AT_SENDER_ID = process.env.AFRICASTALKING_SENDER_ID;
+const AT_API_URL = AT_USERNAME === 'sandbox'
+  ? 'https://api.sandbox.africastalking.com/version1/messaging'
+  : 'https://api.africastalking.com/version1/messaging';
+
+// Messages sent by the stub provider, newest last
+const stubOutbox = [];
+
+const providers = {
+  // Logs messages instead of sending them
+  stub: {
+    async send(to, message) {
+      const sms = { id: `stub-${Date.now()}-${stubOutbox.length}`, to, message, sent_at: new Date().toISOString() };
+      stubOutbox.push(sms);
+      console.log(`[SMS stub] to ${to}: ${message}`);
+      return { id: sms.id, status: 'sent' };
+    }
+  },
+
+  africastalking: {
+    async send(to, message) {
+      const body = new URLSearchParams({ username: AT_USERNAME, to, message });
+      if (AT_SENDER_ID) {
+        body.append('from', AT_SENDER_ID);
+      }
+
+      const response = await fetch(AT_API_URL, {
+        method: 'POST',
+        headers: {
+          'apiKey': AT_API_KEY,
+          'Accept': 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body
+      });
+
+      if (!response.ok) {
+        throw new Error(`Africa's Talking responded with ${response.status}`);
+      }
+
+      const data = await response.json();
+      const recipient = data.SMSMessageData.Recipients[0];
+      if (!recipient || recipient.statusCode >= 400) {
+        throw new Error(`SMS to ${to} rejected: ${recipient ? recipient.status : data.SMSMessageData.Message}`);
+      }
+
+      return { id: recipient.messageId, status: 'sent' };
+    }
+  }
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Phone number in international format (+254...)
+ * @param {string} message - Message text
+ * @returns {Promise<Object>} { id, status }
+ */
+async function sendSMS(to, message) {
+  const provider = providers[SMS_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${SMS_PROVIDER}`);
+  }
+
+  return provider.send(to, message);
+}
+
+/**
+ * Send the same SMS to several numbers. Failures are logged and reported,
+ * not thrown, so one bad number doesn't stop the rest.
+ * @param {Array<string>} recipients - Phone numbers
+ * @param {string} message - Message text
+ * @returns {Promise<Array>} [{ to, status, id?, error? }]
+ */
+async function sendBulkSMS(recipients, message) {
+  const uniqueRecipients = [...new Set(recipients.filter(Boolean))];
+
+  return Promise.all(uniqueRecipients.map(async (to) => {
+    try {
+      const result = await sendSMS(to, message);
+      return { to, ...result };
+    } catch (error) {
+      console.error('SMS send error:', error);
+      return { to, status: 'failed', error: error.message };
+    }
+  }));
+}
+
+/**
+ * Messages sent by the stub provider (for local testing)
+ * @returns {Array} Sent messages
+ */
+function getStubOutbox() {
+  return stubOutbox;
+}
+
+module.exports = {
+  sendSMS,
+  sendBulkSMS,
+  getStubOutbox
+};
@@ -0,0 +1,101 @@
+// backend/src/utils/socketAdapter.js
+// Socket.io adapter - pluggable (Redis for multiple API instances, or in-memory for local development and tests)
+
+const { Adapter } = require('socket.io-adapter');
+
+const SOCKET_ADAPTER = process.env.SOCKET_ADAPTER || 'memory';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+// Adapters of every Socket.io server in this process, keyed by namespace
+const memoryNodes = new Map();
+
+/**
+ * Relays broadcasts and room changes to every Socket.io server created in the
+ * same process, as if each server were a separate API instance. With a single
+ * server it behaves like the default adapter.
+ */
+class MemoryAdapter extends Adapter {
+  constructor(nsp) {
+    super(nsp);
+
+    if (!memoryNodes.has(nsp.name)) {
+      memoryNodes.set(nsp.name, new Set());
+    }
+    this.nodes = memoryNodes.get(nsp.name);
+    this.nodes.add(this);
+  }
+
+  close() {
+    this.nodes.delete(this);
+  }
+
+  // io.local.* stays on this node
+  targetNodes(opts) {
+    return opts.flags && opts.flags.local ? [this] : [...this.nodes];
+  }
+
+  serverCount() {
+    return this.nodes.size;
+  }
+
+  broadcast(packet, opts) {
+    this.targetNodes(opts).forEach(node => super.broadcast.call(node, packet, opts));
+  }
+
+  addSockets(opts, rooms) {
+    this.targetNodes(opts).forEach(node => super.addSockets.call(node, opts, rooms));
+  }
+
+  delSockets(opts, rooms) {
+    this.targetNodes(opts).forEach(node => super.delSockets.call(node, opts, rooms));
+  }
+
+  disconnectSockets(opts, close) {
+    this.targetNodes(opts).forEach(node => super.disconnectSockets.call(node, opts, close));
+  }
+
+  async fetchSockets(opts) {
+    const sockets = await Promise.all(
+      this.targetNodes(opts).map(node => super.fetchSockets.call(node, opts))
+    );
+    return sockets.flat();
+  }
+}
+
+const providers = {
+  memory: () => MemoryAdapter,
+
+  // Instances share rooms and broadcasts through Redis pub/sub
+  redis: () => {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: REDIS_URL });
+    const subClient = pubClient.duplicate();
+
+    // Commands are queued until the clients are connected
+    [pubClient, subClient].forEach(redisClient => {
+      redisClient.on('error', error => console.error('Socket adapter Redis error:', error));
+      redisClient.connect().catch(error => console.error('Socket adapter Redis connect error:', error));
+    });
+
+    return createAdapter(pubClient, subClient);
+  }
+};
+
+/**
+ * Create the configured Socket.io adapter, for io.adapter()
+ * @returns {Function} Adapter constructor
+ */
+function createSocketAdapter() {
+  const provider = providers[SOCKET_ADAPTER];
+  if (!provider) {
+    throw new Error(`Unknown socket adapter: ${SOCKET_ADAPTER}`);
+  }
+  return provider();
+}
+
+module.exports = {
+  createSocketAdapter,
+  MemoryAdapter
+};
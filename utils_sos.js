@@ -0,0 +1,376 @@
+// backend/src/utils/sos.js
+// SOS incident pipeline - alerts, acknowledgement, re-escalation and driver suspension
+
+const cron = require('node-cron');
+const db = require('../db');
+const { sendBulkSMS } = require('./sms');
+const { notifyDriver, notifyClient } = require('./notifications');
+const { createTripShare } = require('./tripShare');
+const { TERMINAL_STATUSES } = require('./tripStateMachine');
+
+// Unacknowledged incidents are escalated again after this long, up to the max
+const ACK_TIMEOUT_SECONDS = parseInt(process.env.SOS_ACK_TIMEOUT_SECONDS || '60', 10);
+const MAX_ESCALATIONS = parseInt(process.env.SOS_MAX_ESCALATIONS || '5', 10);
+
+// Driver app location upload interval, normally and while an incident is open
+const TRACKING_INTERVAL_SECONDS = parseInt(process.env.TRIP_TRACKING_INTERVAL_SECONDS || '5', 10);
+const SOS_TRACKING_INTERVAL_SECONDS = parseInt(process.env.SOS_TRACKING_INTERVAL_SECONDS || '2', 10);
+
+// Support staff texted on every alert; supervisors are added once an incident is escalated
+const SUPPORT_PHONES = parsePhoneList(process.env.SOS_SUPPORT_PHONES || process.env.SUPPORT_PHONE);
+const ESCALATION_PHONES = parsePhoneList(process.env.SOS_ESCALATION_PHONES);
+
+const OPEN_STATUSES = ['open', 'acknowledged'];
+
+function parsePhoneList(value) {
+  return (value || '')
+    .split(',')
+    .map(phone => phone.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get a user's emergency contacts
+ * @param {string} userId
+ * @returns {Promise<Array>} Contacts
+ */
+async function getEmergencyContacts(userId) {
+  const result = await db.query(
+    `SELECT id, name, phone_number, relationship, created_at
+     FROM emergency_contacts
+     WHERE user_id = $1
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Load an incident with the trip, party and service area details needed for alerts
+ * @param {string} incidentId
+ * @returns {Promise<Object|null>}
+ */
+async function getIncidentDetails(incidentId) {
+  const result = await db.query(
+    `SELECT i.id, i.trip_id, i.triggered_by, i.triggered_by_role, i.status,
+            i.escalation_level, i.suspended_driver_id, i.created_at,
+            ST_Y(i.location::geometry) AS latitude,
+            ST_X(i.location::geometry) AS longitude,
+            t.client_id, t.driver_id, t.status AS trip_status,
+            t.pickup_address, t.dropoff_address,
+            c.full_name AS client_name, c.phone_number AS client_phone,
+            d.full_name AS driver_name, d.phone_number AS driver_phone,
+            sa.city, sa.support_phone
+     FROM sos_incidents i
+     JOIN trips t ON i.trip_id = t.id
+     JOIN users c ON t.client_id = c.id
+     LEFT JOIN users d ON t.driver_id = d.id
+     LEFT JOIN service_areas sa ON t.service_area_id = sa.id
+     WHERE i.id = $1`,
+    [incidentId]
+  );
+
+  return result.rows[0] || null;
+}
+
+function formatLocation(incident) {
+  if (incident.latitude === null || incident.longitude === null) {
+    return 'Location unavailable';
+  }
+  return `https://maps.google.com/?q=${incident.latitude},${incident.longitude}`;
+}
+
+function getSupportPhones(incident) {
+  return [incident.support_phone, ...SUPPORT_PHONES];
+}
+
+function emitAdminAlert(io, incident) {
+  io.to('admin').emit('sos_alert', {
+    incident_id: incident.id,
+    trip_id: incident.trip_id,
+    triggered_by: incident.triggered_by,
+    triggered_by_role: incident.triggered_by_role,
+    status: incident.status,
+    escalation_level: incident.escalation_level,
+    current_location: incident.latitude !== null
+      ? { latitude: incident.latitude, longitude: incident.longitude }
+      : null,
+    client: { id: incident.client_id, name: incident.client_name, phone: incident.client_phone },
+    driver: incident.driver_id
+      ? { id: incident.driver_id, name: incident.driver_name, phone: incident.driver_phone }
+      : null,
+    driver_suspended: Boolean(incident.suspended_driver_id),
+    city: incident.city,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Switch a trip's location tracking interval and tell the driver's app
+ * @param {string} tripId
+ * @param {string|null} driverId
+ * @param {number} intervalSeconds
+ * @returns {Promise<void>}
+ */
+async function setTrackingInterval(tripId, driverId, intervalSeconds) {
+  await db.query(
+    'UPDATE trips SET tracking_interval_seconds = $2 WHERE id = $1',
+    [tripId, intervalSeconds]
+  );
+
+  if (driverId) {
+    notifyDriver(driverId, 'tracking_interval_change', {
+      trip_id: tripId,
+      interval_seconds: intervalSeconds
+    });
+  }
+}
+
+/**
+ * Suspend a driver pending investigation. The driver is not notified while
+ * the trip is in progress, so the alert isn't revealed to them.
+ * @param {string} driverId
+ * @returns {Promise<void>}
+ */
+async function suspendDriver(driverId) {
+  await db.query(
+    `UPDATE users SET status = 'suspended', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'active'`,
+    [driverId]
+  );
+
+  await db.query(
+    'UPDATE driver_profiles SET is_available = false WHERE user_id = $1',
+    [driverId]
+  );
+}
+
+/**
+ * Raise an SOS for a trip: record the incident, alert the admin dashboard,
+ * text support staff and the caller's emergency contacts, switch the trip to
+ * high-frequency tracking and, when the client raised it, suspend the driver.
+ * A repeat SOS on a trip with an open incident re-alerts without creating a
+ * new incident.
+ * @param {Object} io - Socket.io server
+ * @param {Object} trip - Trip row (id, client_id, driver_id, status)
+ * @param {Object} caller - { id, role } of the party raising the SOS
+ * @param {Object|null} location - { latitude, longitude }
+ * @returns {Promise<Object>} { incident, created }
+ */
+async function triggerSOS(io, trip, caller, location) {
+  const existing = await db.query(
+    'SELECT id FROM sos_incidents WHERE trip_id = $1 AND status = ANY($2) LIMIT 1',
+    [trip.id, OPEN_STATUSES]
+  );
+
+  if (existing.rows.length > 0) {
+    const incident = await getIncidentDetails(existing.rows[0].id);
+    emitAdminAlert(io, incident);
+    return { incident, created: false };
+  }
+
+  const suspendedDriverId = caller.role === 'client' && trip.driver_id ? trip.driver_id : null;
+
+  const insertResult = await db.query(
+    `INSERT INTO sos_incidents (trip_id, triggered_by, triggered_by_role, location, suspended_driver_id)
+     VALUES ($1, $2, $3, CASE WHEN $4::float IS NULL THEN NULL
+                              ELSE ST_SetSRID(ST_MakePoint($5, $4), 4326)::geography END, $6)
+     RETURNING id`,
+    [
+      trip.id,
+      caller.id,
+      caller.role,
+      location ? location.latitude : null,
+      location ? location.longitude : null,
+      suspendedDriverId
+    ]
+  );
+
+  await db.query(
+    `UPDATE trips
+     SET sos_triggered = true,
+         sos_triggered_at = COALESCE(sos_triggered_at, CURRENT_TIMESTAMP)
+     WHERE id = $1`,
+    [trip.id]
+  );
+
+  if (suspendedDriverId) {
+    await suspendDriver(suspendedDriverId);
+  }
+
+  await setTrackingInterval(trip.id, trip.driver_id, SOS_TRACKING_INTERVAL_SECONDS);
+
+  const incident = await getIncidentDetails(insertResult.rows[0].id);
+  emitAdminAlert(io, incident);
+
+  const callerName = caller.role === 'client' ? incident.client_name : incident.driver_name;
+  const supportResults = await sendBulkSMS(
+    getSupportPhones(incident),
+    `SafeDrive SOS: ${callerName} (${caller.role}) raised an emergency on trip ${trip.id}` +
+      `${incident.city ? ` in ${incident.city}` : ''}. ${formatLocation(incident)}`
+  );
+
+  // Contacts get a live trip link so they can follow along
+  const contacts = await getEmergencyContacts(caller.id);
+  let contactResults = [];
+  if (contacts.length > 0) {
+    const share = TERMINAL_STATUSES.includes(trip.status)
+      ? null
+      : await createTripShare(trip.id, caller.id);
+
+    contactResults = await sendBulkSMS(
+      contacts.map(contact => contact.phone_number),
+      `SafeDrive: ${callerName} has triggered an emergency alert during a trip. ` +
+        `Our support team has been notified. ` +
+        (share ? `Follow the trip live: ${share.url}` : formatLocation(incident))
+    );
+  }
+
+  await db.query(
+    `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      caller.id,
+      'sos_incident_created',
+      'sos_incident',
+      incident.id,
+      JSON.stringify({
+        trip_id: trip.id,
+        location,
+        driver_suspended: suspendedDriverId,
+        sms: [...supportResults, ...contactResults].map(({ to, status }) => ({ to, status }))
+      })
+    ]
+  );
+
+  return { incident, created: true };
+}
+
+/**
+ * Escalate incidents nobody has acknowledged within the timeout: re-alert the
+ * dashboard and text support staff and supervisors
+ * @param {Object} io - Socket.io server
+ * @returns {Promise<void>}
+ */
+async function escalateUnacknowledgedIncidents(io) {
+  const result = await db.query(
+    `UPDATE sos_incidents
+     SET escalation_level = escalation_level + 1,
+         last_escalated_at = CURRENT_TIMESTAMP
+     WHERE status = 'open'
+       AND escalation_level < $1
+       AND last_escalated_at < NOW() - make_interval(secs => $2)
+     RETURNING id`,
+    [MAX_ESCALATIONS, ACK_TIMEOUT_SECONDS]
+  );
+
+  for (const { id } of result.rows) {
+    const incident = await getIncidentDetails(id);
+    emitAdminAlert(io, incident);
+
+    await sendBulkSMS(
+      [...getSupportPhones(incident), ...ESCALATION_PHONES],
+      `SafeDrive SOS UNACKNOWLEDGED (escalation ${incident.escalation_level}): trip ${incident.trip_id}` +
+        `${incident.city ? ` in ${incident.city}` : ''}, raised ${incident.created_at.toISOString()}. ` +
+        formatLocation(incident)
+    );
+  }
+}
+
+/**
+ * Acknowledge an open incident, stopping re-escalation
+ * @param {Object} io - Socket.io server
+ * @param {string} incidentId
+ * @param {string} adminId - Acknowledging admin
+ * @returns {Promise<Object|null>} Incident, or null if it isn't open
+ */
+async function acknowledgeIncident(io, incidentId, adminId) {
+  const result = await db.query(
+    `UPDATE sos_incidents
+     SET status = 'acknowledged', acknowledged_by = $2, acknowledged_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'open'
+     RETURNING id, trip_id, triggered_by, acknowledged_at`,
+    [incidentId, adminId]
+  );
+
+  const incident = result.rows[0];
+  if (!incident) {
+    return null;
+  }
+
+  io.to('admin').emit('sos_acknowledged', {
+    incident_id: incident.id,
+    trip_id: incident.trip_id,
+    acknowledged_by: adminId
+  });
+  notifyClient(incident.triggered_by, 'sos_acknowledged', { trip_id: incident.trip_id });
+
+  return incident;
+}
+
+/**
+ * Resolve an incident and return the trip to normal tracking
+ * @param {Object} io - Socket.io server
+ * @param {string} incidentId
+ * @param {string} adminId - Resolving admin
+ * @param {Object} resolution - { notes, reinstate_driver }
+ * @returns {Promise<Object|null>} Incident, or null if it is already resolved or doesn't exist
+ */
+async function resolveIncident(io, incidentId, adminId, resolution) {
+  const result = await db.query(
+    `UPDATE sos_incidents
+     SET status = 'resolved', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP, resolution_notes = $3
+     WHERE id = $1 AND status = ANY($4)
+     RETURNING id, trip_id, suspended_driver_id, resolved_at`,
+    [incidentId, adminId, resolution.notes || null, OPEN_STATUSES]
+  );
+
+  const incident = result.rows[0];
+  if (!incident) {
+    return null;
+  }
+
+  const tripResult = await db.query('SELECT driver_id FROM trips WHERE id = $1', [incident.trip_id]);
+  await setTrackingInterval(incident.trip_id, tripResult.rows[0].driver_id, TRACKING_INTERVAL_SECONDS);
+
+  if (resolution.reinstate_driver && incident.suspended_driver_id) {
+    await db.query(
+      `UPDATE users SET status = 'active', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'suspended'`,
+      [incident.suspended_driver_id]
+    );
+  }
+
+  io.to('admin').emit('sos_resolved', {
+    incident_id: incident.id,
+    trip_id: incident.trip_id,
+    resolved_by: adminId
+  });
+
+  return incident;
+}
+
+/**
+ * Start the background job that re-escalates unacknowledged SOS incidents.
+ * Runs every 10 seconds.
+ * @param {Object} io - Socket.io server (for admin alerts)
+ * @returns {Object} The node-cron task
+ */
+function startSOSEscalationJob(io) {
+  return cron.schedule('*/10 * * * * *', async () => {
+    try {
+      await escalateUnacknowledgedIncidents(io);
+    } catch (error) {
+      console.error('SOS escalation job error:', error);
+    }
+  });
+}
+
+module.exports = {
+  getEmergencyContacts,
+  triggerSOS,
+  acknowledgeIncident,
+  resolveIncident,
+  startSOSEscalationJob
+};
@@ -0,0 +1,145 @@
+// backend/src/utils/surge.js
+// Demand-based surge pricing per geographic zone
+
+const db = require('../db');
+const { countAvailableDrivers } = require('./location');
+
+// Zones are square grid cells of this size (0.02 degrees is roughly 2.2 km in Kenya)
+const ZONE_SIZE_DEGREES = parseFloat(process.env.SURGE_ZONE_SIZE_DEGREES || '0.02');
+const ZONE_RADIUS_KM = parseFloat(process.env.SURGE_ZONE_RADIUS_KM || '3');
+
+// Demand counted from pending requests in this window
+const DEMAND_WINDOW_MINUTES = parseInt(process.env.SURGE_DEMAND_WINDOW_MINUTES || '15', 10);
+
+// Surge starts once requests outnumber drivers by this ratio
+const DEMAND_RATIO_THRESHOLD = parseFloat(process.env.SURGE_DEMAND_RATIO_THRESHOLD || '1.0');
+const SENSITIVITY = parseFloat(process.env.SURGE_SENSITIVITY || '0.5');
+
+const MIN_MULTIPLIER = 1.0;
+const MAX_MULTIPLIER = parseFloat(process.env.SURGE_MAX_MULTIPLIER || '2.0');
+
+// Weight of the new reading when smoothing (0-1, lower is smoother)
+const SMOOTHING_FACTOR = parseFloat(process.env.SURGE_SMOOTHING_FACTOR || '0.3');
+
+// A zone's multiplier is reused for this long before being recomputed
+const RECALCULATE_SECONDS = parseInt(process.env.SURGE_RECALCULATE_SECONDS || '60', 10);
+
+/**
+ * Get the zone a point falls in
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Object} { zone_id, latitude, longitude } with the zone's center point
+ */
+function getZone(latitude, longitude) {
+  const row = Math.floor(latitude / ZONE_SIZE_DEGREES);
+  const col = Math.floor(longitude / ZONE_SIZE_DEGREES);
+
+  return {
+    zone_id: `${row}:${col}`,
+    latitude: (row + 0.5) * ZONE_SIZE_DEGREES,
+    longitude: (col + 0.5) * ZONE_SIZE_DEGREES
+  };
+}
+
+/**
+ * Turn a demand/supply reading into a surge multiplier, before smoothing
+ * @param {number} pendingRequests - Recent pending requests in the zone
+ * @param {number} availableDrivers - Available drivers in the zone
+ * @returns {number} Raw multiplier
+ */
+function calculateRawMultiplier(pendingRequests, availableDrivers) {
+  const demandRatio = pendingRequests / Math.max(availableDrivers, 1);
+
+  if (demandRatio <= DEMAND_RATIO_THRESHOLD) {
+    return MIN_MULTIPLIER;
+  }
+
+  return MIN_MULTIPLIER + (demandRatio - DEMAND_RATIO_THRESHOLD) * SENSITIVITY;
+}
+
+/**
+ * Move the previous multiplier towards the new reading and apply the caps
+ * @param {number} previous - Previous smoothed multiplier
+ * @param {number} raw - Raw multiplier from the latest reading
+ * @returns {number} Smoothed multiplier, rounded to 0.1
+ */
+function smoothMultiplier(previous, raw) {
+  const smoothed = previous + SMOOTHING_FACTOR * (raw - previous);
+  const capped = Math.min(Math.max(smoothed, MIN_MULTIPLIER), MAX_MULTIPLIER);
+  return Math.round(capped * 10) / 10;
+}
+
+/**
+ * Get the current surge multiplier for a pickup point, recomputing the
+ * zone's value from live demand and supply when it is stale
+ * @param {number} latitude - Pickup latitude
+ * @param {number} longitude - Pickup longitude
+ * @returns {Promise<Object>} { zone_id, multiplier, pending_requests, available_drivers }
+ */
+async function getSurgeMultiplier(latitude, longitude) {
+  const zone = getZone(latitude, longitude);
+
+  const existing = await db.query(
+    `SELECT multiplier, pending_requests, available_drivers,
+            updated_at > NOW() - make_interval(secs => $2) AS is_fresh
+     FROM surge_zones
+     WHERE zone_id = $1`,
+    [zone.zone_id, RECALCULATE_SECONDS]
+  );
+
+  const previous = existing.rows[0];
+  if (previous && previous.is_fresh) {
+    return {
+      zone_id: zone.zone_id,
+      multiplier: parseFloat(previous.multiplier),
+      pending_requests: previous.pending_requests,
+      available_drivers: previous.available_drivers
+    };
+  }
+
+  const demandResult = await db.query(
+    `SELECT COUNT(*) AS count
+     FROM trips
+     WHERE status = 'pending'
+       AND requested_at > NOW() - make_interval(mins => $4)
+       AND ST_DWithin(
+         pickup_location::geography,
+         ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
+         $3
+       )`,
+    [zone.longitude, zone.latitude, ZONE_RADIUS_KM * 1000, DEMAND_WINDOW_MINUTES]
+  );
+
+  const pendingRequests = parseInt(demandResult.rows[0].count, 10);
+  const availableDrivers = await countAvailableDrivers(zone.latitude, zone.longitude, ZONE_RADIUS_KM);
+
+  const multiplier = smoothMultiplier(
+    previous ? parseFloat(previous.multiplier) : MIN_MULTIPLIER,
+    calculateRawMultiplier(pendingRequests, availableDrivers)
+  );
+
+  await db.query(
+    `INSERT INTO surge_zones (zone_id, multiplier, pending_requests, available_drivers, updated_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+     ON CONFLICT (zone_id) DO UPDATE
+     SET multiplier = EXCLUDED.multiplier,
+         pending_requests = EXCLUDED.pending_requests,
+         available_drivers = EXCLUDED.available_drivers,
+         updated_at = EXCLUDED.updated_at`,
+    [zone.zone_id, multiplier, pendingRequests, availableDrivers]
+  );
+
+  return {
+    zone_id: zone.zone_id,
+    multiplier,
+    pending_requests: pendingRequests,
+    available_drivers: availableDrivers
+  };
+}
+
+module.exports = {
+  getZone,
+  calculateRawMultiplier,
+  smoothMultiplier,
+  getSurgeMultiplier
+};
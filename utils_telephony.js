@@ -0,0 +1,136 @@
+// backend/src/utils/telephony.js
+// Voice calls through proxy numbers - pluggable provider (Africa's Talking, or a local fake for development)
+
+const TELEPHONY_PROVIDER = process.env.TELEPHONY_PROVIDER || 'fake';
+
+// Call decisions made through the fake provider, newest last
+const fakeCallLog = [];
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Africa's Talking call outcomes mapped to call_logs statuses
+const AT_CALL_STATUSES = {
+  Success: 'completed',
+  NoAnswer: 'no_answer',
+  Busy: 'busy',
+  Rejected: 'rejected'
+};
+
+/*
+ * A provider turns its webhook into a call event and answers an inbound call:
+ *   parseEvent(body)                -> { type: 'inbound', call_id, from, to }
+ *                                   or { type: 'status', call_id, status, duration_seconds }
+ *   connect(callId, target, callerId) -> { contentType, body } bridging the call to target
+ *   reject(callId, message)         -> { contentType, body } playing message and hanging up
+ */
+const providers = {
+  // JSON in and out. Simulate a call with
+  //   POST { event: 'inbound', call_id, from, to }
+  //   POST { event: 'status', call_id, status, duration_seconds }
+  fake: {
+    parseEvent(body) {
+      if (body.event === 'status') {
+        return {
+          type: 'status',
+          call_id: body.call_id,
+          status: body.status || 'completed',
+          duration_seconds: body.duration_seconds ?? null
+        };
+      }
+
+      return {
+        type: 'inbound',
+        call_id: body.call_id || `fake-${Date.now()}-${fakeCallLog.length}`,
+        from: body.from,
+        to: body.to
+      };
+    },
+
+    connect(callId, target, callerId) {
+      fakeCallLog.push({ call_id: callId, action: 'connect', to: target, caller_id: callerId, at: new Date().toISOString() });
+      console.log(`[Telephony fake] ${callId}: connect to ${target} showing ${callerId}`);
+      return {
+        contentType: 'application/json',
+        body: JSON.stringify({ call_id: callId, action: 'connect', to: target, caller_id: callerId })
+      };
+    },
+
+    reject(callId, message) {
+      fakeCallLog.push({ call_id: callId, action: 'reject', message, at: new Date().toISOString() });
+      console.log(`[Telephony fake] ${callId}: reject (${message})`);
+      return {
+        contentType: 'application/json',
+        body: JSON.stringify({ call_id: callId, action: 'reject', message })
+      };
+    }
+  },
+
+  // Voice callback: the same URL receives the inbound call (isActive=1) and
+  // the final status (isActive=0); answers are Africa's Talking voice XML
+  africastalking: {
+    parseEvent(body) {
+      if (body.isActive === '0') {
+        return {
+          type: 'status',
+          call_id: body.sessionId,
+          status: AT_CALL_STATUSES[body.status] || 'failed',
+          duration_seconds: body.durationInSeconds ? parseInt(body.durationInSeconds, 10) : null
+        };
+      }
+
+      return {
+        type: 'inbound',
+        call_id: body.sessionId,
+        from: body.callerNumber,
+        to: body.destinationNumber
+      };
+    },
+
+    connect(callId, target, callerId) {
+      return {
+        contentType: 'application/xml',
+        body: '<?xml version="1.0" encoding="UTF-8"?>' +
+          `<Response><Dial phoneNumbers="${escapeXml(target)}" callerId="${escapeXml(callerId)}"/></Response>`
+      };
+    },
+
+    reject(callId, message) {
+      return {
+        contentType: 'application/xml',
+        body: '<?xml version="1.0" encoding="UTF-8"?>' +
+          `<Response><Say>${escapeXml(message)}</Say><Reject/></Response>`
+      };
+    }
+  }
+};
+
+/**
+ * The configured telephony provider
+ * @returns {Object} Provider with parseEvent, connect and reject
+ */
+function getTelephonyProvider() {
+  const provider = providers[TELEPHONY_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown telephony provider: ${TELEPHONY_PROVIDER}`);
+  }
+  return provider;
+}
+
+/**
+ * Calls handled by the fake provider (for local testing)
+ * @returns {Array} Call decisions
+ */
+function getFakeCallLog() {
+  return fakeCallLog;
+}
+
+module.exports = {
+  getTelephonyProvider,
+  getFakeCallLog
+};
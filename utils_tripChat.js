@@ -0,0 +1,189 @@
+// backend/src/utils/tripChat.js
+// In-trip chat between client and driver - stored messages, receipts and quick replies
+
+const db = require('../db');
+const { DRIVER_ACTIVE_STATUSES, getActorRole } = require('./tripStateMachine');
+
+const MAX_MESSAGE_LENGTH = 500;
+const CHAT_LANGUAGES = ['en', 'sw'];
+
+// Preset replies by role, so nobody has to type while driving or walking to the car
+const QUICK_REPLIES = {
+  client: {
+    on_my_way: { en: "I'm on my way", sw: 'Niko njiani' },
+    at_pickup: { en: "I'm at the pickup point", sw: 'Niko mahali pa kuchukuliwa' },
+    wait_two_minutes: { en: 'Please wait 2 minutes', sw: 'Tafadhali subiri dakika 2' },
+    cant_see_you: { en: "I can't see you", sw: 'Sikuoni' }
+  },
+  driver: {
+    arrived: { en: "I've arrived", sw: 'Nimefika' },
+    at_gate: { en: "I'm at the gate", sw: 'Niko langoni' },
+    running_late: { en: 'Running a few minutes late', sw: 'Nimechelewa kidogo, ninakuja' },
+    in_traffic: { en: 'Stuck in traffic', sw: 'Nimekwama kwenye msongamano' },
+    where_are_you: { en: 'Where exactly are you?', sw: 'Uko wapi hasa?' }
+  },
+  shared: {
+    ok: { en: 'OK', sw: 'Sawa' },
+    thanks: { en: 'Thank you', sw: 'Asante' }
+  }
+};
+
+const MESSAGE_COLUMNS = `
+  id, trip_id, sender_id, sender_role, body, quick_reply, created_at, delivered_at, read_at`;
+
+/**
+ * Quick replies available to a role
+ * @param {string} role - 'client' or 'driver'
+ * @param {string} language - 'en' or 'sw'
+ * @returns {Array} [{ key, text }]
+ */
+function getQuickReplies(role, language = 'en') {
+  const lang = CHAT_LANGUAGES.includes(language) ? language : 'en';
+  return Object.entries({ ...QUICK_REPLIES[role], ...QUICK_REPLIES.shared })
+    .map(([key, texts]) => ({ key, text: texts[lang] }));
+}
+
+/**
+ * Load a trip and work out the user's part in its chat
+ * @param {string} tripId - Trip ID
+ * @param {Object} user - Authenticated user (id, user_type)
+ * @returns {Promise<Object>} { trip, role, read_only } or { error, status }
+ */
+async function getChatAccess(tripId, user) {
+  const result = await db.query(
+    'SELECT id, client_id, driver_id, status FROM trips WHERE id = $1',
+    [tripId]
+  );
+
+  const trip = result.rows[0];
+  if (!trip) {
+    return { error: 'Trip not found', status: 404 };
+  }
+
+  // Admins read transcripts through the admin API
+  const role = getActorRole(trip, user);
+  if (role !== 'client' && role !== 'driver') {
+    return { error: 'Unauthorized', status: 403 };
+  }
+
+  return { trip, role, read_only: !DRIVER_ACTIVE_STATUSES.includes(trip.status) };
+}
+
+/**
+ * Send a chat message on a trip and push it to the trip room. Chat opens when
+ * a driver accepts and becomes read-only when the trip ends.
+ * @param {Object} io - Socket.io server
+ * @param {string} tripId - Trip ID
+ * @param {Object} user - Sender (id, user_type)
+ * @param {Object} message - { body } or { quick_reply, language }
+ * @returns {Promise<Object>} { message } or { error, status }
+ */
+async function sendTripMessage(io, tripId, user, { body, quick_reply, language }) {
+  const access = await getChatAccess(tripId, user);
+  if (access.error) {
+    return access;
+  }
+
+  if (access.read_only) {
+    return { error: 'Chat is only available while the trip is active', status: 409 };
+  }
+
+  let text;
+  if (quick_reply) {
+    const preset = getQuickReplies(access.role, language).find(reply => reply.key === quick_reply);
+    if (!preset) {
+      return { error: 'Unknown quick reply', status: 400 };
+    }
+    text = preset.text;
+  } else {
+    text = typeof body === 'string' ? body.trim() : '';
+    if (text.length === 0 || text.length > MAX_MESSAGE_LENGTH) {
+      return { error: `Message must be 1 to ${MAX_MESSAGE_LENGTH} characters`, status: 400 };
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO trip_messages (trip_id, sender_id, sender_role, body, quick_reply)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${MESSAGE_COLUMNS}`,
+    [tripId, user.id, access.role, text, quick_reply || null]
+  );
+
+  const message = result.rows[0];
+  io.to(`trip_${tripId}`).emit('chat_message', message);
+
+  return { message };
+}
+
+/**
+ * Mark the other party's messages as delivered or read, up to and including
+ * one message, and push a chat_receipt to the trip room
+ * @param {Object} io - Socket.io server
+ * @param {string} tripId - Trip ID
+ * @param {Object} user - Recipient (id, user_type)
+ * @param {string} receipt - 'delivered' or 'read' (read implies delivered)
+ * @param {string|null} upToMessageId - Last message seen; null for all
+ * @returns {Promise<Object>} { message_ids } or { error, status }
+ */
+async function markTripMessages(io, tripId, user, receipt, upToMessageId = null) {
+  const access = await getChatAccess(tripId, user);
+  if (access.error) {
+    return access;
+  }
+
+  const setClause = receipt === 'read'
+    ? 'read_at = COALESCE(read_at, CURRENT_TIMESTAMP), delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)'
+    : 'delivered_at = CURRENT_TIMESTAMP';
+  const pendingColumn = receipt === 'read' ? 'read_at' : 'delivered_at';
+
+  const result = await db.query(
+    `UPDATE trip_messages
+     SET ${setClause}
+     WHERE trip_id = $1
+       AND sender_id <> $2
+       AND ${pendingColumn} IS NULL
+       AND ($3::uuid IS NULL OR created_at <= (SELECT created_at FROM trip_messages WHERE id = $3 AND trip_id = $1))
+     RETURNING id, ${pendingColumn} AS receipt_at`,
+    [tripId, user.id, upToMessageId]
+  );
+
+  const messageIds = result.rows.map(row => row.id);
+  if (messageIds.length > 0) {
+    io.to(`trip_${tripId}`).emit('chat_receipt', {
+      trip_id: tripId,
+      receipt,
+      message_ids: messageIds,
+      at: result.rows[0].receipt_at
+    });
+  }
+
+  return { message_ids: messageIds };
+}
+
+/**
+ * Fetch a trip's messages, oldest first
+ * @param {string} tripId - Trip ID
+ * @param {string|null} afterMessageId - Only messages sent after this one (for reconnects)
+ * @returns {Promise<Array>}
+ */
+async function getTripMessages(tripId, afterMessageId = null) {
+  const result = await db.query(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM trip_messages
+     WHERE trip_id = $1
+       AND ($2::uuid IS NULL OR created_at > (SELECT created_at FROM trip_messages WHERE id = $2 AND trip_id = $1))
+     ORDER BY created_at, id`,
+    [tripId, afterMessageId]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  CHAT_LANGUAGES,
+  getQuickReplies,
+  getChatAccess,
+  sendTripMessage,
+  markTripMessages,
+  getTripMessages
+};
@@ -0,0 +1,121 @@
+// backend/src/utils/tripEta.js
+// Live trip ETA - remaining distance and time to pickup or dropoff, pushed as eta_update
+
+const db = require('../db');
+const { getRoute } = require('./routing');
+const { getShareRoom } = require('./tripShare');
+const { DRIVER_ACTIVE_STATUSES } = require('./tripStateMachine');
+
+// At most one eta_update per driver in this many seconds
+const ETA_UPDATE_INTERVAL_SECONDS = parseInt(process.env.ETA_UPDATE_INTERVAL_SECONDS || '15', 10);
+
+// When each driver was last checked; drivers without a trip are throttled too,
+// so idle drivers don't cost a query per location batch
+const lastChecked = new Map();
+const MAX_TRACKED_DRIVERS = 10000;
+
+function isThrottled(driverId) {
+  const checkedAt = lastChecked.get(driverId);
+  return checkedAt !== undefined && Date.now() - checkedAt < ETA_UPDATE_INTERVAL_SECONDS * 1000;
+}
+
+function markChecked(driverId) {
+  lastChecked.delete(driverId);
+  lastChecked.set(driverId, Date.now());
+
+  if (lastChecked.size > MAX_TRACKED_DRIVERS) {
+    lastChecked.delete(lastChecked.keys().next().value);
+  }
+}
+
+/**
+ * Get the trip a driver is currently serving
+ * @param {string} driverId - Driver's user ID
+ * @returns {Promise<Object|null>} Trip with pickup and dropoff coordinates
+ */
+async function getDriverTrip(driverId) {
+  const result = await db.query(
+    `SELECT id, status,
+            ST_Y(pickup_location::geometry) AS pickup_latitude,
+            ST_X(pickup_location::geometry) AS pickup_longitude,
+            ST_Y(dropoff_location::geometry) AS dropoff_latitude,
+            ST_X(dropoff_location::geometry) AS dropoff_longitude
+     FROM trips
+     WHERE driver_id = $1 AND status = ANY($2)
+     LIMIT 1`,
+    [driverId, DRIVER_ACTIVE_STATUSES]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Remaining route for a trip from the driver's position: to the pickup until
+ * the trip starts, then to the dropoff
+ * @param {Object} trip - Trip with pickup/dropoff coordinates and status
+ * @param {Object} driverLocation - { latitude, longitude }
+ * @returns {Promise<Object>} eta_update payload
+ */
+async function computeTripEta(trip, driverLocation) {
+  const target = trip.status === 'in_progress' ? 'dropoff' : 'pickup';
+  const destination = {
+    latitude: trip[`${target}_latitude`],
+    longitude: trip[`${target}_longitude`]
+  };
+
+  const route = await getRoute(driverLocation, destination);
+
+  return {
+    trip_id: trip.id,
+    status: trip.status,
+    target,
+    distance_km: route.distance_km,
+    eta_minutes: route.duration_min,
+    polyline: route.polyline,
+    source: route.source,
+    driver_location: {
+      latitude: driverLocation.latitude,
+      longitude: driverLocation.longitude
+    },
+    updated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Recompute and push the ETA for the driver's current trip after a location
+ * update. Throttled to one update per ETA_UPDATE_INTERVAL_SECONDS per driver.
+ * The trip room gets the route polyline; share-link viewers get distance and
+ * minutes only.
+ * @param {Object} io - Socket.io server
+ * @param {string} driverId - Driver's user ID
+ * @param {Object} driverLocation - Latest point { latitude, longitude }
+ * @returns {Promise<Object|null>} The payload sent, or null if throttled or no active trip
+ */
+async function pushEtaUpdate(io, driverId, driverLocation) {
+  if (isThrottled(driverId)) {
+    return null;
+  }
+  markChecked(driverId);
+
+  const trip = await getDriverTrip(driverId);
+  if (!trip) {
+    return null;
+  }
+
+  const eta = await computeTripEta(trip, driverLocation);
+
+  io.to(`trip_${trip.id}`).emit('eta_update', eta);
+  io.to(getShareRoom(trip.id)).emit('eta_update', {
+    target: eta.target,
+    distance_km: eta.distance_km,
+    eta_minutes: eta.eta_minutes,
+    updated_at: eta.updated_at
+  });
+
+  return eta;
+}
+
+module.exports = {
+  computeTripEta,
+  pushEtaUpdate
+};
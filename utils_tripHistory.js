@@ -0,0 +1,338 @@
+// backend/src/utils/tripHistory.js
+// Trip history - filters, cursor pagination, response shape and CSV export
+
+const db = require('../db');
+const { TRIP_STATUSES } = require('./tripStateMachine');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// CSV exports read the filtered set in batches of this many trips
+const EXPORT_BATCH_SIZE = 500;
+
+// The fare a trip is filtered and exported by: final if known, otherwise the estimate
+const FARE_SQL = 'COALESCE(t.final_price, t.estimated_price)';
+
+const BILLING_TYPES = ['personal', 'corporate'];
+
+const HISTORY_COLUMNS = `
+  t.id, t.client_id, t.driver_id, t.status,
+  t.pickup_address,
+  ST_Y(t.pickup_location::geometry) AS pickup_latitude,
+  ST_X(t.pickup_location::geometry) AS pickup_longitude,
+  t.dropoff_address,
+  ST_Y(t.dropoff_location::geometry) AS dropoff_latitude,
+  ST_X(t.dropoff_location::geometry) AS dropoff_longitude,
+  t.estimated_distance_km, t.estimated_duration_min, t.estimated_price,
+  t.final_distance_km, t.final_duration_min, t.final_price,
+  t.surge_multiplier, t.cancellation_reason, t.cancellation_fee,
+  t.payment_status, t.payment_method,
+  t.billing_type, t.corporate_account_id, ca.name AS corporate_account_name,
+  cc.code AS cost_centre_code, cc.name AS cost_centre_name,
+  t.requested_at, t.scheduled_for, t.started_at, t.completed_at, t.cancelled_at,
+  -- Full microsecond precision, so the cursor matches the row exactly
+  to_char(t.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS cursor_created_at,
+  c.full_name AS client_name,
+  d.full_name AS driver_name,
+  r.rating, r.feedback, r.tags
+`;
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.cursor_created_at, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (isNaN(new Date(createdAt).getTime()) || typeof id !== 'string') {
+      return null;
+    }
+    return { created_at: createdAt, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate history query parameters
+ * @param {Object} query - { status, from, to, min_fare, max_fare, billing, limit, cursor }
+ *   status may be a comma-separated list; from/to are ISO dates on the request time;
+ *   billing is personal or corporate
+ * @returns {Object} { filters } or { error }
+ */
+function parseHistoryFilters(query) {
+  const filters = { limit: DEFAULT_PAGE_SIZE };
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(status => status.trim());
+    const invalid = statuses.filter(status => !TRIP_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      return { error: `Invalid status: ${invalid.join(', ')}. Must be from: ${TRIP_STATUSES.join(', ')}` };
+    }
+    filters.statuses = statuses;
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key]) {
+      filters[key] = parseDate(query[key]);
+      if (!filters[key]) {
+        return { error: `${key} must be a valid date` };
+      }
+    }
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'from must be before to' };
+  }
+
+  for (const key of ['min_fare', 'max_fare']) {
+    if (query[key] !== undefined && query[key] !== '') {
+      filters[key] = Number(query[key]);
+      if (!Number.isFinite(filters[key]) || filters[key] < 0) {
+        return { error: `${key} must be a non-negative number` };
+      }
+    }
+  }
+
+  if (filters.min_fare !== undefined && filters.max_fare !== undefined && filters.min_fare > filters.max_fare) {
+    return { error: 'min_fare must not be greater than max_fare' };
+  }
+
+  if (query.billing) {
+    if (!BILLING_TYPES.includes(query.billing)) {
+      return { error: `billing must be one of: ${BILLING_TYPES.join(', ')}` };
+    }
+    filters.billing_type = query.billing;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+    filters.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  if (query.cursor) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!filters.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { filters };
+}
+
+/**
+ * Build the history query for one page, newest first. Fetches one extra row
+ * to tell whether there is a next page.
+ * @param {Object} user - Authenticated user (id, user_type)
+ * @param {Object} filters - From parseHistoryFilters, plus corporate_account_id
+ *   to list a company's trips (for its admins) instead of the user's own
+ * @returns {Object} { text, values }
+ */
+function buildHistoryQuery(user, filters) {
+  const values = [user.id];
+  const conditions = [];
+
+  if (filters.corporate_account_id) {
+    values.push(filters.corporate_account_id);
+    conditions.push(`t.corporate_account_id = $${values.length}`);
+  } else {
+    const userField = user.user_type === 'driver' ? 'driver_id' : 'client_id';
+    conditions.push(`t.${userField} = $1`);
+  }
+
+  if (filters.statuses) {
+    values.push(filters.statuses);
+    conditions.push(`t.status = ANY($${values.length})`);
+  }
+  if (filters.from) {
+    values.push(filters.from);
+    conditions.push(`t.requested_at >= $${values.length}`);
+  }
+  if (filters.to) {
+    values.push(filters.to);
+    conditions.push(`t.requested_at <= $${values.length}`);
+  }
+  if (filters.min_fare !== undefined) {
+    values.push(filters.min_fare);
+    conditions.push(`${FARE_SQL} >= $${values.length}`);
+  }
+  if (filters.max_fare !== undefined) {
+    values.push(filters.max_fare);
+    conditions.push(`${FARE_SQL} <= $${values.length}`);
+  }
+  if (filters.billing_type) {
+    values.push(filters.billing_type);
+    conditions.push(`t.billing_type = $${values.length}`);
+  }
+  if (filters.cursor) {
+    values.push(filters.cursor.created_at, filters.cursor.id);
+    conditions.push(`(t.created_at, t.id) < ($${values.length - 1}, $${values.length})`);
+  }
+
+  values.push(filters.limit + 1);
+
+  return {
+    text: `SELECT ${HISTORY_COLUMNS}
+           FROM trips t
+           JOIN users c ON t.client_id = c.id
+           LEFT JOIN users d ON t.driver_id = d.id
+           LEFT JOIN corporate_accounts ca ON t.corporate_account_id = ca.id
+           LEFT JOIN cost_centres cc ON t.cost_centre_id = cc.id
+           LEFT JOIN ratings r ON t.id = r.trip_id AND r.rated_by = $1
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY t.created_at DESC, t.id DESC
+           LIMIT $${values.length}`,
+    values
+  };
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Shape a history row for the API
+ * @param {Object} row - Row selected with HISTORY_COLUMNS
+ * @returns {Object}
+ */
+function formatHistoryTrip(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    pickup: {
+      address: row.pickup_address,
+      latitude: toNumber(row.pickup_latitude),
+      longitude: toNumber(row.pickup_longitude)
+    },
+    dropoff: {
+      address: row.dropoff_address,
+      latitude: toNumber(row.dropoff_latitude),
+      longitude: toNumber(row.dropoff_longitude)
+    },
+    client_name: row.client_name,
+    driver_name: row.driver_name,
+    distance_km: toNumber(row.final_distance_km ?? row.estimated_distance_km),
+    duration_min: row.final_duration_min ?? row.estimated_duration_min,
+    fare: {
+      estimated: toNumber(row.estimated_price),
+      final: toNumber(row.final_price),
+      surge_multiplier: toNumber(row.surge_multiplier),
+      cancellation_fee: toNumber(row.cancellation_fee),
+      currency: 'KES'
+    },
+    payment_status: row.payment_status,
+    payment_method: row.payment_method,
+    billing: {
+      type: row.billing_type,
+      corporate_account_id: row.corporate_account_id,
+      account_name: row.corporate_account_name,
+      cost_centre: row.cost_centre_code ? { code: row.cost_centre_code, name: row.cost_centre_name } : null
+    },
+    cancellation_reason: row.cancellation_reason,
+    requested_at: row.requested_at,
+    scheduled_for: row.scheduled_for,
+    started_at: row.started_at,
+    completed_at: row.completed_at,
+    cancelled_at: row.cancelled_at,
+    my_rating: row.rating !== null ? { rating: row.rating, feedback: row.feedback, tags: row.tags } : null
+  };
+}
+
+/**
+ * Fetch one page of a user's (or their company's) trip history, newest first
+ * @param {Object} user - Authenticated user (id, user_type)
+ * @param {Object} filters - From parseHistoryFilters
+ * @returns {Promise<Object>} { trips, next_cursor } - next_cursor is null on the last page
+ */
+async function fetchHistoryPage(user, filters) {
+  const query = buildHistoryQuery(user, filters);
+  const result = await db.query(query.text, query.values);
+
+  const hasMore = result.rows.length > filters.limit;
+  const rows = hasMore ? result.rows.slice(0, filters.limit) : result.rows;
+
+  return {
+    trips: rows.map(formatHistoryTrip),
+    next_cursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+const CSV_COLUMNS = [
+  ['trip_id', trip => trip.id],
+  ['status', trip => trip.status],
+  ['requested_at', trip => trip.requested_at && new Date(trip.requested_at).toISOString()],
+  ['started_at', trip => trip.started_at && new Date(trip.started_at).toISOString()],
+  ['completed_at', trip => trip.completed_at && new Date(trip.completed_at).toISOString()],
+  ['pickup_address', trip => trip.pickup.address],
+  ['pickup_latitude', trip => trip.pickup.latitude],
+  ['pickup_longitude', trip => trip.pickup.longitude],
+  ['dropoff_address', trip => trip.dropoff.address],
+  ['dropoff_latitude', trip => trip.dropoff.latitude],
+  ['dropoff_longitude', trip => trip.dropoff.longitude],
+  ['client_name', trip => trip.client_name],
+  ['driver_name', trip => trip.driver_name],
+  ['distance_km', trip => trip.distance_km],
+  ['duration_min', trip => trip.duration_min],
+  ['estimated_fare_kes', trip => trip.fare.estimated],
+  ['final_fare_kes', trip => trip.fare.final],
+  ['cancellation_fee_kes', trip => trip.fare.cancellation_fee],
+  ['payment_status', trip => trip.payment_status],
+  ['payment_method', trip => trip.payment_method],
+  ['billing_type', trip => trip.billing.type],
+  ['company', trip => trip.billing.account_name],
+  ['cost_centre', trip => trip.billing.cost_centre && trip.billing.cost_centre.code]
+];
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  // Quote anything with separators, and neutralise spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsvRow(trip) {
+  return `${CSV_COLUMNS.map(([, value]) => escapeCsv(value(trip))).join(',')}\r\n`;
+}
+
+/**
+ * Write every trip matching the filters as CSV, header first. Pagination
+ * filters are ignored - the export always covers the whole filtered set.
+ * @param {Object} user - Authenticated user (id, user_type)
+ * @param {Object} filters - From parseHistoryFilters
+ * @param {Function} write - Called with each chunk of CSV text
+ * @returns {Promise<number>} Number of trips written
+ */
+async function writeHistoryCsv(user, filters, write) {
+  const exportFilters = { ...filters, cursor: null, limit: EXPORT_BATCH_SIZE };
+  let count = 0;
+
+  write(`${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`);
+
+  let page;
+  do {
+    page = await fetchHistoryPage(user, exportFilters);
+    write(page.trips.map(toCsvRow).join(''));
+    count += page.trips.length;
+    exportFilters.cursor = page.next_cursor && decodeCursor(page.next_cursor);
+  } while (page.next_cursor);
+
+  return count;
+}
+
+module.exports = {
+  parseHistoryFilters,
+  fetchHistoryPage,
+  writeHistoryCsv,
+  escapeCsv
+};
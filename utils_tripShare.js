@@ -0,0 +1,148 @@
+// backend/src/utils/tripShare.js
+// Public live trip-sharing links - expiring, revocable tokens with view auditing
+
+const crypto = require('crypto');
+const db = require('../db');
+const { TERMINAL_STATUSES } = require('./tripStateMachine');
+
+const SHARE_TTL_HOURS = parseInt(process.env.SHARE_LINK_TTL_HOURS || '6', 10);
+const SHARE_BASE_URL = process.env.SHARE_BASE_URL || `${process.env.API_URL}/api/v1/share`;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Socket.io room that share-link viewers of a trip join. Kept separate from
+ * trip_${tripId} so viewers only receive what is broadcast for sharing.
+ * @param {string} tripId
+ * @returns {string}
+ */
+function getShareRoom(tripId) {
+  return `trip_share_${tripId}`;
+}
+
+/**
+ * Create a share link for a trip. Only the hash of the token is stored.
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - Client creating the link
+ * @returns {Promise<Object>} { id, token, url, expires_at }
+ */
+async function createTripShare(tripId, userId) {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  const result = await db.query(
+    `INSERT INTO trip_shares (trip_id, token_hash, created_by, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+     RETURNING id, expires_at`,
+    [tripId, hashToken(token), userId, SHARE_TTL_HOURS]
+  );
+
+  const share = result.rows[0];
+  return {
+    id: share.id,
+    token,
+    url: `${SHARE_BASE_URL}/${token}`,
+    expires_at: share.expires_at
+  };
+}
+
+/**
+ * Revoke a share link and disconnect anyone watching through it
+ * @param {Object} io - Socket.io server
+ * @param {string} tripId - Trip ID
+ * @param {string} shareId - Share ID
+ * @returns {Promise<boolean>} False if the share doesn't exist or was already revoked
+ */
+async function revokeTripShare(io, tripId, shareId) {
+  const result = await db.query(
+    `UPDATE trip_shares SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND trip_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [shareId, tripId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const room = getShareRoom(tripId);
+  const sockets = await io.in(room).fetchSockets();
+  sockets
+    .filter(socket => socket.data.shareId === shareId)
+    .forEach(socket => {
+      socket.emit('share_ended', { reason: 'revoked' });
+      socket.leave(room);
+    });
+
+  return true;
+}
+
+/**
+ * Disconnect every share-link viewer of a trip that has ended
+ * @param {Object} io - Socket.io server
+ * @param {string} tripId - Trip ID
+ * @returns {void}
+ */
+function endTripShares(io, tripId) {
+  const room = getShareRoom(tripId);
+  io.to(room).emit('share_ended', { reason: 'trip_ended' });
+  io.in(room).socketsLeave(room);
+}
+
+/**
+ * Look up a share token. Links stop working once revoked, expired, or when
+ * the trip has ended.
+ * @param {string} token - Token from the share URL
+ * @returns {Promise<Object|null>} { id, trip_id } or null if the link isn't usable
+ */
+async function resolveTripShare(token) {
+  if (!token) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT s.id, s.trip_id, t.status
+     FROM trip_shares s
+     JOIN trips t ON s.trip_id = t.id
+     WHERE s.token_hash = $1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()`,
+    [hashToken(token)]
+  );
+
+  const share = result.rows[0];
+  if (!share || TERMINAL_STATUSES.includes(share.status)) {
+    return null;
+  }
+
+  return { id: share.id, trip_id: share.trip_id };
+}
+
+/**
+ * Count a view of a share link for auditing
+ * @param {string} shareId - Share ID
+ * @param {Object} viewer - { ip_address, user_agent, channel }
+ * @returns {Promise<void>}
+ */
+async function recordShareView(shareId, viewer) {
+  await db.query(
+    'UPDATE trip_shares SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [shareId]
+  );
+
+  await db.query(
+    `INSERT INTO trip_share_views (share_id, channel, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4)`,
+    [shareId, viewer.channel, viewer.ip_address || null, viewer.user_agent || null]
+  );
+}
+
+module.exports = {
+  getShareRoom,
+  createTripShare,
+  revokeTripShare,
+  endTripShares,
+  resolveTripShare,
+  recordShareView
+};
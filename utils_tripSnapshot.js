@@ -0,0 +1,152 @@
+// backend/src/utils/tripSnapshot.js
+// Trip snapshot - everything an app needs to rebuild a trip screen after reopening or reconnecting
+
+const db = require('../db');
+const { DRIVER_ACTIVE_STATUSES, getActorRole } = require('./tripStateMachine');
+const { getDriverLocation } = require('./location');
+const { computeTripEta } = require('./tripEta');
+
+// Most recent trail points included (about 8 minutes at 5s)
+const SNAPSHOT_TRAIL_POINTS = 100;
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+async function getRecentTrail(tripId) {
+  const result = await db.query(
+    `SELECT ST_Y(location::geometry) AS latitude,
+            ST_X(location::geometry) AS longitude,
+            speed_kmh, heading, recorded_at
+     FROM trip_locations
+     WHERE trip_id = $1
+     ORDER BY recorded_at DESC
+     LIMIT $2`,
+    [tripId, SNAPSHOT_TRAIL_POINTS]
+  );
+
+  // Oldest first, ready to draw
+  return result.rows.reverse().map(point => ({
+    latitude: point.latitude,
+    longitude: point.longitude,
+    speed_kmh: toNumber(point.speed_kmh),
+    heading: toNumber(point.heading),
+    recorded_at: point.recorded_at
+  }));
+}
+
+/**
+ * Build the current state of a trip for one of its parties or an admin.
+ * The driver's live location and ETA are only included while the trip is
+ * active; phone numbers are never included (calls go through call-number).
+ * @param {string} tripId - Trip ID
+ * @param {Object} user - Authenticated user (id, user_type)
+ * @returns {Promise<Object>} { trip } or { error, status }
+ */
+async function getTripSnapshot(tripId, user) {
+  const result = await db.query(
+    `SELECT t.id, t.client_id, t.driver_id, t.status,
+            t.pickup_address,
+            ST_Y(t.pickup_location::geometry) AS pickup_latitude,
+            ST_X(t.pickup_location::geometry) AS pickup_longitude,
+            t.dropoff_address,
+            ST_Y(t.dropoff_location::geometry) AS dropoff_latitude,
+            ST_X(t.dropoff_location::geometry) AS dropoff_longitude,
+            t.estimated_distance_km, t.estimated_duration_min, t.estimated_price,
+            t.final_distance_km, t.final_duration_min, t.final_price, t.fare_breakdown,
+            t.surge_multiplier, t.cancellation_reason, t.cancellation_fee,
+            t.payment_status, t.payment_method, t.sos_triggered,
+            t.requested_at, t.scheduled_for, t.accepted_at, t.started_at, t.completed_at, t.cancelled_at,
+            t.updated_at,
+            c.full_name AS client_name,
+            d.full_name AS driver_name,
+            dp.profile_photo_url AS driver_photo_url,
+            dp.rating_average AS driver_rating,
+            dp.total_trips AS driver_total_trips
+     FROM trips t
+     JOIN users c ON t.client_id = c.id
+     LEFT JOIN users d ON t.driver_id = d.id
+     LEFT JOIN driver_profiles dp ON t.driver_id = dp.user_id
+     WHERE t.id = $1`,
+    [tripId]
+  );
+
+  const row = result.rows[0];
+  if (!row) {
+    return { error: 'Trip not found', status: 404 };
+  }
+
+  if (!getActorRole(row, user)) {
+    return { error: 'Unauthorized', status: 403 };
+  }
+
+  const trip = {
+    id: row.id,
+    status: row.status,
+    pickup: {
+      address: row.pickup_address,
+      latitude: row.pickup_latitude,
+      longitude: row.pickup_longitude
+    },
+    dropoff: {
+      address: row.dropoff_address,
+      latitude: row.dropoff_latitude,
+      longitude: row.dropoff_longitude
+    },
+    client: {
+      id: row.client_id,
+      name: row.client_name
+    },
+    driver: row.driver_id
+      ? {
+        id: row.driver_id,
+        name: row.driver_name,
+        profile_photo_url: row.driver_photo_url,
+        rating: toNumber(row.driver_rating),
+        total_trips: row.driver_total_trips
+      }
+      : null,
+    driver_location: null,
+    eta: null,
+    trail: [],
+    fare: {
+      estimated: toNumber(row.estimated_price),
+      final: toNumber(row.final_price),
+      surge_multiplier: toNumber(row.surge_multiplier),
+      breakdown: row.fare_breakdown ? row.fare_breakdown.items : null,
+      cancellation_fee: toNumber(row.cancellation_fee),
+      currency: 'KES'
+    },
+    distance_km: toNumber(row.final_distance_km ?? row.estimated_distance_km),
+    duration_min: row.final_duration_min ?? row.estimated_duration_min,
+    payment_status: row.payment_status,
+    payment_method: row.payment_method,
+    cancellation_reason: row.cancellation_reason,
+    sos_triggered: row.sos_triggered,
+    requested_at: row.requested_at,
+    scheduled_for: row.scheduled_for,
+    accepted_at: row.accepted_at,
+    started_at: row.started_at,
+    completed_at: row.completed_at,
+    cancelled_at: row.cancelled_at,
+    updated_at: row.updated_at
+  };
+
+  if (row.driver_id && DRIVER_ACTIVE_STATUSES.includes(row.status)) {
+    trip.driver_location = await getDriverLocation(row.driver_id);
+    if (trip.driver_location) {
+      const { trip_id, status, driver_location, ...eta } = await computeTripEta(row, trip.driver_location);
+      trip.eta = eta;
+    }
+  }
+
+  if (row.started_at) {
+    trip.trail = await getRecentTrail(row.id);
+  }
+
+  return { trip };
+}
+
+module.exports = {
+  getTripSnapshot
+};
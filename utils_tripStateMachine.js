@@ -0,0 +1,185 @@
+// backend/src/utils/tripStateMachine.js
+// Trip lifecycle state machine - allowed transitions, roles and status history
+
+const TRIP_STATUSES = [
+  'scheduled',
+  'pending',
+  'accepted',
+  'driver_arriving',
+  'in_progress',
+  'completed',
+  'cancelled_by_client',
+  'cancelled_by_driver',
+  'no_driver_found'
+];
+
+const TERMINAL_STATUSES = ['completed', 'cancelled_by_client', 'cancelled_by_driver', 'no_driver_found'];
+
+// A driver is on a trip from acceptance until it ends; a client from request until it ends.
+// A ride booked in advance only counts once it is dispatched (see utils/scheduledTrips.js)
+const DRIVER_ACTIVE_STATUSES = ['accepted', 'driver_arriving', 'in_progress'];
+const CLIENT_INACTIVE_STATUSES = [...TERMINAL_STATUSES, 'scheduled'];
+
+// Partial unique indexes backing the one-active-trip rules (see idx_trips_*_active)
+const ACTIVE_TRIP_INDEXES = {
+  idx_trips_client_active: 'You already have an active trip',
+  idx_trips_driver_active: 'You are already on a trip'
+};
+
+// Allowed transitions: current status -> next status -> roles that may make it
+const TRANSITIONS = {
+  scheduled: {
+    pending: ['system'],
+    cancelled_by_client: ['client', 'admin'],
+    no_driver_found: ['system']
+  },
+  pending: {
+    accepted: ['driver'],
+    cancelled_by_client: ['client', 'admin'],
+    no_driver_found: ['system']
+  },
+  accepted: {
+    driver_arriving: ['driver'],
+    cancelled_by_client: ['client', 'admin'],
+    cancelled_by_driver: ['driver', 'admin']
+  },
+  driver_arriving: {
+    in_progress: ['driver'],
+    cancelled_by_client: ['client', 'admin'],
+    cancelled_by_driver: ['driver', 'admin']
+  },
+  in_progress: {
+    completed: ['driver', 'admin']
+  }
+};
+
+// Timestamp column stamped when a trip enters a status
+const STATUS_TIMESTAMPS = {
+  accepted: 'accepted_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  cancelled_by_client: 'cancelled_at',
+  cancelled_by_driver: 'cancelled_at'
+};
+
+/**
+ * Work out which role a user plays on a trip
+ * @param {Object} trip - Trip row with client_id and driver_id
+ * @param {Object} user - Authenticated user (id, user_type)
+ * @returns {string|null} 'client', 'driver', 'admin' or null if not a party
+ */
+function getActorRole(trip, user) {
+  if (trip.client_id === user.id) return 'client';
+  if (trip.driver_id && trip.driver_id === user.id) return 'driver';
+  if (user.user_type === 'admin') return 'admin';
+  return null;
+}
+
+/**
+ * Check a status change against the state machine
+ * @param {string} fromStatus - Current trip status
+ * @param {string} toStatus - Requested trip status
+ * @param {string} role - Role making the change
+ * @returns {string|null} Reason the transition is not allowed, or null if allowed
+ */
+function checkTransition(fromStatus, toStatus, role) {
+  const allowedRoles = (TRANSITIONS[fromStatus] || {})[toStatus];
+
+  if (!allowedRoles) {
+    return `Cannot change trip status from ${fromStatus} to ${toStatus}`;
+  }
+
+  if (!allowedRoles.includes(role)) {
+    return `A ${role} cannot change trip status from ${fromStatus} to ${toStatus}`;
+  }
+
+  return null;
+}
+
+/**
+ * Move a trip to a new status and record it in trip_status_history.
+ * The update only applies if the trip is still in fromStatus, so two
+ * concurrent transitions cannot both succeed.
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {string} tripId - Trip ID
+ * @param {string} fromStatus - Status the trip is expected to be in
+ * @param {string} toStatus - Status to move to
+ * @param {Object} actor - { id, role, reason } of whoever made the change
+ * @param {Object} fields - Extra trip columns to set alongside the status
+ * @returns {Promise<Object|null>} Updated trip row, or null if the trip was no longer in fromStatus
+ */
+async function transitionTrip(client, tripId, fromStatus, toStatus, actor, fields = {}) {
+  const setClauses = ['status = $3', 'updated_at = CURRENT_TIMESTAMP'];
+  const values = [tripId, fromStatus, toStatus];
+
+  const timestampColumn = STATUS_TIMESTAMPS[toStatus];
+  if (timestampColumn) {
+    setClauses.push(`${timestampColumn} = CURRENT_TIMESTAMP`);
+  }
+
+  Object.entries(fields).forEach(([column, value]) => {
+    values.push(value);
+    setClauses.push(`${column} = $${values.length}`);
+  });
+
+  const updateResult = await client.query(
+    `UPDATE trips SET ${setClauses.join(', ')}
+     WHERE id = $1 AND status = $2
+     RETURNING *`,
+    values
+  );
+
+  if (updateResult.rows.length === 0) {
+    return null;
+  }
+
+  await client.query(
+    `INSERT INTO trip_status_history (trip_id, from_status, to_status, actor_id, actor_role, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [tripId, fromStatus, toStatus, actor.id || null, actor.role, actor.reason || null]
+  );
+
+  return updateResult.rows[0];
+}
+
+/**
+ * Find a user's active trip: any non-terminal trip for a client apart from
+ * scheduled rides not yet dispatched, an accepted or in-progress trip for a driver
+ * @param {Object} client - Database client or pool
+ * @param {Object} user - { id, user_type }
+ * @returns {Promise<Object|null>} { id, status }, or null if none
+ */
+async function getActiveTrip(client, user) {
+  const result = user.user_type === 'driver'
+    ? await client.query(
+      'SELECT id, status FROM trips WHERE driver_id = $1 AND status = ANY($2) LIMIT 1',
+      [user.id, DRIVER_ACTIVE_STATUSES]
+    )
+    : await client.query(
+      'SELECT id, status FROM trips WHERE client_id = $1 AND status <> ALL($2) LIMIT 1',
+      [user.id, CLIENT_INACTIVE_STATUSES]
+    );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Recognise a write rejected by one of the one-active-trip indexes, which
+ * catch requests that race past the getActiveTrip check
+ * @param {Error} error - Error thrown by the database
+ * @returns {string|null} Message for the user, or null for any other error
+ */
+function getActiveTripConflict(error) {
+  return error.code === '23505' ? ACTIVE_TRIP_INDEXES[error.constraint] || null : null;
+}
+
+module.exports = {
+  TRIP_STATUSES,
+  TERMINAL_STATUSES,
+  DRIVER_ACTIVE_STATUSES,
+  getActorRole,
+  checkTransition,
+  transitionTrip,
+  getActiveTrip,
+  getActiveTripConflict
+};